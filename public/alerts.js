@@ -0,0 +1,144 @@
+/* query params (override the dashboard's alert settings for this source):
+   min (minimum diamonds), combo (1 | 0), volume (0-1), color (hex, without #),
+   token (overlay link) */
+const q = new URLSearchParams(location.search);
+const overrides = {};
+if (q.has('min')) overrides.minDiamonds = Math.max(0, Number(q.get('min')) || 0);
+if (q.has('combo')) overrides.comboMode = q.get('combo') !== '0';
+const volume = q.has('volume') ? Math.min(1, Math.max(0, Number(q.get('volume')) || 0)) : 1;
+if (q.get('color')) document.documentElement.style.setProperty('--c', `#${q.get('color')}`);
+
+const alertEl = document.getElementById('alert');
+const alertAvatar = document.getElementById('alertAvatar');
+const alertIcon = document.getElementById('alertIcon');
+const alertCount = document.getElementById('alertCount');
+const alertMessage = document.getElementById('alertMessage');
+const alertDiamonds = document.getElementById('alertDiamonds');
+
+const HIDE_MS = 400;
+
+let settings = {
+    minDiamonds: 0,
+    comboMode: true,
+    durationMs: 5000,
+    template: '{nickname} sent {giftName}',
+    sound: null,
+    gifts: {},
+    ...overrides
+};
+
+const queue = [];          // Alerts waiting their turn
+const streaks = new Map(); // userId_giftId -> alert still collecting repeat events (combo mode)
+let current = null;        // Alert on screen
+let hideTimer = null;
+
+const sock = io({ auth: { feed: 'gifts', overlayToken: q.get('token') } });
+
+sock.on('alertConfig', s => {
+    settings = { ...s, ...overrides };
+});
+
+sock.on('giftStream', d => {
+    const count = d.repeatCount || 1;
+    const key = `${d.userId || d.uniqueId}_${d.giftId}`;
+    const isStreak = settings.comboMode && d.giftType === 1 && !d.test;
+
+    // Combo mode: later repeat events update the streak's alert instead of queueing new ones
+    const streak = isStreak && streaks.get(key);
+    if (streak) {
+        streak.data = d;
+        streak.count = Math.max(streak.count, count);
+        if (d.repeatEnd) streaks.delete(key);
+        if (streak === current) {
+            renderAlert(streak, true);
+            scheduleHide();   // keep it up while the streak is running
+        }
+        return;
+    }
+
+    // Streaks may start below the threshold and cross it later
+    if (!d.test && d.diamondCount * count < settings.minDiamonds) return;
+
+    const alert = { key, data: d, count };
+    if (isStreak && !d.repeatEnd) streaks.set(key, alert);
+    queue.push(alert);
+    if (!current) playNext();
+});
+
+function playNext() {
+    current = queue.shift() || null;
+    if (!current) {
+        alertEl.style.display = 'none';
+        return;
+    }
+
+    renderAlert(current, false);
+    alertEl.style.display = 'flex';
+    alertEl.classList.remove('hide', 'show');
+    void alertEl.offsetWidth;
+    alertEl.classList.add('show');
+    playSound(current.data);
+    scheduleHide();
+}
+
+function scheduleHide() {
+    clearTimeout(hideTimer);
+    hideTimer = setTimeout(() => {
+        const finished = current;
+        alertEl.classList.remove('show');
+        alertEl.classList.add('hide');
+
+        // A streak that never sent repeatEnd shouldn't swallow the next one
+        if (streaks.get(finished.key) === finished) streaks.delete(finished.key);
+
+        setTimeout(playNext, HIDE_MS);
+    }, settings.durationMs);
+}
+
+function giftOverride(d) {
+    return settings.gifts?.[d.giftId] || {};
+}
+
+function renderAlert(alert, isUpdate) {
+    const d = alert.data;
+    const diamonds = d.diamondCount * alert.count;
+    const template = giftOverride(d).template || settings.template;
+
+    alertMessage.textContent = template.replace(/\{(nickname|uniqueId|giftName|count|diamonds)\}/g, (_, name) => ({
+        nickname: d.nickname || d.uniqueId,
+        uniqueId: d.uniqueId,
+        giftName: d.giftName,
+        count: alert.count,
+        diamonds: diamonds.toLocaleString()
+    })[name]);
+    alertDiamonds.textContent = `${diamonds.toLocaleString()} 💎`;
+    alertCount.textContent = alert.count > 1 ? `x${alert.count}` : '';
+
+    setImage(alertIcon, d.giftPictureUrl);
+    setImage(alertAvatar, d.profilePictureUrl);
+
+    if (isUpdate) {
+        alertCount.classList.remove('bump');
+        void alertCount.offsetWidth;
+        alertCount.classList.add('bump');
+    }
+}
+
+function setImage(img, url) {
+    img.style.display = url ? '' : 'none';
+    if (url && img.getAttribute('src') !== url) img.src = url;
+}
+
+// Per-gift sound wins (null silences that gift), else the default sound
+function playSound(d) {
+    const override = giftOverride(d);
+    const sound = 'sound' in override ? override.sound : settings.sound;
+    if (!sound || volume === 0) return;
+
+    const audio = new Audio(`/alert-media/${encodeURIComponent(sound)}`);
+    audio.volume = volume;
+    audio.play().catch(err => console.warn('Alert sound blocked:', err.message));
+}
+
+alertIcon.onerror = () => { alertIcon.style.display = 'none'; };
+alertAvatar.onerror = () => { alertAvatar.style.display = 'none'; };
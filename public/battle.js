@@ -0,0 +1,119 @@
+/* query params: color (frame colour as hex, without #), token (overlay link) */
+const q = new URLSearchParams(location.search);
+if (q.get('color')) document.documentElement.style.setProperty('--c', `#${q.get('color')}`);
+
+const battleEl = document.getElementById('battle');
+const titleEl = document.getElementById('battleTitle');
+const roundEl = document.getElementById('battleRound');
+const clockEl = document.getElementById('battleClock');
+const ropeEl = document.getElementById('battleRope');
+const teamsEl = document.getElementById('battleTeams');
+const bannerEl = document.getElementById('battleBanner');
+
+// Teams without a group colour, in order
+const TEAM_COLORS = ['#ef4444', '#3b82f6', '#22c55e', '#eab308'];
+const LOW_TIME_MS = 10000;
+
+let battle = null;
+let roundEndsAt = 0;      // Local clock, so a skewed OBS machine still counts down correctly
+let lastBanner = '';
+
+const sock = io({ auth: { overlayToken: q.get('token') } });
+
+sock.on('battle', b => {
+    battle = b;
+    if (!b) {
+        battleEl.style.display = 'none';
+        return;
+    }
+
+    roundEndsAt = Date.now() + b.remainingMs;
+    render();
+    tick();
+    battleEl.style.display = 'block';
+});
+
+function teamColor(team, i) {
+    return team.color || TEAM_COLORS[i % TEAM_COLORS.length];
+}
+
+function render() {
+    titleEl.textContent = battle.name;
+    roundEl.textContent = battle.bestOf > 1
+        ? `Round ${battle.round} · Best of ${battle.bestOf}`
+        : `Round ${battle.round}`;
+
+    // Rebuild the rope only when the teams change, so the sides can animate
+    if (ropeEl.children.length !== battle.teams.length) {
+        ropeEl.innerHTML = battle.teams.map(() => '<div class="side"></div>').join('');
+        teamsEl.innerHTML = battle.teams.map(() => `
+            <div class="team">
+                <div class="name"></div>
+                <div class="score"></div>
+                <div class="wins"></div>
+            </div>
+        `).join('');
+    }
+    ropeEl.classList.toggle('multi', battle.teams.length > 2);
+
+    const winsNeeded = Math.floor(battle.bestOf / 2) + 1;
+    battle.teams.forEach((team, i) => {
+        const side = ropeEl.children[i];
+        side.style.flexBasis = `${(team.share * 100).toFixed(2)}%`;
+        side.style.background = teamColor(team, i);
+
+        const el = teamsEl.children[i];
+        el.querySelector('.name').textContent = team.name;
+        el.querySelector('.name').style.color = teamColor(team, i);
+        el.querySelector('.score').textContent = `${team.score.toLocaleString()} ${battle.unit}`;
+        el.querySelector('.wins').textContent = battle.bestOf > 1
+            ? '●'.repeat(team.wins) + '○'.repeat(Math.max(0, winsNeeded - team.wins))
+            : '';
+    });
+
+    showBanner(bannerText());
+}
+
+function teamName(groupId) {
+    return battle.teams.find(t => t.groupId === groupId)?.name || groupId;
+}
+
+function bannerText() {
+    if (battle.status === 'finished') {
+        return battle.winner ? `🏆 ${teamName(battle.winner)} wins the battle!` : 'The battle ends in a draw';
+    }
+    if (battle.status === 'intermission') {
+        const last = battle.rounds[battle.rounds.length - 1];
+        return last?.winner ? `${teamName(last.winner)} wins round ${last.round}!` : `Round ${last?.round} is a draw`;
+    }
+    return '';
+}
+
+function showBanner(text) {
+    if (text === lastBanner) return;
+    lastBanner = text;
+    bannerEl.textContent = text;
+    bannerEl.style.display = text ? 'block' : 'none';
+
+    // Restart the pop animation for every new result
+    bannerEl.style.animation = 'none';
+    void bannerEl.offsetWidth;
+    bannerEl.style.animation = '';
+}
+
+function tick() {
+    if (!battle) return;
+
+    if (battle.status !== 'round') {
+        clockEl.textContent = battle.status === 'finished' ? 'FINAL' : '';
+        clockEl.classList.remove('low');
+        return;
+    }
+
+    const remaining = Math.max(0, roundEndsAt - Date.now());
+    const secs = Math.ceil(remaining / 1000);
+    clockEl.textContent = `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+    clockEl.classList.toggle('low', remaining <= LOW_TIME_MS);
+}
+
+setInterval(tick, 250);
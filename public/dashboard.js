@@ -1,4 +1,62 @@
-const socket = io();
+/* ---------- auth ---------- */
+// Session token is issued by /api/validate; the stored API key is only used to renew it
+function authHeaders(extra = {}) {
+    return { ...extra, Authorization: `Bearer ${sessionStorage.getItem('tracker_session_token') || ''}` };
+}
+
+async function refreshSessionToken() {
+    const apiKey = sessionStorage.getItem('tracker_api_key');
+    if (!apiKey) return false;
+
+    try {
+        const res = await fetch('/api/validate', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ apiKey })
+        });
+        if (!res.ok) return false;
+
+        const data = await res.json();
+        sessionStorage.setItem('tracker_session_token', data.token);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function redirectUnauthorized() {
+    sessionStorage.clear();
+    window.location.href = '/unauthorized.html';
+}
+
+// fetch() wrapper for protected API routes - renews an expired token once, then gives up
+async function api(url, options = {}) {
+    const send = () => fetch(url, { ...options, headers: authHeaders(options.headers) });
+
+    let res = await send();
+    if (res.status === 401 && await refreshSessionToken()) {
+        res = await send();
+    }
+    if (res.status === 401) {
+        redirectUnauthorized();
+        throw new Error('Unauthorized');
+    }
+    return res;
+}
+
+const socket = io({
+    auth: cb => cb({ token: sessionStorage.getItem('tracker_session_token') })
+});
+
+socket.on('connect_error', async err => {
+    if (err.message !== 'Unauthorized') return;
+    if (await refreshSessionToken()) {
+        socket.connect();
+    } else {
+        redirectUnauthorized();
+    }
+});
+
 const catDiv = document.getElementById('catalogue');
 const groupsDiv = document.getElementById('groups');
 const giftUL = document.getElementById('giftStream');
@@ -12,10 +70,18 @@ const btnDisconnect = document.getElementById('disconnect');
 const btnNew = document.getElementById('newGroup');
 const btnReset = document.getElementById('reset');
 const btnTarget = document.getElementById('targetBtn');
-
-let catalog = [], groups = {}, counters = {}, stats = {
+const btnAutoReconnect = document.getElementById('autoReconnectBtn');
+const btnAlerts = document.getElementById('alertsBtn');
+const btnPoll = document.getElementById('pollBtn');
+const btnBattle = document.getElementById('battleBtn');
+const btnTimer = document.getElementById('timerBtn');
+const btnHistory = document.getElementById('historyBtn');
+const btnAudit = document.getElementById('auditBtn');
+
+let catalog = [], groups = {}, counters = {}, goals = {}, boosts = {}, stats = {
     liveStatus: 'DISCONNECTED',
     username: '',
+    rooms: [],
     liveViewers: 0,
     uniqueJoins: 0,
     totalGifts: 0,
@@ -23,12 +89,13 @@ let catalog = [], groups = {}, counters = {}, stats = {
     reconnectAttempts: 0,
     maxReconnectAttempts: 5,  // Updated to match server
     isReconnecting: false,
+    autoReconnect: false,
     errorCount: 0,
     lastError: null
-}, target = 10_000;
+}, target = 10_000, poll = null, battle = null, timer = null, timerReceivedAt = 0;
 
 function updateButtonVisibility() {
-    const isConnected = stats.liveStatus === 'ONLINE' || stats.liveStatus === 'CONNECTING' || stats.liveStatus === 'RECONNECTING';
+    const isConnected = ['ONLINE', 'CONNECTING', 'RECONNECTING', 'WAITING_FOR_LIVE'].includes(stats.liveStatus);
 
     // Show/hide buttons based on connection status
     btnConnect.style.display = isConnected ? 'none' : 'flex';
@@ -37,13 +104,13 @@ function updateButtonVisibility() {
 
 /* ---------- connect / disconnect ---------- */
 btnConnect.onclick = () => {
-    fetch('/api/connect', { method: 'POST' })
+    api('/api/connect', { method: 'POST' })
         .then(() => showToast('Connecting to TikTok Live...', 'info'))
         .catch(() => showToast('Failed to connect', 'error'));
 };
 
 btnDisconnect.onclick = () => {
-    fetch('/api/disconnect', { method: 'POST' })
+    api('/api/disconnect', { method: 'POST' })
         .then(() => showToast('Disconnected from TikTok Live', 'info'))
         .catch(() => showToast('Failed to disconnect', 'error'));
 };
@@ -52,7 +119,12 @@ btnDisconnect.onclick = () => {
 btnReset.onclick = () => {
     showModal({
         title: 'Reset Tracker',
-        content: 'Are you sure you want to reset all counters? This action cannot be undone.',
+        content: `
+            <p class="text-gray-300">Reset all counters, leaderboards and milestones? You can undo it from the change history.</p>
+            <label class="block text-sm font-medium text-gray-300 mt-4 mb-2">Reason (optional)</label>
+            <input type="text" id="resetReasonInput" maxlength="200" placeholder="e.g. new round"
+                class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20">
+        `,
         actions: [
             {
                 label: 'Cancel',
@@ -63,7 +135,11 @@ btnReset.onclick = () => {
                 label: 'Reset',
                 class: 'px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg transition-colors',
                 onClick: () => {
-                    fetch('/api/reset', { method: 'POST' })
+                    api('/api/reset', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ reason: document.getElementById('resetReasonInput').value })
+                    })
                         .then(() => {
                             showToast('Tracker reset successfully', 'success');
                             closeModal();
@@ -75,6 +151,98 @@ btnReset.onclick = () => {
     });
 };
 
+/* ---------- change history (audit trail + undo) ---------- */
+const AUDIT_LABELS = { set: 'Set', adjust: 'Adjusted', reset: 'Reset', revert: 'Undo' };
+
+function describeAuditEntry(e) {
+    if (e.action === 'reset') {
+        return e.before
+            ? `All counters cleared (${e.before.totalDiamonds.toLocaleString()} 💎 total)`
+            : 'All counters cleared';
+    }
+    if (!e.groupId) {
+        return `Restored reset (total ${e.before.totalDiamonds.toLocaleString()} → ${e.after.totalDiamonds.toLocaleString()} 💎)`;
+    }
+    const change = (field, unit) => e.before[field] === e.after[field] ? null
+        : `${e.before[field].toLocaleString()} → ${e.after[field].toLocaleString()}${unit}`;
+    return `${escapeHtml(e.groupName)}: ${[change('diamonds', ' 💎'), change('count', ' gifts')].filter(Boolean).join(', ')}`;
+}
+
+function refreshAuditDrawer() {
+    api('/api/audit?limit=100')
+        .then(res => res.json())
+        .then(({ entries }) => {
+            const list = document.getElementById('auditList');
+            list.innerHTML = entries.length === 0
+                ? '<li class="text-gray-400 text-center py-4">No manual changes yet</li>'
+                : entries.map(e => `
+                    <li class="p-3 bg-dark-900/60 border border-dark-700 rounded-lg ${e.revertedAt ? 'opacity-50' : ''}">
+                        <div class="flex items-center justify-between mb-1">
+                            <span class="text-xs font-semibold ${e.action === 'reset' ? 'text-red-400' : 'text-blue-400'}">${AUDIT_LABELS[e.action] || e.action}</span>
+                            <span class="text-xs text-gray-500">${new Date(e.at).toLocaleString()}</span>
+                        </div>
+                        <p class="text-sm text-white">${describeAuditEntry(e)}</p>
+                        ${e.reason ? `<p class="text-xs text-gray-400 mt-1">“${escapeHtml(e.reason)}”</p>` : ''}
+                        ${e.revertedAt ? `<p class="text-xs text-gray-500 mt-1">Undone ${new Date(e.revertedAt).toLocaleTimeString()}</p>` : ''}
+                        ${e.revertable ? `<button data-revert="${e.id}" class="mt-2 px-3 py-1 text-xs bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors">↶ Undo</button>` : ''}
+                    </li>
+                `).join('');
+
+            list.querySelectorAll('[data-revert]').forEach(btn => {
+                btn.onclick = () => revertAuditEntry(btn.dataset.revert);
+            });
+        })
+        .catch(() => showToast('Failed to load change history', 'error'));
+}
+
+function revertAuditEntry(id) {
+    api(`/api/audit/${encodeURIComponent(id)}/revert`, { method: 'POST' })
+        .then(async res => {
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error);
+            showToast('Change undone', 'success');
+            refreshAuditDrawer();
+        })
+        .catch(err => showToast(err.message || 'Failed to undo change', 'error'));
+}
+
+function closeAuditDrawer() {
+    document.getElementById('auditDrawer').classList.add('hidden');
+}
+
+btnAudit.onclick = () => {
+    document.getElementById('auditDrawer').classList.remove('hidden');
+    refreshAuditDrawer();
+};
+
+// Edits made from other dashboards show up while the drawer is open
+socket.on('audit', () => {
+    if (!document.getElementById('auditDrawer').classList.contains('hidden')) refreshAuditDrawer();
+});
+
+/* ---------- group sources ---------- */
+// What a group counts - mirrors GROUP_SOURCES on the server
+const GROUP_SOURCES = {
+    diamonds: { label: 'Gift diamonds', unit: 'diamonds', icon: '💎', gifts: true },
+    gifts: { label: 'Gift count', unit: 'gifts', icon: '🎁', gifts: true },
+    points: { label: 'Gift points', unit: 'points', icon: '🏅', gifts: true },
+    likes: { label: 'Likes', unit: 'likes', icon: '❤️', gifts: false },
+    follows: { label: 'Follows', unit: 'follows', icon: '➕', gifts: false },
+    shares: { label: 'Shares', unit: 'shares', icon: '🔗', gifts: false },
+    subscriptions: { label: 'Subscriptions', unit: 'subscriptions', icon: '⭐', gifts: false },
+    votes: { label: 'Chat votes', unit: 'votes', icon: '🗳️', gifts: false, poll: true }
+};
+
+function groupSource(g) {
+    return GROUP_SOURCES[g?.source] ? g.source : 'diamonds';
+}
+
+function sourceOptions(selected) {
+    return Object.entries(GROUP_SOURCES)
+        .map(([key, s]) => `<option value="${key}" ${key === selected ? 'selected' : ''}>${s.icon} ${s.label}</option>`)
+        .join('');
+}
+
 /* ---------- new group ---------- */
 btnNew.onclick = () => {
     showModal({
@@ -88,6 +256,15 @@ btnNew.onclick = () => {
                 placeholder="Enter group name"
                 autofocus
             >
+            <label class="block text-sm font-medium text-gray-300 mt-4 mb-2">Counts</label>
+            <select id="groupSourceInput" class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500">
+                ${sourceOptions('diamonds')}
+            </select>
+            ${(stats.rooms || []).length > 1 ? `
+            <label class="block text-sm font-medium text-gray-300 mt-4 mb-2">Count Gifts From</label>
+            <select id="groupRoomInput" class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500">
+                ${roomOptions('')}
+            </select>` : ''}
         `,
         actions: [
             {
@@ -105,7 +282,11 @@ btnNew.onclick = () => {
                         return;
                     }
                     const id = 'g' + Date.now().toString(36);
+                    const room = document.getElementById('groupRoomInput')?.value;
+                    const source = document.getElementById('groupSourceInput').value;
                     groups[id] = { name, giftIds: [], color: randomColor() };
+                    if (room) groups[id].room = room;
+                    if (source !== 'diamonds') groups[id].source = source;
                     saveGroups();
                     showToast(`Group "${name}" created`, 'success');
                     closeModal();
@@ -129,9 +310,10 @@ btnNew.onclick = () => {
 /* ---------- target ---------- */
 btnTarget.onclick = () => {
     showModal({
-        title: 'Set Diamond Target',
+        title: 'Set Default Diamond Target',
         content: `
             <label class="block text-sm font-medium text-gray-300 mb-2">Diamond Target</label>
+            <p class="text-xs text-gray-500 mb-2">Used by groups without their own target (🎯 on the group card).</p>
             <input
                 type="number"
                 id="targetInput"
@@ -158,7 +340,7 @@ btnTarget.onclick = () => {
                         return;
                     }
                     target = parseInt(v);
-                    fetch('/api/target', {
+                    api('/api/target', {
                         method: 'POST',
                         headers: { 'Content-Type': 'application/json' },
                         body: JSON.stringify({ target })
@@ -186,130 +368,1042 @@ btnTarget.onclick = () => {
     }, 100);
 };
 
-/* ========== drag-and-drop gifts ========== */
-let dragGiftId = null;
+/* ---------- chat poll ---------- */
+function renderPollResults(p) {
+    const pct = votes => p.totalVotes > 0 ? Math.round(votes / p.totalVotes * 100) : 0;
+    return p.options.map(o => `
+        <div class="mb-3">
+            <div class="flex items-center justify-between text-sm mb-1">
+                <span class="text-white">${o.number}. ${escapeHtml(o.name)}${o.groupId === p.winner ? ' 👑' : ''}</span>
+                <span class="text-gray-400">${o.votes.toLocaleString()} votes · ${o.voters} viewers · ${pct(o.votes)}%</span>
+            </div>
+            <div class="h-2 bg-dark-900 rounded-full overflow-hidden">
+                <div class="h-full bg-gradient-to-r from-blue-500 to-purple-600" style="width: ${pct(o.votes)}%"></div>
+            </div>
+        </div>
+    `).join('') + `<p class="text-xs text-gray-500">${p.totalVotes.toLocaleString()} votes from ${p.totalVoters} viewers</p>`;
+}
 
-catDiv.addEventListener('dragstart', e => {
-    // Check if the dragged element or its parent has the id
-    const element = e.target.closest('[data-id]');
-    if (element && element.dataset.id) {
-        dragGiftId = element.dataset.id;
-        element.classList.add('dragging');
-        console.log('Dragging gift:', dragGiftId);
-    }
-});
+// Keeps an open poll modal live from the regular state updates
+function refreshPollResults() {
+    const box = document.getElementById('pollResults');
+    if (box && poll) box.innerHTML = renderPollResults(poll);
+}
 
-catDiv.addEventListener('dragend', e => {
-    const element = e.target.closest('[data-id]');
-    if (element) {
-        element.classList.remove('dragging');
-    }
-});
+function showActivePoll() {
+    const commands = poll.options.map(o => `${poll.command} ${o.number}`).join(', ');
+    showModal({
+        title: poll.question || 'Poll Open',
+        content: `
+            <p class="text-xs text-gray-400 mb-4">
+                Vote with ${commands} or an option's name${poll.policy === 'changeable' ? ' · votes can be changed' : ' · first vote counts'}${poll.giftWeighted ? ' · gifts add their diamonds to the vote' : ''}${poll.endsAt ? ` · ends ${new Date(poll.endsAt).toLocaleTimeString()}` : ''}
+            </p>
+            <div id="pollResults">${renderPollResults(poll)}</div>
+        `,
+        actions: [
+            {
+                label: 'Close',
+                class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                onClick: () => closeModal()
+            },
+            {
+                label: 'End Poll',
+                class: 'px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg transition-colors',
+                onClick: () => {
+                    api('/api/poll/close', { method: 'POST' })
+                        .then(res => {
+                            if (!res.ok) throw new Error();
+                            closeModal();
+                        })
+                        .catch(() => showToast('Failed to end poll', 'error'));
+                }
+            }
+        ]
+    });
+}
 
-groupsDiv.addEventListener('dragover', e => {
-    e.preventDefault();
-    const box = e.target.closest('.group-card');
-    if (box) {
-        box.classList.add('drag-over');
-    }
-});
+function showNewPoll({ history, defaultCommand }) {
+    const voteGroups = Object.entries(groups).filter(([, g]) => groupSource(g) === 'votes');
+    const last = history[0];
+    const lastWinner = last?.options.find(o => o.groupId === last.winner);
+
+    const options = voteGroups.map(([id, g]) => `
+        <div class="flex items-center space-x-3 mb-2">
+            <input type="checkbox" data-poll-group="${escapeHtml(id)}" class="w-4 h-4" checked>
+            <span class="w-28 text-sm text-white truncate">${escapeHtml(g.name)}</span>
+            <input type="text" data-poll-keywords="${escapeHtml(id)}" value="${escapeHtml((g.voteKeywords || []).join(', '))}" placeholder="keywords, e.g. ${escapeHtml(g.name.toLowerCase())}"
+                class="flex-1 px-3 py-1.5 bg-dark-900 border border-dark-600 rounded-lg text-white text-sm focus:outline-none focus:border-blue-500">
+        </div>
+    `).join('');
 
-groupsDiv.addEventListener('dragleave', e => {
-    const box = e.target.closest('.group-card');
-    if (box && !box.contains(e.relatedTarget)) {
-        box.classList.remove('drag-over');
-    }
-});
+    showModal({
+        title: 'Start a Chat Poll',
+        content: voteGroups.length < 2
+            ? '<p class="text-gray-400 text-center py-4">Create at least two groups with the 🗳️ Chat votes source - each one is a poll option</p>'
+            : `
+                <label class="block text-sm font-medium text-gray-300 mb-2">Question (optional)</label>
+                <input type="text" id="pollQuestion" maxlength="200"
+                    class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20">
+                <label class="block text-sm font-medium text-gray-300 mt-4 mb-2">Options</label>
+                ${options}
+                <p class="text-xs text-gray-500 mb-4">Keywords also count on their own ("red" or "!red"). Option counters restart from zero.</p>
+                <div class="grid grid-cols-2 gap-3">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-300 mb-2">Command</label>
+                        <input type="text" id="pollCommand" value="${escapeHtml(defaultCommand)}"
+                            class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-300 mb-2">Duration (minutes)</label>
+                        <input type="number" id="pollDuration" min="0" placeholder="Until ended"
+                            class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500">
+                    </div>
+                </div>
+                <label class="block text-sm font-medium text-gray-300 mt-4 mb-2">Votes</label>
+                <select id="pollPolicy" class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500">
+                    <option value="single">One vote per viewer (first vote counts)</option>
+                    <option value="changeable">Viewers can change their vote</option>
+                </select>
+                <label class="flex items-center space-x-3 mt-4">
+                    <input type="checkbox" id="pollGiftWeighted" class="w-4 h-4">
+                    <span class="text-sm text-gray-300">Gift-weighted: diamonds a voter gifts during the poll add to their vote</span>
+                </label>
+                ${last ? `<p class="text-xs text-gray-500 mt-4">Last poll: ${lastWinner ? `${escapeHtml(lastWinner.name)} won` : last.tie ? 'tie' : 'no votes'} with ${last.totalVotes.toLocaleString()} votes (${new Date(last.closedAt).toLocaleString()})</p>` : ''}
+            `,
+        actions: [
+            {
+                label: 'Cancel',
+                class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                onClick: () => closeModal()
+            },
+            ...(voteGroups.length < 2 ? [] : [{
+                label: 'Open Poll',
+                class: 'px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white rounded-lg transition-all',
+                onClick: () => {
+                    const options = [...document.querySelectorAll('[data-poll-group]')]
+                        .filter(box => box.checked)
+                        .map(box => ({
+                            groupId: box.dataset.pollGroup,
+                            keywords: document.querySelector(`[data-poll-keywords="${CSS.escape(box.dataset.pollGroup)}"]`).value
+                                .split(',').map(k => k.trim()).filter(Boolean)
+                        }));
+                    const minutes = parseFloat(document.getElementById('pollDuration').value) || 0;
+
+                    api('/api/poll/open', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            question: document.getElementById('pollQuestion').value,
+                            options,
+                            command: document.getElementById('pollCommand').value,
+                            policy: document.getElementById('pollPolicy').value,
+                            giftWeighted: document.getElementById('pollGiftWeighted').checked,
+                            durationSec: minutes > 0 ? Math.round(minutes * 60) : null
+                        })
+                    })
+                        .then(async res => {
+                            const data = await res.json();
+                            if (!res.ok) throw new Error(data.error);
+                            poll = data.poll;
+                            showToast('Poll opened', 'success');
+                            showActivePoll();
+                        })
+                        .catch(err => showToast(err.message || 'Failed to open poll', 'error'));
+                }
+            }])
+        ]
+    });
+}
 
-groupsDiv.addEventListener('drop', e => {
-    e.preventDefault();
-    const box = e.target.closest('.group-card');
+btnPoll.onclick = () => {
+    api('/api/poll')
+        .then(res => res.json())
+        .then(data => {
+            poll = data.poll;
+            if (poll) showActivePoll();
+            else showNewPoll(data);
+        })
+        .catch(() => showToast('Failed to load poll', 'error'));
+};
 
-    console.log('Drop event - box:', box, 'dragGiftId:', dragGiftId);
+/* ---------- team battle ---------- */
+const BATTLE_STATUS = { round: 'Round running', intermission: 'Between rounds', finished: 'Finished' };
+const BATTLE_COLORS = ['#ef4444', '#3b82f6', '#22c55e', '#eab308'];   // Same fallbacks as battle.html
 
-    if (!box || !dragGiftId) {
-        console.log('Drop failed: box or dragGiftId is missing');
-        return;
-    }
+function openBattleOverlay() {
+    window.open('/battle.html', '_blank', 'width=1200,height=400');
+}
 
-    box.classList.remove('drag-over');
-    const groupId = box.dataset.id;
+function renderBattleStatus(b) {
+    const name = gid => escapeHtml(b.teams.find(t => t.groupId === gid)?.name || gid);
+    const result = b.status === 'finished'
+        ? (b.winner ? `🏆 ${name(b.winner)} wins` : 'Draw')
+        : `${BATTLE_STATUS[b.status]}${b.status === 'round' ? ` · ends ${new Date(b.roundEndsAt).toLocaleTimeString()}` : ''}`;
 
-    console.log('Adding gift', dragGiftId, 'to group', groupId);
+    return `
+        <p class="text-sm text-gray-400 mb-3">Round ${b.round} · best of ${b.bestOf} · ${result}</p>
+        <div class="flex h-3 rounded-full overflow-hidden bg-dark-900 mb-3">
+            ${b.teams.map((t, i) => `<div style="width: ${(t.share * 100).toFixed(1)}%; background: ${escapeHtml(t.color || BATTLE_COLORS[i])}"></div>`).join('')}
+        </div>
+        ${b.teams.map(t => `
+            <div class="flex items-center justify-between text-sm py-1">
+                <span class="text-white">${escapeHtml(t.name)}</span>
+                <span class="text-gray-400">${t.score.toLocaleString()} ${b.unit} · ${t.wins} round${t.wins === 1 ? '' : 's'} won</span>
+            </div>
+        `).join('')}
+        ${b.rounds.length ? `<p class="text-xs text-gray-500 mt-3">${b.rounds.map(r => `R${r.round}: ${r.winner ? name(r.winner) : 'draw'}`).join(' · ')}</p>` : ''}
+    `;
+}
 
-    // Ensure giftIds array exists
-    if (!groups[groupId].giftIds) {
-        groups[groupId].giftIds = [];
-    }
+// Keeps an open battle modal live from the 'battle' broadcasts
+function refreshBattleStatus() {
+    const box = document.getElementById('battleStatus');
+    if (box && battle) box.innerHTML = renderBattleStatus(battle);
+}
 
-    if (!groups[groupId].giftIds.includes(Number(dragGiftId))) {
-        groups[groupId].giftIds.push(Number(dragGiftId));
-        saveGroups();
-        showToast('Gift added to group', 'success');
-    } else {
-        showToast('Gift already in group', 'info');
-    }
+function battleAction(url, message) {
+    api(url, { method: 'POST' })
+        .then(async res => {
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error);
+            showToast(message, 'success');
+            battle = data.battle || null;
+            btnBattle.onclick();
+        })
+        .catch(err => showToast(err.message || 'Battle update failed', 'error'));
+}
 
-    dragGiftId = null;
-});
+function showRunningBattle() {
+    showModal({
+        title: `⚔️ ${battle.name}`,
+        content: `<div id="battleStatus">${renderBattleStatus(battle)}</div>`,
+        actions: [
+            {
+                label: 'Close',
+                class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                onClick: () => closeModal()
+            },
+            {
+                label: 'Open Overlay',
+                class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                onClick: openBattleOverlay
+            },
+            {
+                label: 'End Battle',
+                class: 'px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg transition-colors',
+                onClick: () => battleAction('/api/battle/end', 'Battle ended')
+            },
+            ...(battle.status === 'intermission' ? [{
+                label: 'Next Round',
+                class: 'px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white rounded-lg transition-all',
+                onClick: () => battleAction('/api/battle/round', `Round ${battle.round + 1} started`)
+            }] : [])
+        ]
+    });
+}
 
-/* ---------- socket events ---------- */
-socket.on('update', p => {
-    ({ groups, counters, target, stats } = p);
-    drawGroups();
-    updateStats();
-});
+function showNewBattle() {
+    const teams = Object.entries(groups).map(([id, g]) => `
+        <label class="flex items-center space-x-3 mb-2">
+            <input type="checkbox" data-battle-group="${escapeHtml(id)}" class="w-4 h-4">
+            <span class="text-sm text-white">${escapeHtml(g.name)}</span>
+            <span class="text-xs text-gray-500">${GROUP_SOURCES[groupSource(g)].icon} ${GROUP_SOURCES[groupSource(g)].unit}</span>
+        </label>
+    `).join('');
 
-socket.on('giftStream', d => {
-    const emptyState = document.getElementById('emptyStream');
-    if (emptyState) emptyState.style.display = 'none';
+    showModal({
+        title: 'Start a Team Battle',
+        content: `
+            ${battle ? `<div class="p-3 mb-4 bg-dark-800/50 border border-dark-700 rounded-lg"><p class="text-sm font-medium text-white mb-2">Last battle: ${escapeHtml(battle.name)}</p>${renderBattleStatus(battle)}</div>` : ''}
+            <label class="block text-sm font-medium text-gray-300 mb-2">Name (optional)</label>
+            <input type="text" id="battleName" maxlength="100" placeholder="Team A vs Team B"
+                class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20">
+            <label class="block text-sm font-medium text-gray-300 mt-4 mb-2">Teams (2-4 groups counting the same thing)</label>
+            ${teams || '<p class="text-sm text-gray-400">Create some groups first</p>'}
+            <div class="grid grid-cols-2 gap-3 mt-4">
+                <div>
+                    <label class="block text-sm font-medium text-gray-300 mb-2">Round length (minutes)</label>
+                    <input type="number" id="battleRoundMinutes" value="3" min="0.5" step="0.5"
+                        class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-300 mb-2">Rounds</label>
+                    <select id="battleBestOf" class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500">
+                        ${[1, 3, 5, 7, 9].map(n => `<option value="${n}" ${n === 3 ? 'selected' : ''}>${n === 1 ? 'Single round' : `Best of ${n}`}</option>`).join('')}
+                    </select>
+                </div>
+            </div>
+            <p class="text-xs text-gray-500 mt-3">Each round scores what every team gains while it runs. Start the next round from here when you're ready.</p>
+        `,
+        actions: [
+            {
+                label: 'Cancel',
+                class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                onClick: () => closeModal()
+            },
+            ...(battle ? [{
+                label: 'Hide Result',
+                class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                onClick: () => battleAction('/api/battle/clear', 'Battle removed from the overlay')
+            }] : []),
+            {
+                label: 'Start Battle',
+                class: 'px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white rounded-lg transition-all',
+                onClick: () => {
+                    const groupIds = [...document.querySelectorAll('[data-battle-group]')]
+                        .filter(box => box.checked)
+                        .map(box => box.dataset.battleGroup);
 
-    const li = document.createElement('li');
-    li.className = 'flex items-center space-x-3 p-3 bg-dark-800/50 rounded-lg border border-dark-700/50 hover:border-dark-600 transition-colors animate-slide-in';
-    li.innerHTML = `
-        <img src="${d.giftPictureUrl || ''}" width="32" height="32" class="rounded" onerror="this.style.display='none'">
-        <div class="flex-1 min-w-0">
-            <p class="text-sm font-medium text-white truncate">${d.nickname}</p>
-            <p class="text-xs text-gray-400">sent ${d.giftName} ×${d.repeat_count || 1}</p>
-        </div>
-        <span class="text-sm font-semibold text-yellow-400">+${d.diamondCount * (d.repeat_count || 1)}💎</span>
-    `;
-    giftUL.prepend(li);
-    trim(giftUL);
-});
+                    api('/api/battle/start', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            name: document.getElementById('battleName').value,
+                            groupIds,
+                            roundSec: Math.round((parseFloat(document.getElementById('battleRoundMinutes').value) || 0) * 60),
+                            bestOf: parseInt(document.getElementById('battleBestOf').value)
+                        })
+                    })
+                        .then(async res => {
+                            const data = await res.json();
+                            if (!res.ok) throw new Error(data.error);
+                            battle = data.battle;
+                            showToast('Battle started', 'success');
+                            showRunningBattle();
+                        })
+                        .catch(err => showToast(err.message || 'Failed to start battle', 'error'));
+                }
+            }
+        ]
+    });
+}
 
-socket.on('giftCatalog', c => {
-    catalog = c;
-    drawCatalog();
-});
+btnBattle.onclick = () => {
+    api('/api/battle')
+        .then(res => res.json())
+        .then(data => {
+            battle = data.battle;
+            if (battle && battle.status !== 'finished') showRunningBattle();
+            else showNewBattle();
+        })
+        .catch(() => showToast('Failed to load battle', 'error'));
+};
 
-/* ---------- error handling ---------- */
-socket.on('error', errorData => {
-    console.error('Connection error:', errorData);
-    showToast(`Error: ${errorData.message}`, 'error');
-});
+/* ---------- subathon timer ---------- */
+const TIMER_STATUS = { idle: 'Not started', running: 'Running', paused: 'Paused', ended: 'Ended' };
 
-/* ========== UI builders ========== */
-function updateStats() {
-    // Enhanced status colors and icons based on connection state
-    let statusColor, statusIcon, statusText;
+function formatClock(ms) {
+    const secs = Math.ceil(ms / 1000);
+    return `${Math.floor(secs / 3600)}:${String(Math.floor(secs / 60) % 60).padStart(2, '0')}:${String(secs % 60).padStart(2, '0')}`;
+}
 
-    switch (stats.liveStatus) {
-        case 'ONLINE':
-            statusColor = 'text-green-400';
-            statusIcon = '<span class="w-2 h-2 bg-green-400 rounded-full animate-pulse"></span>';
-            statusText = 'ONLINE';
-            break;
-        case 'CONNECTING':
-            statusColor = 'text-blue-400';
-            statusIcon = '<span class="w-2 h-2 bg-blue-400 rounded-full animate-pulse"></span>';
-            statusText = 'CONNECTING';
-            break;
-        case 'RECONNECTING':
+// Per-gift seconds are edited as lines of "gift name or id | seconds"
+function formatTimerGifts(gifts) {
+    return Object.entries(gifts || {}).map(([giftId, seconds]) => {
+        const gift = catalog.find(g => String(g.id) === giftId);
+        return `${gift ? gift.name : giftId} | ${seconds}`;
+    }).join('\n');
+}
+
+function parseTimerGifts(text) {
+    const gifts = {};
+    for (const line of text.split('\n').map(l => l.trim()).filter(Boolean)) {
+        const [name, seconds] = line.split('|').map(part => (part || '').trim());
+        const gift = catalog.find(g => String(g.id) === name || g.name.toLowerCase() === name.toLowerCase());
+        if (!gift) throw new Error(`Unknown gift "${name}"`);
+        if (seconds === '' || !(Number(seconds) >= 0)) throw new Error(`Invalid seconds for "${name}"`);
+        gifts[gift.id] = Number(seconds);
+    }
+    return gifts;
+}
+
+function refreshTimerStatus() {
+    const clock = document.getElementById('timerClockLive');
+    if (!clock || !timer) return;
+
+    const remaining = timer.status === 'running'
+        ? Math.max(0, timer.remainingMs - (Date.now() - timerReceivedAt))
+        : timer.remainingMs;
+    clock.textContent = formatClock(remaining);
+    document.getElementById('timerStatusLive').textContent =
+        `${TIMER_STATUS[timer.status]}${timer.addedMs ? ` · ${formatClock(timer.addedMs)} added by gifts` : ''}`;
+}
+setInterval(refreshTimerStatus, 1000);
+
+function timerAction(path, body, message) {
+    api(`/api/timer/${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+    })
+        .then(async res => {
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error);
+            showToast(message, 'success');
+            btnTimer.onclick();
+        })
+        .catch(err => showToast(err.message || 'Timer update failed', 'error'));
+}
+
+btnTimer.onclick = () => {
+    api('/api/timer')
+        .then(res => res.json())
+        .then(data => {
+            timer = data.timer;
+            timerReceivedAt = Date.now();
+            const { settings } = data;
+            const active = timer.status === 'running' || timer.status === 'paused';
+            const controlClass = 'px-3 py-2 bg-dark-700 hover:bg-dark-600 text-white text-sm rounded-lg transition-colors';
+            const inputClass = 'w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20';
+
+            showModal({
+                title: 'Subathon Timer',
+                content: `
+                    <div class="text-center mb-4">
+                        <div id="timerClockLive" class="text-4xl font-bold text-white tabular-nums">${formatClock(timer.remainingMs)}</div>
+                        <div id="timerStatusLive" class="text-xs text-gray-400 mt-1"></div>
+                    </div>
+                    ${active ? `
+                        <div class="flex items-center space-x-2 mb-2">
+                            <input type="number" id="timerAdjustMinutes" value="5" min="1" class="${inputClass}">
+                            <button id="timerAdd" class="${controlClass} whitespace-nowrap">+ Add min</button>
+                            <button id="timerRemove" class="${controlClass} whitespace-nowrap">− Remove min</button>
+                        </div>
+                        <div class="flex space-x-2 mb-4">
+                            <button id="timerPauseResume" class="${controlClass} flex-1">${timer.status === 'running' ? '⏸ Pause' : '▶ Resume'}</button>
+                            <button id="timerStop" class="px-3 py-2 bg-red-500/20 hover:bg-red-500/30 text-red-400 text-sm rounded-lg transition-colors flex-1">Stop</button>
+                        </div>
+                    ` : `
+                        <div class="flex items-center space-x-2 mb-4">
+                            <input type="number" id="timerStartMinutes" value="60" min="1" class="${inputClass}">
+                            <button id="timerStart" class="px-3 py-2 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white text-sm rounded-lg whitespace-nowrap">▶ Start (minutes)</button>
+                        </div>
+                    `}
+                    <div class="grid grid-cols-2 gap-3">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-300 mb-2">Seconds per diamond</label>
+                            <input type="number" id="timerPerDiamond" value="${settings.secondsPerDiamond}" min="0" step="0.1" class="${inputClass}">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-300 mb-2">Cap (hours on the clock)</label>
+                            <input type="number" id="timerCapHours" value="${settings.capSec ? settings.capSec / 3600 : ''}" min="0" step="0.5" placeholder="No cap" class="${inputClass}">
+                        </div>
+                    </div>
+                    <label class="block text-sm font-medium text-gray-300 mt-4 mb-2">Per-gift seconds (optional)</label>
+                    <textarea id="timerGifts" rows="3" placeholder="Rose | 10"
+                        class="${inputClass} font-mono text-sm">${formatTimerGifts(settings.gifts)}</textarea>
+                    <p class="text-xs text-gray-500 mt-2">One gift per line: gift name or id | seconds per gift, replacing the diamond rate. The cap only limits time added by gifts.</p>
+                `,
+                actions: [
+                    {
+                        label: 'Close',
+                        class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                        onClick: () => closeModal()
+                    },
+                    {
+                        label: 'Open Overlay',
+                        class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                        onClick: () => window.open('/timer.html', '_blank', 'width=600,height=300')
+                    },
+                    {
+                        label: 'Save Settings',
+                        class: 'px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white rounded-lg transition-all',
+                        onClick: () => {
+                            let gifts;
+                            try {
+                                gifts = parseTimerGifts(document.getElementById('timerGifts').value);
+                            } catch (err) {
+                                showToast(err.message, 'error');
+                                return;
+                            }
+                            const capHours = parseFloat(document.getElementById('timerCapHours').value) || 0;
+                            timerAction('settings', {
+                                secondsPerDiamond: parseFloat(document.getElementById('timerPerDiamond').value) || 0,
+                                capSec: capHours > 0 ? Math.round(capHours * 3600) : null,
+                                gifts
+                            }, 'Timer settings saved');
+                        }
+                    }
+                ]
+            });
+            refreshTimerStatus();
+
+            const minutes = id => Math.round((parseFloat(document.getElementById(id).value) || 0) * 60);
+            if (active) {
+                document.getElementById('timerAdd').onclick = () =>
+                    timerAction('adjust', { seconds: minutes('timerAdjustMinutes') }, 'Time added');
+                document.getElementById('timerRemove').onclick = () =>
+                    timerAction('adjust', { seconds: -minutes('timerAdjustMinutes') }, 'Time removed');
+                document.getElementById('timerPauseResume').onclick = () => timer.status === 'running'
+                    ? timerAction('pause', null, 'Timer paused')
+                    : timerAction('resume', null, 'Timer resumed');
+                document.getElementById('timerStop').onclick = () => timerAction('stop', null, 'Timer stopped');
+            } else {
+                document.getElementById('timerStart').onclick = () =>
+                    timerAction('start', { durationSec: minutes('timerStartMinutes') }, 'Timer started');
+            }
+        })
+        .catch(() => showToast('Failed to load timer', 'error'));
+};
+
+/* ---------- auto-reconnect ---------- */
+btnAutoReconnect.onclick = () => {
+    api('/api/reconnect')
+        .then(res => res.json())
+        .then(({ settings }) => {
+            showModal({
+                title: 'Auto-Reconnect',
+                content: `
+                    <label class="flex items-center space-x-3 mb-4">
+                        <input type="checkbox" id="arEnabled" class="w-4 h-4" ${settings.enabled ? 'checked' : ''}>
+                        <span class="text-sm text-gray-300">Reconnect automatically when the connection drops</span>
+                    </label>
+                    <label class="block text-sm font-medium text-gray-300 mb-2">Maximum Attempts</label>
+                    <input
+                        type="number"
+                        id="arMaxAttempts"
+                        class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20"
+                        value="${settings.maxAttempts}"
+                        min="0"
+                    >
+                    <label class="flex items-center space-x-3 mt-4">
+                        <input type="checkbox" id="arWaitForLive" class="w-4 h-4" ${settings.waitForLive ? 'checked' : ''}>
+                        <span class="text-sm text-gray-300">Then keep checking until the host goes live</span>
+                    </label>
+                    <p class="text-xs text-gray-500 mt-3">Retries start after ${Math.round(settings.baseDelayMs / 1000)}s and double each time (max ${Math.round(settings.maxDelayMs / 1000)}s).</p>
+                `,
+                actions: [
+                    {
+                        label: 'Cancel',
+                        class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                        onClick: () => closeModal()
+                    },
+                    {
+                        label: 'Save',
+                        class: 'px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white rounded-lg transition-all',
+                        onClick: () => {
+                            api('/api/reconnect', {
+                                method: 'POST',
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify({
+                                    enabled: document.getElementById('arEnabled').checked,
+                                    maxAttempts: parseInt(document.getElementById('arMaxAttempts').value) || 0,
+                                    waitForLive: document.getElementById('arWaitForLive').checked
+                                })
+                            })
+                                .then(res => {
+                                    if (!res.ok) throw new Error();
+                                    showToast('Auto-reconnect settings saved', 'success');
+                                    closeModal();
+                                })
+                                .catch(() => showToast('Failed to save settings', 'error'));
+                        }
+                    }
+                ]
+            });
+        })
+        .catch(() => showToast('Failed to load auto-reconnect settings', 'error'));
+};
+
+/* ---------- gift alerts overlay ---------- */
+// Per-gift overrides are edited as lines of "gift name or id | template | sound"
+function formatAlertOverrides(gifts) {
+    return Object.entries(gifts || {}).map(([giftId, o]) => {
+        const gift = catalog.find(g => String(g.id) === giftId);
+        return [gift ? gift.name : giftId, o.template || '', o.sound === null ? 'none' : (o.sound || '')].join(' | ');
+    }).join('\n');
+}
+
+function parseAlertOverrides(text) {
+    const gifts = {};
+    for (const line of text.split('\n').map(l => l.trim()).filter(Boolean)) {
+        const [name, template, sound] = line.split('|').map(part => (part || '').trim());
+        const gift = catalog.find(g => String(g.id) === name || g.name.toLowerCase() === name.toLowerCase());
+        if (!gift) throw new Error(`Unknown gift "${name}"`);
+
+        const entry = {};
+        if (template) entry.template = template;
+        if (sound) entry.sound = sound === 'none' ? null : sound;
+        gifts[gift.id] = entry;
+    }
+    return gifts;
+}
+
+btnAlerts.onclick = () => {
+    api('/api/alerts')
+        .then(res => res.json())
+        .then(({ settings, media }) => {
+            const soundOptions = ['<option value="">No sound</option>']
+                .concat(media.map(f => `<option value="${f}" ${settings.sound === f ? 'selected' : ''}>${f}</option>`))
+                .join('');
+
+            showModal({
+                title: 'Gift Alerts',
+                content: `
+                    <div class="grid grid-cols-2 gap-4">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-300 mb-2">Minimum Diamonds</label>
+                            <input type="number" id="alMin" min="0" value="${settings.minDiamonds}"
+                                class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-300 mb-2">Duration (seconds)</label>
+                            <input type="number" id="alDuration" min="1" max="60" value="${settings.durationMs / 1000}"
+                                class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20">
+                        </div>
+                    </div>
+                    <label class="flex items-center space-x-3 mt-4">
+                        <input type="checkbox" id="alCombo" class="w-4 h-4" ${settings.comboMode ? 'checked' : ''}>
+                        <span class="text-sm text-gray-300">Combo mode - one alert per streak with a running count</span>
+                    </label>
+                    <label class="block text-sm font-medium text-gray-300 mt-4 mb-2">Message</label>
+                    <input type="text" id="alTemplate" value="${settings.template}"
+                        class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20">
+                    <label class="block text-sm font-medium text-gray-300 mt-4 mb-2">Sound</label>
+                    <select id="alSound" class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500">${soundOptions}</select>
+                    <label class="block text-sm font-medium text-gray-300 mt-4 mb-2">Per-gift overrides</label>
+                    <textarea id="alGifts" rows="4" placeholder="Lion | {nickname} unleashed a LION! | roar.mp3&#10;Rose | | none"
+                        class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white font-mono text-sm focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20">${formatAlertOverrides(settings.gifts)}</textarea>
+                    <p class="text-xs text-gray-500 mt-2">Messages may use {nickname}, {uniqueId}, {giftName}, {count} and {diamonds}. Sounds are files in the data folder's alert-media directory${media.length ? '' : ' (none found yet)'}.</p>
+                `,
+                actions: [
+                    {
+                        label: 'Open Overlay',
+                        class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                        onClick: () => window.open('/alerts.html', '_blank', 'width=1200,height=600')
+                    },
+                    {
+                        label: 'Test Alert',
+                        class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                        onClick: () => {
+                            api('/api/alerts/test', { method: 'POST' })
+                                .then(() => showToast('Test alert sent to open overlays', 'info'))
+                                .catch(() => showToast('Failed to send test alert', 'error'));
+                        }
+                    },
+                    {
+                        label: 'Save',
+                        class: 'px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white rounded-lg transition-all',
+                        onClick: () => {
+                            let gifts;
+                            try {
+                                gifts = parseAlertOverrides(document.getElementById('alGifts').value);
+                            } catch (err) {
+                                showToast(err.message, 'error');
+                                return;
+                            }
+
+                            api('/api/alerts', {
+                                method: 'POST',
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify({
+                                    minDiamonds: parseInt(document.getElementById('alMin').value) || 0,
+                                    durationMs: Math.round((Number(document.getElementById('alDuration').value) || 5) * 1000),
+                                    comboMode: document.getElementById('alCombo').checked,
+                                    template: document.getElementById('alTemplate').value,
+                                    sound: document.getElementById('alSound').value || null,
+                                    gifts
+                                })
+                            })
+                                .then(async res => {
+                                    const data = await res.json();
+                                    if (!res.ok) throw new Error(data.error);
+                                    showToast('Alert settings saved', 'success');
+                                    closeModal();
+                                })
+                                .catch(err => showToast(err.message || 'Failed to save alert settings', 'error'));
+                        }
+                    }
+                ]
+            });
+        })
+        .catch(() => showToast('Failed to load alert settings', 'error'));
+};
+
+/* ---------- stream history ---------- */
+function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+// Protected downloads go through api() for the auth header, then get saved from a blob
+function downloadLedger(query, format) {
+    api(`/api/ledger?${query}&format=${format}`)
+        .then(async res => {
+            if (!res.ok) throw new Error((await res.json()).error);
+            const name = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '')?.[1] || `gift-ledger.${format}`;
+            const url = URL.createObjectURL(await res.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = name;
+            link.click();
+            URL.revokeObjectURL(url);
+        })
+        .catch(err => showToast(err.message || 'Failed to export gift ledger', 'error'));
+}
+
+// Date inputs are local days; the range covers both of them completely
+function ledgerRangeQuery() {
+    const from = document.getElementById('ledgerFrom').value;
+    const to = document.getElementById('ledgerTo').value;
+    return new URLSearchParams({
+        from: new Date(`${from}T00:00:00`).toISOString(),
+        to: new Date(`${to}T23:59:59.999`).toISOString()
+    }).toString();
+}
+
+btnHistory.onclick = () => {
+    api('/api/sessions')
+        .then(res => res.json())
+        .then(({ active, sessions }) => {
+            const row = (s, live) => `
+                <button data-session="${s.id}" class="w-full text-left p-3 bg-dark-800/50 hover:bg-dark-700 border border-dark-700 rounded-lg transition-colors">
+                    <div class="flex items-center justify-between">
+                        <span class="text-sm font-medium text-white">@${escapeHtml(s.room)} · ${new Date(s.startedAt).toLocaleString()}</span>
+                        <span class="text-sm font-semibold text-yellow-400">${s.totalDiamonds.toLocaleString()} 💎</span>
+                    </div>
+                    <p class="text-xs text-gray-400 mt-1">
+                        ${live ? '<span class="text-green-400">● Live</span> · ' : ''}${formatDuration(s.durationMs)} · ${s.viewers.peak} peak viewers · ${s.uniqueJoins} joins · ${s.totalGifts} gifts
+                        ${s.topGifter ? ` · top: ${escapeHtml(s.topGifter.nickname || s.topGifter.uniqueId)}` : ''}
+                    </p>
+                </button>
+            `;
+            const list = [...active.map(s => row(s, true)), ...sessions.map(s => row(s, false))].join('');
+            const today = new Date().toLocaleDateString('en-CA');   // yyyy-mm-dd
+
+            showModal({
+                title: 'Stream History',
+                content: `
+                    <div class="max-h-96 overflow-y-auto space-y-2">
+                        ${list || '<p class="text-gray-400 text-center py-4">No streams recorded yet - a session is saved when the host ends the stream</p>'}
+                    </div>
+                    <label class="block text-sm font-medium text-gray-300 mt-4 mb-2">Gift ledger export</label>
+                    <div class="flex items-center space-x-2">
+                        <input type="date" id="ledgerFrom" value="${today}"
+                            class="flex-1 px-3 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500">
+                        <span class="text-gray-500">to</span>
+                        <input type="date" id="ledgerTo" value="${today}"
+                            class="flex-1 px-3 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500">
+                    </div>
+                    <p class="text-xs text-gray-500 mt-2">Every counted gift with sender, group and whether it was counted by streak end or combo timeout. Open a stream above to export just that stream.</p>
+                `,
+                actions: [
+                    {
+                        label: 'Export CSV',
+                        class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                        onClick: () => downloadLedger(ledgerRangeQuery(), 'csv')
+                    },
+                    {
+                        label: 'Export JSON',
+                        class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                        onClick: () => downloadLedger(ledgerRangeQuery(), 'json')
+                    },
+                    {
+                        label: 'Close',
+                        class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                        onClick: () => closeModal()
+                    }
+                ]
+            });
+
+            document.querySelectorAll('[data-session]').forEach(el => {
+                el.onclick = () => showSessionDetail(el.dataset.session);
+            });
+        })
+        .catch(() => showToast('Failed to load stream history', 'error'));
+};
+
+function showSessionDetail(id) {
+    api(`/api/sessions/${encodeURIComponent(id)}`)
+        .then(res => res.json())
+        .then(s => {
+            const groupRows = s.groups.map(g => `
+                <div class="flex items-center justify-between text-sm">
+                    <span class="text-white">${escapeHtml(g.name)}</span>
+                    <span class="text-gray-400">${GROUP_SOURCES[g.source]?.gifts === false
+                        ? `<span class="text-yellow-400">${g.value.toLocaleString()} ${g.unit}</span>`
+                        : `${g.gifts} gifts · <span class="text-yellow-400">${g.diamonds.toLocaleString()} 💎</span>`}${g.target ? ` / ${g.target.toLocaleString()}` : ''}</span>
+                </div>
+            `).join('');
+            const gifterRows = s.topGifters.map(e => `
+                <div class="flex items-center justify-between text-sm">
+                    <span class="text-white">${RANK_MEDALS[e.rank - 1] || e.rank} ${escapeHtml(e.nickname || e.uniqueId)} <span class="text-gray-500">@${escapeHtml(e.uniqueId)}</span></span>
+                    <span class="text-yellow-400">${e.diamonds.toLocaleString()} 💎</span>
+                </div>
+            `).join('');
+
+            showModal({
+                title: `@${s.room} · ${new Date(s.startedAt).toLocaleDateString()}`,
+                content: `
+                    <div class="grid grid-cols-3 gap-3 text-center mb-4">
+                        <div class="p-2 bg-dark-900 rounded-lg"><p class="text-xs text-gray-500">Duration</p><p class="text-white font-semibold">${formatDuration(s.durationMs)}</p></div>
+                        <div class="p-2 bg-dark-900 rounded-lg"><p class="text-xs text-gray-500">Peak / avg viewers</p><p class="text-white font-semibold">${s.viewers.peak} / ${s.viewers.average}</p></div>
+                        <div class="p-2 bg-dark-900 rounded-lg"><p class="text-xs text-gray-500">Unique joins</p><p class="text-white font-semibold">${s.uniqueJoins}</p></div>
+                        <div class="p-2 bg-dark-900 rounded-lg"><p class="text-xs text-gray-500">Gifts</p><p class="text-white font-semibold">${s.totalGifts.toLocaleString()}</p></div>
+                        <div class="p-2 bg-dark-900 rounded-lg"><p class="text-xs text-gray-500">Diamonds</p><p class="text-yellow-400 font-semibold">${s.totalDiamonds.toLocaleString()}</p></div>
+                        <div class="p-2 bg-dark-900 rounded-lg"><p class="text-xs text-gray-500">Gifters</p><p class="text-white font-semibold">${s.totalGifters}</p></div>
+                    </div>
+                    <p class="text-xs text-gray-500 mb-4">${new Date(s.startedAt).toLocaleTimeString()} – ${s.endedAt ? new Date(s.endedAt).toLocaleTimeString() : 'live now'}</p>
+                    <h4 class="text-sm font-semibold text-gray-300 mb-2">Groups</h4>
+                    <div class="space-y-1 mb-4">${groupRows || '<p class="text-sm text-gray-500">No grouped gifts</p>'}</div>
+                    <h4 class="text-sm font-semibold text-gray-300 mb-2">Top Gifters</h4>
+                    <div class="space-y-1 max-h-48 overflow-y-auto">${gifterRows || '<p class="text-sm text-gray-500">No gifts</p>'}</div>
+                `,
+                actions: [
+                    {
+                        label: 'Export CSV',
+                        class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                        onClick: () => downloadLedger(`session=${encodeURIComponent(s.id)}`, 'csv')
+                    },
+                    {
+                        label: 'Export JSON',
+                        class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                        onClick: () => downloadLedger(`session=${encodeURIComponent(s.id)}`, 'json')
+                    },
+                    {
+                        label: 'Back',
+                        class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                        onClick: () => btnHistory.onclick()
+                    },
+                    {
+                        label: 'Close',
+                        class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                        onClick: () => closeModal()
+                    }
+                ]
+            });
+        })
+        .catch(() => showToast('Failed to load session', 'error'));
+}
+
+/* ========== drag-and-drop gifts ========== */
+let dragGiftId = null;
+
+catDiv.addEventListener('dragstart', e => {
+    // Check if the dragged element or its parent has the id
+    const element = e.target.closest('[data-id]');
+    if (element && element.dataset.id) {
+        dragGiftId = element.dataset.id;
+        element.classList.add('dragging');
+        console.log('Dragging gift:', dragGiftId);
+    }
+});
+
+catDiv.addEventListener('dragend', e => {
+    const element = e.target.closest('[data-id]');
+    if (element) {
+        element.classList.remove('dragging');
+    }
+});
+
+groupsDiv.addEventListener('dragover', e => {
+    e.preventDefault();
+    const box = e.target.closest('.group-card');
+    if (box) {
+        box.classList.add('drag-over');
+    }
+});
+
+groupsDiv.addEventListener('dragleave', e => {
+    const box = e.target.closest('.group-card');
+    if (box && !box.contains(e.relatedTarget)) {
+        box.classList.remove('drag-over');
+    }
+});
+
+groupsDiv.addEventListener('drop', e => {
+    e.preventDefault();
+    const box = e.target.closest('.group-card');
+
+    console.log('Drop event - box:', box, 'dragGiftId:', dragGiftId);
+
+    if (!box || !dragGiftId) {
+        console.log('Drop failed: box or dragGiftId is missing');
+        return;
+    }
+
+    box.classList.remove('drag-over');
+    const groupId = box.dataset.id;
+
+    const source = GROUP_SOURCES[groupSource(groups[groupId])];
+    if (!source.gifts) {
+        showToast(`"${groups[groupId].name}" counts ${source.unit}, not gifts`, 'warning');
+        return;
+    }
+
+    console.log('Adding gift', dragGiftId, 'to group', groupId);
+
+    // Ensure giftIds array exists
+    if (!groups[groupId].giftIds) {
+        groups[groupId].giftIds = [];
+    }
+
+    if (!groups[groupId].giftIds.includes(Number(dragGiftId))) {
+        groups[groupId].giftIds.push(Number(dragGiftId));
+        saveGroups();
+        showToast('Gift added to group', 'success');
+    } else {
+        showToast('Gift already in group', 'info');
+    }
+
+    dragGiftId = null;
+});
+
+/* ---------- socket events ---------- */
+subscribeState(socket, { channel: 'all' }, p => {
+    ({ groups, counters, target, stats } = p);
+    goals = p.goals || {};
+    boosts = p.boosts || {};
+    poll = p.poll || null;
+    drawGroups();
+    updateStats();
+    drawLeaderboardScopes();
+    refreshPollResults();
+});
+
+socket.on('giftStream', d => {
+    const emptyState = document.getElementById('emptyStream');
+    if (emptyState) emptyState.style.display = 'none';
+
+    const li = document.createElement('li');
+    li.className = 'flex items-center space-x-3 p-3 bg-dark-800/50 rounded-lg border border-dark-700/50 hover:border-dark-600 transition-colors animate-slide-in';
+    li.innerHTML = `
+        <img src="${d.giftPictureUrl || ''}" width="32" height="32" class="rounded" onerror="this.style.display='none'">
+        <div class="flex-1 min-w-0">
+            <p class="text-sm font-medium text-white truncate">${d.nickname}</p>
+            <p class="text-xs text-gray-400">sent ${d.giftName} ×${d.repeat_count || 1}${(stats.rooms || []).length > 1 ? ` · @${d.roomUsername}` : ''}</p>
+        </div>
+        <span class="text-sm font-semibold text-yellow-400">+${d.diamondCount * (d.repeat_count || 1)}💎</span>
+    `;
+    giftUL.prepend(li);
+    trim(giftUL);
+});
+
+socket.on('leaderboard', lb => {
+    leaderboard = lb;
+    refreshLeaderboard();
+});
+
+socket.on('poll', ({ closed }) => {
+    if (!closed) return;
+    const winner = closed.options.find(o => o.groupId === closed.winner);
+    showToast(`🗳️ Poll closed: ${winner ? `${escapeHtml(winner.name)} wins` : closed.tie ? "it's a tie" : 'no votes'}`, 'info');
+});
+
+socket.on('battle', b => {
+    battle = b;
+    refreshBattleStatus();
+});
+
+socket.on('timer', t => {
+    timer = t;
+    timerReceivedAt = Date.now();
+    refreshTimerStatus();
+});
+
+socket.on('milestone', m => {
+    showToast(`🏁 ${m.message}`, 'success');
+});
+
+socket.on('giftCatalog', c => {
+    catalog = c;
+    drawCatalog();
+});
+
+/* ---------- top supporters ---------- */
+const leaderboardOL = document.getElementById('leaderboard');
+const leaderboardScope = document.getElementById('leaderboardScope');
+const leaderboardWindow = document.getElementById('leaderboardWindow');
+const RANK_MEDALS = ['🥇', '🥈', '🥉'];
+let leaderboard = { overall: null, groups: {} };
+
+function drawLeaderboardScopes() {
+    const selected = leaderboardScope.value;
+    leaderboardScope.innerHTML = '<option value="">Whole stream</option>' + Object.entries(groups)
+        .map(([gid, g]) => `<option value="${escapeHtml(gid)}" ${gid === selected ? 'selected' : ''}>${escapeHtml(g.name)}</option>`)
+        .join('');
+}
+
+// All-time boards arrive over the socket; time windows are computed server-side on request
+function refreshLeaderboard() {
+    const gid = leaderboardScope.value;
+    const windowMinutes = leaderboardWindow.value;
+
+    if (!windowMinutes) {
+        drawLeaderboard(gid ? leaderboard.groups?.[gid] : leaderboard.overall);
+        return;
+    }
+
+    const query = `limit=10&window=${windowMinutes}${gid ? `&group=${encodeURIComponent(gid)}` : ''}`;
+    api(`/api/leaderboard?${query}`)
+        .then(res => res.json())
+        .then(drawLeaderboard)
+        .catch(() => showToast('Failed to load leaderboard', 'error'));
+}
+
+function drawLeaderboard(board) {
+    const entries = board?.entries || [];
+    document.getElementById('emptyLeaderboard').style.display = entries.length ? 'none' : 'block';
+
+    leaderboardOL.innerHTML = entries.map(e => `
+        <li class="flex items-center space-x-3 p-2 bg-dark-800/50 rounded-lg border border-dark-700/50">
+            <span class="w-6 text-center text-sm font-bold text-gray-400">${RANK_MEDALS[e.rank - 1] || e.rank}</span>
+            <img src="${escapeHtml(e.profilePictureUrl)}" width="28" height="28" class="rounded-full" onerror="this.style.visibility='hidden'">
+            <div class="flex-1 min-w-0">
+                <p class="text-sm font-medium text-white truncate">${escapeHtml(e.nickname || e.uniqueId)}</p>
+                <p class="text-xs text-gray-500 truncate">@${escapeHtml(e.uniqueId)} · ${e.gifts} gifts</p>
+            </div>
+            <span class="text-sm font-semibold text-yellow-400">${e.diamonds.toLocaleString()}💎</span>
+        </li>
+    `).join('');
+}
+
+leaderboardScope.onchange = refreshLeaderboard;
+leaderboardWindow.onchange = refreshLeaderboard;
+
+// Overlay follows the selected scope; count, layout and anim can be added to the URL in OBS
+document.getElementById('leaderboardOverlay').onclick = () => {
+    const gid = leaderboardScope.value;
+    window.open(`/leaderboard.html${gid ? `?id=${encodeURIComponent(gid)}` : ''}`, '_blank', 'width=480,height=640');
+};
+
+// Windowed boards also change as old gifts age out
+setInterval(() => {
+    if (leaderboardWindow.value) refreshLeaderboard();
+}, 60000);
+
+/* ---------- error handling ---------- */
+socket.on('error', errorData => {
+    console.error('Connection error:', errorData);
+    showToast(`Error: ${errorData.message}`, 'error');
+});
+
+/* ========== UI builders ========== */
+function updateStats() {
+    // Enhanced status colors and icons based on connection state
+    let statusColor, statusIcon, statusText;
+
+    switch (stats.liveStatus) {
+        case 'ONLINE':
+            statusColor = 'text-green-400';
+            statusIcon = '<span class="w-2 h-2 bg-green-400 rounded-full animate-pulse"></span>';
+            statusText = 'ONLINE';
+            break;
+        case 'CONNECTING':
+            statusColor = 'text-blue-400';
+            statusIcon = '<span class="w-2 h-2 bg-blue-400 rounded-full animate-pulse"></span>';
+            statusText = 'CONNECTING';
+            break;
+        case 'RECONNECTING':
             statusColor = 'text-yellow-400';
             statusIcon = '<span class="w-2 h-2 bg-yellow-400 rounded-full animate-pulse"></span>';
             statusText = `RECONNECTING (${stats.reconnectAttempts}/${stats.maxReconnectAttempts})`;
             break;
+        case 'WAITING_FOR_LIVE':
+            statusColor = 'text-purple-400';
+            statusIcon = '<span class="w-2 h-2 bg-purple-400 rounded-full animate-pulse"></span>';
+            statusText = 'WAITING FOR LIVE';
+            break;
         case 'OFFLINE':
             statusColor = 'text-orange-400';
             statusIcon = '<span class="w-2 h-2 bg-orange-400 rounded-full"></span>';
@@ -325,6 +1419,9 @@ function updateStats() {
 
     // Update button visibility
     updateButtonVisibility();
+    btnAutoReconnect.classList.toggle('text-green-400', !!stats.autoReconnect);
+    btnAutoReconnect.classList.toggle('text-gray-400', !stats.autoReconnect);
+    btnAutoReconnect.title = `Auto-reconnect: ${stats.autoReconnect ? 'on' : 'off'}`;
 
     // Show error indicator if there are errors
     const errorIndicator = stats.errorCount > 0 ? `
@@ -342,7 +1439,7 @@ function updateStats() {
             <span class="${statusColor} font-semibold">${statusText}</span>
             ${errorIndicator}
         </div>
-        <div class="text-gray-400">@${stats.username || 'N/A'}</div>
+        ${renderRoomChips()}
         <div class="flex items-center space-x-1">
             <svg class="w-4 h-4 text-blue-400" fill="currentColor" viewBox="0 0 20 20">
                 <path d="M10 12a2 2 0 100-4 2 2 0 000 4z"/>
@@ -366,20 +1463,258 @@ function updateStats() {
             <span class="text-yellow-400">💎</span>
             <span class="text-white font-semibold">${(stats.totalDiamonds || 0).toLocaleString()}</span>
         </div>
+        <div class="flex items-center space-x-3 text-xs text-gray-400" title="Likes · follows · shares · subscriptions">
+            <span>❤️ ${(stats.totalLikes || 0).toLocaleString()}</span>
+            <span>➕ ${stats.totalFollows || 0}</span>
+            <span>🔗 ${stats.totalShares || 0}</span>
+            <span>⭐ ${stats.totalSubscriptions || 0}</span>
+        </div>
     `;
 
     statsDiv.innerHTML = statsHTML;
 
     // Mobile stats (simplified)
     const mobileStatsHTML = `
-        ${statusIcon} ${stats.liveStatus || 'DISCONNECTED'} | @${stats.username || 'N/A'} |
+        ${statusIcon} ${stats.liveStatus || 'DISCONNECTED'} | ${(stats.rooms || []).map(r => `@${r.username} (${r.liveStatus})`).join(', ') || `@${stats.username || 'N/A'}`} |
         👀 ${stats.liveViewers || 0} |
         🎁 ${stats.totalGifts || 0} |
-        💎 ${(stats.totalDiamonds || 0).toLocaleString()}
+        💎 ${(stats.totalDiamonds || 0).toLocaleString()} |
+        ❤️ ${(stats.totalLikes || 0).toLocaleString()}
     `;
     mobileStatsDiv.innerHTML = mobileStatsHTML;
 }
 
+/* ========== Rooms (tracked TikTok usernames) ========== */
+const ROOM_STATUS_DOT = {
+    ONLINE: 'bg-green-400 animate-pulse',
+    CONNECTING: 'bg-blue-400 animate-pulse',
+    RECONNECTING: 'bg-yellow-400 animate-pulse',
+    WAITING_FOR_LIVE: 'bg-purple-400 animate-pulse',
+    OFFLINE: 'bg-orange-400',
+    DISCONNECTED: 'bg-gray-400'
+};
+
+function renderRoomChips() {
+    const rooms = stats.rooms || [];
+    if (rooms.length === 0) {
+        return `<div class="text-gray-400">@${stats.username || 'N/A'}</div>`;
+    }
+
+    const chips = rooms.map(r => `
+        <button class="room-chip flex items-center space-x-1 px-2 py-0.5 bg-dark-700/60 hover:bg-dark-600 rounded-full text-gray-300 transition-colors"
+            data-room="${r.username}" title="${r.liveStatus} · ${r.viewers || 0} viewers · click to ${r.liveStatus === 'ONLINE' || r.liveStatus === 'CONNECTING' ? 'disconnect' : 'connect'}">
+            <span class="w-2 h-2 rounded-full ${ROOM_STATUS_DOT[r.liveStatus] || ROOM_STATUS_DOT.DISCONNECTED}"></span>
+            <span>@${r.username}</span>
+            ${r.replay ? `<span class="text-purple-400" title="Replaying ${r.replay.id}">⏯</span>` : ''}
+            ${rooms.length > 1 ? `<span class="text-gray-500">${r.viewers || 0}</span>` : ''}
+        </button>
+    `).join('');
+
+    return `
+        <div class="flex items-center space-x-1">
+            ${chips}
+            <button id="addRoom" class="px-2 py-0.5 bg-dark-700/60 hover:bg-dark-600 rounded-full text-gray-400 hover:text-white transition-colors" title="Track another TikTok username">+</button>
+        </div>
+    `;
+}
+
+// Delegated: the stats bar is re-rendered on every update
+statsDiv.addEventListener('click', e => {
+    const chip = e.target.closest('.room-chip');
+    if (chip) {
+        const room = (stats.rooms || []).find(r => r.username === chip.dataset.room);
+        if (room) showRoomModal(room);
+        return;
+    }
+    if (e.target.closest('#addRoom')) showAddRoomModal();
+});
+
+function showRoomModal(room) {
+    const isActive = ['ONLINE', 'CONNECTING', 'RECONNECTING', 'WAITING_FOR_LIVE'].includes(room.liveStatus);
+    const actions = [
+        {
+            label: 'Close',
+            class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+            onClick: () => closeModal()
+        }
+    ];
+
+    if (!isActive) {
+        actions.push({
+            label: 'Replay Recording',
+            class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+            onClick: () => showReplayModal(room)
+        });
+    }
+
+    if (!room.fixed) {
+        actions.push({
+            label: 'Stop Tracking',
+            class: 'px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg transition-colors',
+            onClick: () => {
+                api(`/api/rooms/${encodeURIComponent(room.username)}`, { method: 'DELETE' })
+                    .then(res => {
+                        if (!res.ok) throw new Error();
+                        showToast(`Stopped tracking @${room.username}`, 'success');
+                        closeModal();
+                    })
+                    .catch(() => showToast('Failed to remove room', 'error'));
+            }
+        });
+    }
+
+    actions.push({
+        label: room.replay ? 'Stop Replay' : isActive ? 'Disconnect' : 'Connect',
+        class: 'px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white rounded-lg transition-all',
+        onClick: () => {
+            api(isActive ? '/api/disconnect' : '/api/connect', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ room: room.username })
+            })
+                .then(() => {
+                    showToast(`${isActive ? 'Disconnecting' : 'Connecting'} @${room.username}...`, 'info');
+                    closeModal();
+                })
+                .catch(() => showToast('Request failed', 'error'));
+        }
+    });
+
+    showModal({
+        title: `@${room.username}`,
+        content: `
+            <div class="space-y-2 text-sm">
+                <div class="flex justify-between"><span class="text-gray-400">Status</span><span class="font-semibold">${room.liveStatus}</span></div>
+                <div class="flex justify-between"><span class="text-gray-400">Viewers</span><span class="font-semibold">${room.viewers || 0}</span></div>
+                <div class="flex justify-between"><span class="text-gray-400">Health</span><span class="font-semibold">${room.isHealthy ? 'Healthy' : 'Stale'}</span></div>
+                ${room.replay ? `<div class="flex justify-between"><span class="text-gray-400">Replaying</span><span class="font-semibold">${room.replay.id} · ${room.replay.speed}x · ${room.replay.position}/${room.replay.total}</span></div>` : ''}
+                ${room.liveStatus === 'RECONNECTING' ? `<div class="flex justify-between"><span class="text-gray-400">Reconnect attempt</span><span class="font-semibold">${room.reconnectAttempts}/${stats.maxReconnectAttempts}</span></div>` : ''}
+            </div>
+        `,
+        actions
+    });
+}
+
+function showAddRoomModal() {
+    showModal({
+        title: 'Track Another Room',
+        content: `
+            <label class="block text-sm font-medium text-gray-300 mb-2">TikTok Username</label>
+            <input
+                type="text"
+                id="roomUsernameInput"
+                class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20"
+                placeholder="username (without @)"
+                autofocus
+            >
+            <p class="text-xs text-gray-500 mt-2">Groups count gifts from every room unless pinned to one.</p>
+        `,
+        actions: [
+            {
+                label: 'Cancel',
+                class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                onClick: () => closeModal()
+            },
+            {
+                label: 'Add',
+                class: 'px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white rounded-lg transition-all',
+                onClick: () => {
+                    const username = document.getElementById('roomUsernameInput').value.trim();
+                    if (!username) {
+                        showToast('Please enter a username', 'error');
+                        return;
+                    }
+                    api('/api/rooms', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ username })
+                    })
+                        .then(async res => {
+                            const data = await res.json();
+                            if (!res.ok) throw new Error(data.error);
+                            showToast(`Now tracking @${data.username}`, 'success');
+                            closeModal();
+                        })
+                        .catch(err => showToast(err.message || 'Failed to add room', 'error'));
+                }
+            }
+        ]
+    });
+}
+
+// Feed a recorded session (journal or file in data/replays) through the room's gift pipeline
+async function showReplayModal(room) {
+    let files = [];
+    try {
+        const res = await api('/api/replays');
+        files = (await res.json()).files || [];
+    } catch {
+        showToast('Failed to load recordings', 'error');
+        return;
+    }
+
+    if (files.length === 0) {
+        showToast('No recordings yet - journals appear after a live session', 'info');
+        return;
+    }
+
+    showModal({
+        title: `Replay into @${room.username}`,
+        content: `
+            <label class="block text-sm font-medium text-gray-300 mb-2">Recording</label>
+            <select id="replayFileSelect" class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500">
+                ${files.map(f => `<option value="${f.id}">${f.id} (${Math.round(f.size / 1024)} KB)</option>`).join('')}
+            </select>
+            <label class="block text-sm font-medium text-gray-300 mt-4 mb-2">Speed</label>
+            <select id="replaySpeedSelect" class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500">
+                ${[1, 2, 5, 10, 50].map(x => `<option value="${x}">${x}x${x === 1 ? ' (real time)' : ''}</option>`).join('')}
+            </select>
+            <label class="flex items-center space-x-2 mt-4 text-sm text-gray-300">
+                <input type="checkbox" id="replayLoopInput" class="rounded">
+                <span>Loop until stopped</span>
+            </label>
+            <p class="text-xs text-gray-500 mt-2">Replayed gifts are counted like live ones - reset counters afterwards if this was a rehearsal.</p>
+        `,
+        actions: [
+            {
+                label: 'Cancel',
+                class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                onClick: () => closeModal()
+            },
+            {
+                label: 'Start Replay',
+                class: 'px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white rounded-lg transition-all',
+                onClick: () => {
+                    api('/api/replay/start', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            room: room.username,
+                            file: document.getElementById('replayFileSelect').value,
+                            speed: Number(document.getElementById('replaySpeedSelect').value),
+                            loop: document.getElementById('replayLoopInput').checked
+                        })
+                    })
+                        .then(async res => {
+                            const data = await res.json();
+                            if (!res.ok) throw new Error(data.error);
+                            showToast(`Replaying ${data.replay.total} events into @${room.username}`, 'success');
+                            closeModal();
+                        })
+                        .catch(err => showToast(err.message || 'Failed to start replay', 'error'));
+                }
+            }
+        ]
+    });
+}
+
+function roomOptions(selected) {
+    const opts = (stats.rooms || []).map(r =>
+        `<option value="${r.username}" ${selected === r.username ? 'selected' : ''}>@${r.username} only</option>`
+    ).join('');
+    return `<option value="">All rooms</option>${opts}`;
+}
+
 function drawCatalog(filter = '') {
     const term = filter.toLowerCase();
     const filtered = catalog.filter(g => g.name.toLowerCase().includes(term));
@@ -432,11 +1767,22 @@ function drawGroups() {
 
     for (const id in groups) {
         const g = groups[id];
-        const c = counters[id] || { diamonds: 0 };
-        const targetValue = target || 10000; // Use default if target is undefined
-        const percentage = targetValue > 0 ? Math.min((c.diamonds / targetValue) * 100, 100) : 0;
-
-        const icons = g.giftIds
+        const source = GROUP_SOURCES[groupSource(g)];
+        const c = counters[id] || { count: 0, diamonds: 0 };
+        const goal = goals[id] || { target: target || 10000, stage: 1, stageCount: 1, completed: false };
+        const progress = goal.progress ?? c.diamonds;
+        const targetValue = goal.target;
+        const percentage = targetValue > 0 ? Math.min((progress / targetValue) * 100, 100) : 0;
+        const stageLabel = goal.stageCount > 1
+            ? `<span class="text-purple-400">Stage ${goal.stage}/${goal.stageCount}${goal.completed ? ' ✓' : ''}</span> · `
+            : '';
+        const boostLabel = boosts[id]
+            ? `<span class="text-yellow-400">⚡ ${boosts[id].multiplier}x until ${new Date(boosts[id].endsAt).toLocaleTimeString()}</span> · `
+            : '';
+        // Groups with a scoring table show their points next to the goal's own unit
+        const pointsLabel = g.scoring && groupSource(g) !== 'points' ? ` · ${(c.points || 0).toLocaleString()} 🏅` : '';
+
+        const icons = (g.giftIds || [])
             .map(gid => {
                 const gift = catalog.find(x => x.id === gid);
                 if (!gift) return '';
@@ -457,6 +1803,7 @@ function drawGroups() {
         groupCard.innerHTML = `
             <div class="flex items-center justify-between mb-3">
                 <h3 class="font-semibold text-white truncate flex-1">${g.name}</h3>
+                ${(stats.rooms || []).length > 1 ? `<button class="group-action mr-2 px-2 py-0.5 bg-dark-700/60 hover:bg-dark-600 rounded-full text-xs text-gray-400" data-act="room" title="Rooms counted by this group">${g.room ? '@' + g.room : 'All rooms'}</button>` : ''}
                 <div class="flex items-center space-x-1">
                     <button class="group-action p-1.5 bg-blue-500/20 hover:bg-blue-500/30 text-blue-400 rounded transition-colors" data-act="overlay" title="Open Overlay">
                         <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -464,6 +1811,21 @@ function drawGroups() {
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                         </svg>
                     </button>
+                    <button class="group-action p-1.5 bg-pink-500/20 hover:bg-pink-500/30 text-pink-400 rounded transition-colors" data-act="theme" title="Overlay Appearance">
+                        <span class="block w-4 h-4 text-xs leading-4 text-center">🎨</span>
+                    </button>
+                    <button class="group-action p-1.5 bg-purple-500/20 hover:bg-purple-500/30 text-purple-400 rounded transition-colors" data-act="target" title="Group Target & Stages">
+                        <span class="block w-4 h-4 text-xs leading-4 text-center">🎯</span>
+                    </button>
+                    <button class="group-action p-1.5 bg-green-500/20 hover:bg-green-500/30 text-green-400 rounded transition-colors" data-act="milestones" title="Milestones">
+                        <span class="block w-4 h-4 text-xs leading-4 text-center">🏁</span>
+                    </button>
+                    ${source.gifts ? `<button class="group-action p-1.5 bg-cyan-500/20 hover:bg-cyan-500/30 text-cyan-400 rounded transition-colors" data-act="rules" title="Matching Rules">
+                        <span class="block w-4 h-4 text-xs leading-4 text-center">🧩</span>
+                    </button>` : ''}
+                    ${source.gifts ? `<button class="group-action p-1.5 bg-orange-500/20 hover:bg-orange-500/30 text-orange-400 rounded transition-colors" data-act="scoring" title="Points & Boosts">
+                        <span class="block w-4 h-4 text-xs leading-4 text-center">⚡</span>
+                    </button>` : ''}
                     <button class="group-action p-1.5 bg-yellow-500/20 hover:bg-yellow-500/30 text-yellow-400 rounded transition-colors" data-act="edit" title="Edit Counter">
                         <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
@@ -480,16 +1842,20 @@ function drawGroups() {
             <div class="mb-3">
                 <div class="flex items-center justify-between text-sm mb-1">
                     <span class="text-gray-400">Progress</span>
-                    <span class="text-yellow-400 font-semibold">${c.diamonds.toLocaleString()} 💎</span>
+                    <span class="text-yellow-400 font-semibold">${progress.toLocaleString()} ${source.icon}${pointsLabel}</span>
                 </div>
                 <div class="w-full bg-dark-700 rounded-full h-2 overflow-hidden">
                     <div class="h-full rounded-full transition-all duration-500" style="width: ${percentage}%; background: ${g.color};"></div>
                 </div>
-                <div class="text-xs text-gray-500 mt-1 text-right">${percentage.toFixed(1)}% of ${targetValue.toLocaleString()}</div>
+                <div class="text-xs text-gray-500 mt-1 text-right">${boostLabel}${stageLabel}${percentage.toFixed(1)}% of ${targetValue.toLocaleString()}</div>
             </div>
 
             <div class="flex flex-wrap gap-2 min-h-[40px]">
-                ${icons || '<span class="text-xs text-gray-500">No gifts added yet</span>'}
+                ${source.gifts
+                    ? icons + ruleChips(g) || '<span class="text-xs text-gray-500">No gifts added yet</span>'
+                    : source.poll
+                    ? `<span class="text-xs text-gray-500">Poll option - counts chat votes while a poll is open${g.voteKeywords?.length ? ` (${escapeHtml(g.voteKeywords.join(', '))})` : ''}</span>`
+                    : `<span class="text-xs text-gray-500">Counts every ${source.unit.replace(/s$/, '')} ${g.room ? `in @${g.room}` : 'in the stream'}</span>`}
             </div>
         `;
 
@@ -507,13 +1873,61 @@ function drawGroups() {
                 const action = btn.dataset.act;
 
                 if (action === 'overlay') {
-                    window.open(`/overlay.html?id=${gid}`, '_blank', 'width=1200,height=600');
+                    showOverlayLinksModal(gid);
+                } else if (action === 'target') {
+                    showGroupTargetModal(gid);
+                } else if (action === 'milestones') {
+                    showMilestonesModal(gid);
+                } else if (action === 'scoring') {
+                    showScoringModal(gid);
+                } else if (action === 'rules') {
+                    showRulesModal(gid);
+                } else if (action === 'theme') {
+                    showThemeModal(gid);
+                } else if (action === 'room') {
+                    showModal({
+                        title: `Rooms - ${groups[gid].name}`,
+                        content: `
+                            <label class="block text-sm font-medium text-gray-300 mb-2">Count Gifts From</label>
+                            <select id="groupRoomInput" class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500">
+                                ${roomOptions(groups[gid].room || '')}
+                            </select>
+                        `,
+                        actions: [
+                            {
+                                label: 'Cancel',
+                                class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                                onClick: () => closeModal()
+                            },
+                            {
+                                label: 'Save',
+                                class: 'px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white rounded-lg transition-all',
+                                onClick: () => {
+                                    const room = document.getElementById('groupRoomInput').value;
+                                    if (room) groups[gid].room = room;
+                                    else delete groups[gid].room;
+                                    saveGroups();
+                                    showToast('Group rooms updated', 'success');
+                                    closeModal();
+                                }
+                            }
+                        ]
+                    });
                 } else if (action === 'edit') {
-                    const current = counters[gid]?.diamonds || 0;
+                    // Diamond and points groups progress by those fields, every other source by count
+                    const source = GROUP_SOURCES[groupSource(groups[gid])];
+                    const field = ['diamonds', 'points'].includes(groupSource(groups[gid])) ? groupSource(groups[gid]) : 'count';
+                    const current = counters[gid]?.[field] || 0;
                     showModal({
                         title: `Edit Counter - ${groups[gid].name}`,
                         content: `
-                            <label class="block text-sm font-medium text-gray-300 mb-2">Diamond Count</label>
+                            <label class="block text-sm font-medium text-gray-300 mb-2">Change</label>
+                            <select id="counterModeInput" class="w-full px-4 py-2 mb-4 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500">
+                                <option value="set">Set ${source.unit} to</option>
+                                <option value="add">Add ${source.unit}</option>
+                                <option value="subtract">Subtract ${source.unit}</option>
+                            </select>
+                            <label class="block text-sm font-medium text-gray-300 mb-2">${source.icon} ${source.label} <span class="text-gray-500">(currently ${current.toLocaleString()})</span></label>
                             <input
                                 type="number"
                                 id="counterInput"
@@ -522,6 +1936,9 @@ function drawGroups() {
                                 min="0"
                                 autofocus
                             >
+                            <label class="block text-sm font-medium text-gray-300 mt-4 mb-2">Reason (optional)</label>
+                            <input type="text" id="counterReasonInput" maxlength="200" placeholder="e.g. gift missed during reconnect"
+                                class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20">
                         `,
                         actions: [
                             {
@@ -533,17 +1950,26 @@ function drawGroups() {
                                 label: 'Update',
                                 class: 'px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white rounded-lg transition-all',
                                 onClick: () => {
-                                    const v = document.getElementById('counterInput').value;
-                                    fetch('/api/counter', {
+                                    const v = parseInt(document.getElementById('counterInput').value) || 0;
+                                    const mode = document.getElementById('counterModeInput').value;
+                                    const delta = `delta${field[0].toUpperCase()}${field.slice(1)}`;
+                                    const change = mode === 'set' ? { [field]: v } : { [delta]: mode === 'add' ? v : -v };
+                                    api('/api/counter', {
                                         method: 'POST',
                                         headers: { 'Content-Type': 'application/json' },
-                                        body: JSON.stringify({ groupId: gid, diamonds: v })
+                                        body: JSON.stringify({
+                                            groupId: gid,
+                                            ...change,
+                                            reason: document.getElementById('counterReasonInput').value
+                                        })
                                     })
-                                        .then(() => {
+                                        .then(async res => {
+                                            const data = await res.json();
+                                            if (!res.ok) throw new Error(data.error);
                                             showToast('Counter updated', 'success');
                                             closeModal();
                                         })
-                                        .catch(() => showToast('Failed to update counter', 'error'));
+                                        .catch(err => showToast(err.message || 'Failed to update counter', 'error'));
                                 }
                             }
                         ]
@@ -553,6 +1979,12 @@ function drawGroups() {
                         const input = document.getElementById('counterInput');
                         input.focus();
                         input.select();
+
+                        // Relative modes start from zero rather than the current total
+                        document.getElementById('counterModeInput').onchange = e => {
+                            input.value = e.target.value === 'set' ? current : 0;
+                            input.select();
+                        };
                     }, 100);
                 } else if (action === 'delete') {
                     showModal({
@@ -594,6 +2026,642 @@ function drawGroups() {
     });
 }
 
+/* ========== Per-group target & stages ========== */
+function showGroupTargetModal(gid) {
+    const g = groups[gid];
+    showModal({
+        title: `Target - ${g.name}`,
+        content: `
+            <label class="block text-sm font-medium text-gray-300 mb-2">Counts</label>
+            <select id="groupSourceInput" class="w-full px-4 py-2 mb-4 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500">
+                ${sourceOptions(groupSource(g))}
+            </select>
+            <label class="block text-sm font-medium text-gray-300 mb-2">Target</label>
+            <input
+                type="number"
+                id="groupTargetInput"
+                class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20"
+                placeholder="Default (${(target || 10000).toLocaleString()})"
+                value="${g.target || ''}"
+                min="1"
+            >
+            <label class="block text-sm font-medium text-gray-300 mt-4 mb-2">Stretch Goals (optional)</label>
+            <input
+                type="text"
+                id="groupStagesInput"
+                class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20"
+                placeholder="e.g. 5000, 10000, 25000"
+                value="${(g.stages || []).join(', ')}"
+            >
+            <p class="text-xs text-gray-500 mt-2">Stages advance automatically when each goal is reached and override the target above.</p>
+        `,
+        actions: [
+            {
+                label: 'Cancel',
+                class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                onClick: () => closeModal()
+            },
+            {
+                label: 'Save',
+                class: 'px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white rounded-lg transition-all',
+                onClick: () => {
+                    const t = document.getElementById('groupTargetInput').value.trim();
+                    const stagesText = document.getElementById('groupStagesInput').value.trim();
+                    const stages = stagesText ? stagesText.split(/[\s,]+/).filter(Boolean).map(Number) : null;
+
+                    if (t && Number(t) < 1) {
+                        showToast('Please enter a valid target', 'error');
+                        return;
+                    }
+                    if (stages && stages.some(v => !(v > 0))) {
+                        showToast('Stages must be positive numbers', 'error');
+                        return;
+                    }
+
+                    api('/api/target', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            groupId: gid,
+                            target: t ? Number(t) : null,
+                            stages,
+                            source: document.getElementById('groupSourceInput').value
+                        })
+                    })
+                        .then(res => {
+                            if (!res.ok) throw new Error();
+                            showToast(`Target updated for "${g.name}"`, 'success');
+                            closeModal();
+                        })
+                        .catch(() => showToast('Failed to set target', 'error'));
+                }
+            }
+        ]
+    });
+}
+
+// One milestone per line: "25%" or "5000", optionally followed by a custom message
+const DEFAULT_MILESTONES = [{ percent: 25 }, { percent: 50 }, { percent: 75 }, { percent: 100 }];
+
+function formatMilestones(list) {
+    return list
+        .map(m => `${m.percent !== undefined ? m.percent + '%' : m.diamonds}${m.message ? ' ' + m.message : ''}`)
+        .join('\n');
+}
+
+function parseMilestoneLines(text) {
+    const milestones = [];
+    for (const line of text.split('\n').map(l => l.trim()).filter(Boolean)) {
+        const match = line.match(/^(\d+(?:\.\d+)?)(%?)\s*(.*)$/);
+        if (!match) return null;
+        const value = Number(match[1]);
+        milestones.push({
+            ...(match[2] ? { percent: value } : { diamonds: value }),
+            ...(match[3] ? { message: match[3] } : {})
+        });
+    }
+    return milestones;
+}
+
+// Per-gift points are edited as lines of "gift name or id | points"
+function formatScoringGifts(gifts) {
+    return Object.entries(gifts || {}).map(([giftId, points]) => {
+        const gift = catalog.find(g => String(g.id) === giftId);
+        return `${gift ? gift.name : giftId} | ${points}`;
+    }).join('\n');
+}
+
+function parseScoringGifts(text) {
+    const gifts = {};
+    for (const line of text.split('\n').map(l => l.trim()).filter(Boolean)) {
+        const [name, points] = line.split('|').map(part => (part || '').trim());
+        const gift = catalog.find(g => String(g.id) === name || g.name.toLowerCase() === name.toLowerCase());
+        if (!gift) throw new Error(`Unknown gift "${name}"`);
+        if (points === '' || !(Number(points) >= 0)) throw new Error(`Invalid points for "${name}"`);
+        gifts[gift.id] = Number(points);
+    }
+    return gifts;
+}
+
+/* ========== Overlay links ========== */
+// gid null manages the links for the whole-instance overlays (alerts, timer, battle, leaderboard)
+function overlayLinkUrl(link) {
+    return link.groupId
+        ? `${location.origin}/overlay.html?id=${encodeURIComponent(link.groupId)}&token=${encodeURIComponent(link.token)}`
+        : `token=${encodeURIComponent(link.token)}`;
+}
+
+function showOverlayLinksModal(gid) {
+    const title = gid ? `Overlay Links - ${groups[gid].name}` : 'Overlay Links - Alerts, Timer, Battle & Leaderboard';
+    const buttonClass = 'px-2 py-1 bg-dark-700 hover:bg-dark-600 text-white text-xs rounded transition-colors';
+
+    showModal({
+        title,
+        content: `
+            <p class="text-sm text-gray-400 mb-3">${gid
+                ? 'Each link is a private overlay URL for one OBS browser source.'
+                : 'Add a link\'s token to the alerts, timer, battle or leaderboard overlay URL (e.g. /alerts.html?token=...).'} Revoking a link cuts off every source using it.</p>
+            <div id="overlayLinksList" class="space-y-2 mb-4"><p class="text-sm text-gray-500">Loading...</p></div>
+            <div class="flex space-x-2">
+                <input type="text" id="overlayLinkLabel" maxlength="60" placeholder="Label, e.g. Main scene" class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500">
+                <button id="overlayLinkCreate" class="px-3 py-2 bg-blue-500/20 hover:bg-blue-500/30 text-blue-400 text-sm rounded-lg transition-colors whitespace-nowrap">New Link</button>
+            </div>
+            <label class="flex items-center space-x-3 mt-4">
+                <input type="checkbox" id="overlayLinksRequired" class="w-4 h-4">
+                <span class="text-sm text-gray-300">Block every overlay opened without a link</span>
+            </label>
+            ${gid ? '<button id="overlayLinksInstance" class="text-xs text-blue-400 hover:underline mt-3">Links for the alerts, timer, battle and leaderboard overlays →</button>' : ''}
+        `,
+        actions: [
+            {
+                label: 'Close',
+                class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                onClick: () => closeModal()
+            }
+        ]
+    });
+
+    const list = document.getElementById('overlayLinksList');
+    const request = (url, options = {}) => api(url, { headers: { 'Content-Type': 'application/json' }, ...options })
+        .then(async res => {
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error);
+            return data;
+        });
+    const createLink = label => request('/api/overlay-links', {
+        method: 'POST',
+        body: JSON.stringify({ groupId: gid, label })
+    });
+
+    const render = ({ required, links }) => {
+        document.getElementById('overlayLinksRequired').checked = required;
+        list.innerHTML = links.length === 0
+            ? '<p class="text-sm text-gray-500">No links yet</p>'
+            : links.map(link => `
+                <div class="flex items-center justify-between p-2 bg-dark-900/60 rounded-lg" data-link="${link.id}">
+                    <div class="min-w-0">
+                        <div class="text-sm text-white truncate">${link.label ? escapeHtml(link.label) : 'Unnamed link'}</div>
+                        <div class="text-xs text-gray-500">Created ${new Date(link.createdAt).toLocaleString()} · ${link.lastUsedAt ? `last used ${new Date(link.lastUsedAt).toLocaleString()}` : 'never used'}</div>
+                    </div>
+                    <div class="flex space-x-1 ml-2">
+                        ${gid ? `<button class="${buttonClass}" data-link-act="open">Open</button>` : ''}
+                        <button class="${buttonClass}" data-link-act="copy">Copy</button>
+                        <button class="px-2 py-1 bg-red-500/20 hover:bg-red-500/30 text-red-400 text-xs rounded transition-colors" data-link-act="revoke">Revoke</button>
+                    </div>
+                </div>
+            `).join('');
+
+        list.querySelectorAll('[data-link-act]').forEach(btn => {
+            const link = links.find(l => l.id === btn.closest('[data-link]').dataset.link);
+            btn.onclick = () => {
+                if (btn.dataset.linkAct === 'open') {
+                    window.open(overlayLinkUrl(link), '_blank', 'width=1200,height=600');
+                } else if (btn.dataset.linkAct === 'copy') {
+                    navigator.clipboard.writeText(overlayLinkUrl(link))
+                        .then(() => showToast(gid ? 'Overlay URL copied' : 'Token copied - add it to the overlay URL', 'success'))
+                        .catch(() => showToast('Could not copy the link', 'error'));
+                } else {
+                    request(`/api/overlay-links/${encodeURIComponent(link.id)}`, { method: 'DELETE' })
+                        .then(() => {
+                            showToast('Overlay link revoked', 'success');
+                            load();
+                        })
+                        .catch(err => showToast(err.message || 'Failed to revoke the link', 'error'));
+                }
+            };
+        });
+    };
+
+    // A group's first link is made on the spot, so Open Overlay always has one to open
+    const load = () => request(`/api/overlay-links${gid ? `?group=${encodeURIComponent(gid)}` : ''}`)
+        .then(data => data.links.length > 0 || !gid ? data : createLink('').then(() => request(`/api/overlay-links?group=${encodeURIComponent(gid)}`)))
+        .then(render)
+        .catch(err => showToast(err.message || 'Failed to load overlay links', 'error'));
+    load();
+
+    document.getElementById('overlayLinkCreate').onclick = () => {
+        createLink(document.getElementById('overlayLinkLabel').value.trim())
+            .then(() => {
+                document.getElementById('overlayLinkLabel').value = '';
+                showToast('Overlay link created', 'success');
+                load();
+            })
+            .catch(err => showToast(err.message || 'Failed to create the link', 'error'));
+    };
+    document.getElementById('overlayLinksRequired').onchange = e => {
+        request('/api/overlay-links/settings', { method: 'POST', body: JSON.stringify({ required: e.target.checked }) })
+            .then(data => showToast(data.required ? 'Overlays now need a link' : 'Overlays work without a link again', 'success'))
+            .catch(err => {
+                e.target.checked = !e.target.checked;
+                showToast(err.message || 'Failed to update the setting', 'error');
+            });
+    };
+    if (gid) document.getElementById('overlayLinksInstance').onclick = () => showOverlayLinksModal(null);
+}
+
+/* ========== Overlay appearance ========== */
+const OVERLAY_LAYOUTS = { horizontal: 'Horizontal bar', vertical: 'Vertical bar', circular: 'Ring', text: 'Text only' };
+const OVERLAY_FORMATS = { value: 'Value', percent: 'Percent', remaining: 'Remaining' };
+
+function readThemeInputs() {
+    return {
+        layout: document.getElementById('themeLayout').value,
+        format: document.getElementById('themeFormat').value,
+        font: document.getElementById('themeFont').value.trim() || 'Inter',
+        size: Number(document.getElementById('themeSize').value),
+        background: Number(document.getElementById('themeBackground').value),
+        label: document.getElementById('themeLabel').value
+    };
+}
+
+// The preview passes the unsaved settings as URL params, which win over the saved theme
+function themePreviewUrl(gid, theme) {
+    const params = new URLSearchParams({
+        id: gid,
+        preview: 1,
+        layout: theme.layout,
+        format: theme.format,
+        font: theme.font,
+        size: theme.size,
+        bg: theme.background,
+        label: theme.label
+    });
+    return `/overlay.html?${params}`;
+}
+
+function showThemeModal(gid) {
+    const g = groups[gid];
+    const theme = { layout: 'horizontal', format: 'value', font: 'Inter', size: 100, background: 100, label: '', ...g.theme };
+    const inputClass = 'w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20';
+    const options = (labels, current) => Object.entries(labels)
+        .map(([value, label]) => `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`)
+        .join('');
+
+    const saveTheme = (body, message) => api('/api/theme', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ groupId: gid, theme: body })
+    })
+        .then(async res => {
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error);
+            showToast(message, 'success');
+            closeModal();
+        })
+        .catch(err => showToast(err.message || 'Failed to save the overlay look', 'error'));
+
+    showModal({
+        title: `Overlay Appearance - ${g.name}`,
+        content: `
+            <iframe id="themePreview" src="${themePreviewUrl(gid, theme)}" class="w-full h-56 mb-4 rounded-lg border border-dark-600" style="background: repeating-conic-gradient(#334155 0% 25%, #1e293b 0% 50%) 50% / 20px 20px;"></iframe>
+            <div class="grid grid-cols-2 gap-3">
+                <div>
+                    <label class="block text-sm font-medium text-gray-300 mb-2">Layout</label>
+                    <select id="themeLayout" class="${inputClass}">${options(OVERLAY_LAYOUTS, theme.layout)}</select>
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-300 mb-2">Number</label>
+                    <select id="themeFormat" class="${inputClass}">${options(OVERLAY_FORMATS, theme.format)}</select>
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-300 mb-2">Font</label>
+                    <input type="text" id="themeFont" value="${theme.font}" placeholder="Inter" class="${inputClass}">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-300 mb-2">Caption</label>
+                    <input type="text" id="themeLabel" value="${theme.label.replace(/"/g, '&quot;')}" placeholder="e.g. {group} to {target}" maxlength="80" class="${inputClass}">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-300 mb-2">Size <span id="themeSizeValue" class="text-gray-500">${theme.size}%</span></label>
+                    <input type="range" id="themeSize" min="25" max="300" step="5" value="${theme.size}" class="w-full">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-300 mb-2">Background <span id="themeBackgroundValue" class="text-gray-500">${theme.background}%</span></label>
+                    <input type="range" id="themeBackground" min="0" max="100" step="5" value="${theme.background}" class="w-full">
+                </div>
+            </div>
+            <p class="text-xs text-gray-500 mt-3">Any Google Fonts family works. The caption fills in {group}, {target} and {unit}. A browser source can still override each setting in its URL (see the README).</p>
+        `,
+        actions: [
+            {
+                label: 'Cancel',
+                class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                onClick: () => closeModal()
+            },
+            {
+                label: 'Default Look',
+                class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                onClick: () => saveTheme(null, `"${g.name}" overlay reset to the default look`)
+            },
+            {
+                label: 'Save',
+                class: 'px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white rounded-lg transition-all',
+                onClick: () => saveTheme(readThemeInputs(), `Overlay look saved for "${g.name}"`)
+            }
+        ]
+    });
+
+    // Reload the preview shortly after the last change, not on every keystroke
+    let previewTimer = null;
+    const preview = document.getElementById('themePreview');
+    ['themeLayout', 'themeFormat', 'themeFont', 'themeLabel', 'themeSize', 'themeBackground'].forEach(id => {
+        document.getElementById(id).oninput = () => {
+            const next = readThemeInputs();
+            document.getElementById('themeSizeValue').textContent = `${next.size}%`;
+            document.getElementById('themeBackgroundValue').textContent = `${next.background}%`;
+            clearTimeout(previewTimer);
+            previewTimer = setTimeout(() => {
+                preview.src = themePreviewUrl(gid, next);
+            }, 400);
+        };
+    });
+}
+
+/* ========== Group matching rules ========== */
+// Rules are edited one per line: "any", "diamonds 100-999", "diamonds 1000+",
+// "diamonds 5" (exactly) or "name rose*"
+function formatGroupRules(rules) {
+    return (rules || []).map(rule => {
+        if (rule.type === 'any') return 'any';
+        if (rule.type === 'name') return `name ${rule.pattern}`;
+        if (rule.max === null) return `diamonds ${rule.min}+`;
+        if (rule.min === rule.max) return `diamonds ${rule.min}`;
+        return `diamonds ${rule.min ?? 0}-${rule.max}`;
+    }).join('\n');
+}
+
+function parseGroupRules(text) {
+    return text.split('\n').map(l => l.trim()).filter(Boolean).map(line => {
+        if (/^any( gift)?$/i.test(line)) return { type: 'any' };
+
+        const name = line.match(/^name\s+(.+)$/i);
+        if (name) return { type: 'name', pattern: name[1] };
+
+        const range = line.match(/^diamonds\s+(\d+)\s*(?:(\+)|-\s*(\d+))?$/i);
+        if (!range) throw new Error(`Can't read rule "${line}"`);
+        const min = Number(range[1]);
+        const max = range[2] ? null : range[3] !== undefined ? Number(range[3]) : min;
+        if (max !== null && max < min) throw new Error(`"${line}" ends below where it starts`);
+        return { type: 'diamonds', min, max };
+    });
+}
+
+function parseSenderList(text) {
+    return text.split(/[\s,]+/).map(name => name.replace(/^@/, '')).filter(Boolean);
+}
+
+// Mirrors the server's matching so the editor can preview the catalog
+function giftMatchesRule(rule, gift) {
+    if (rule.type === 'any') return true;
+    if (rule.type === 'diamonds') return gift.diamondCost >= (rule.min ?? 0) && gift.diamondCost <= (rule.max ?? Infinity);
+    const pattern = rule.pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${pattern}$`, 'i').test(gift.name);
+}
+
+function ruleChips(g) {
+    const chip = text => `<span class="px-2 py-1 bg-cyan-500/10 text-cyan-300 rounded-full text-xs">${text}</span>`;
+    const chips = (g.rules || []).map(rule => chip(
+        rule.type === 'any' ? 'Any gift'
+            : rule.type === 'name' ? `Name: ${rule.pattern}`
+            : rule.max === null ? `${rule.min}+ 💎`
+            : rule.min === rule.max ? `${rule.min} 💎`
+            : `${rule.min ?? 0}-${rule.max} 💎`
+    ));
+    if (g.senders?.allow?.length) chips.push(chip(`Only ${g.senders.allow.length} sender${g.senders.allow.length === 1 ? '' : 's'}`));
+    if (g.senders?.deny?.length) chips.push(chip(`${g.senders.deny.length} blocked`));
+    return chips.join('');
+}
+
+function showRulesModal(gid) {
+    const g = groups[gid];
+    const inputClass = 'w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20';
+
+    showModal({
+        title: `Matching Rules - ${g.name}`,
+        content: `
+            <p class="text-sm text-gray-400 mb-3">Besides the gifts dropped on the card, this group counts every gift matching one of these rules. A gift counts into every group it matches.</p>
+            <label class="block text-sm font-medium text-gray-300 mb-2">Rules</label>
+            <textarea id="rulesInput" rows="4" placeholder="name rose*" class="${inputClass} font-mono text-sm">${formatGroupRules(g.rules)}</textarea>
+            <p class="text-xs text-gray-500 mt-2">One per line: <code>any</code>, <code>diamonds 100-999</code>, <code>diamonds 1000+</code> or <code>name rose*</code> (<code>*</code> matches anything).</p>
+            <p id="rulesPreview" class="text-xs text-cyan-300 mt-2"></p>
+            <label class="block text-sm font-medium text-gray-300 mt-4 mb-2">Only count gifts from (optional)</label>
+            <input type="text" id="rulesAllow" placeholder="Everyone" value="${(g.senders?.allow || []).join(', ')}" class="${inputClass}">
+            <label class="block text-sm font-medium text-gray-300 mt-4 mb-2">Never count gifts from</label>
+            <input type="text" id="rulesDeny" placeholder="e.g. mod_bot" value="${(g.senders?.deny || []).join(', ')}" class="${inputClass}">
+            <p class="text-xs text-gray-500 mt-2">Usernames separated by commas. The sender filters apply to dropped gifts too.</p>
+        `,
+        actions: [
+            {
+                label: 'Cancel',
+                class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                onClick: () => closeModal()
+            },
+            {
+                label: 'Save',
+                class: 'px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white rounded-lg transition-all',
+                onClick: () => {
+                    let rules;
+                    try {
+                        rules = parseGroupRules(document.getElementById('rulesInput').value);
+                    } catch (err) {
+                        showToast(err.message, 'error');
+                        return;
+                    }
+
+                    api('/api/rules', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            groupId: gid,
+                            rules,
+                            senders: {
+                                allow: parseSenderList(document.getElementById('rulesAllow').value),
+                                deny: parseSenderList(document.getElementById('rulesDeny').value)
+                            }
+                        })
+                    })
+                        .then(async res => {
+                            const data = await res.json();
+                            if (!res.ok) throw new Error(data.error);
+                            showToast(`Rules updated for "${g.name}"`, 'success');
+                            closeModal();
+                        })
+                        .catch(err => showToast(err.message || 'Failed to save rules', 'error'));
+                }
+            }
+        ]
+    });
+
+    // Live preview of which known gifts the rules pick up
+    const input = document.getElementById('rulesInput');
+    const preview = document.getElementById('rulesPreview');
+    const updatePreview = () => {
+        let rules;
+        try {
+            rules = parseGroupRules(input.value);
+        } catch (err) {
+            preview.textContent = err.message;
+            return;
+        }
+        const matched = rules.length ? catalog.filter(gift => rules.some(rule => giftMatchesRule(rule, gift))) : [];
+        preview.textContent = rules.length
+            ? `Matches ${matched.length} of ${catalog.length} known gifts${matched.length ? `: ${matched.slice(0, 8).map(gift => gift.name).join(', ')}${matched.length > 8 ? ', …' : ''}` : ''}`
+            : '';
+    };
+    input.oninput = updatePreview;
+    updatePreview();
+}
+
+function showScoringModal(gid) {
+    const g = groups[gid];
+    const scoring = g.scoring || { multiplier: 1, gifts: {} };
+    const boost = boosts[gid];
+    const inputClass = 'w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20';
+
+    const post = (url, body, message) => api(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    })
+        .then(async res => {
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error);
+            showToast(message, 'success');
+            closeModal();
+        })
+        .catch(err => showToast(err.message || 'Update failed', 'error'));
+
+    showModal({
+        title: `Points & Boosts - ${g.name}`,
+        content: `
+            <label class="block text-sm font-medium text-gray-300 mb-2">Multiplier</label>
+            <input type="number" id="scoringMultiplier" value="${scoring.multiplier}" min="0.1" step="0.1" class="${inputClass}">
+            <label class="block text-sm font-medium text-gray-300 mt-4 mb-2">Per-gift points (optional)</label>
+            <textarea id="scoringGifts" rows="4" placeholder="Rose | 10" class="${inputClass} font-mono text-sm">${formatScoringGifts(scoring.gifts)}</textarea>
+            <p class="text-xs text-gray-500 mt-2">One gift per line: gift name or id | points per gift. Other gifts are worth their diamonds. Changes apply to gifts counted from now on. Currently ${(counters[gid]?.points || 0).toLocaleString()} points.</p>
+
+            <div class="mt-5 pt-4 border-t border-dark-700">
+                <label class="block text-sm font-medium text-gray-300 mb-2">Boost window</label>
+                ${boost ? `<p class="text-sm text-yellow-400 mb-2">⚡ ${boost.multiplier}x running until ${new Date(boost.endsAt).toLocaleTimeString()}</p>` : ''}
+                <div class="flex items-center space-x-2">
+                    <input type="number" id="boostMultiplier" value="2" min="0.1" step="0.1" title="Multiplier" class="${inputClass}">
+                    <span class="text-gray-400">x for</span>
+                    <input type="number" id="boostMinutes" value="5" min="1" title="Minutes" class="${inputClass}">
+                    <span class="text-gray-400">min</span>
+                </div>
+                <label class="flex items-center space-x-3 mt-3">
+                    <input type="checkbox" id="boostAllGroups" class="w-4 h-4">
+                    <span class="text-sm text-gray-300">Boost every gift group</span>
+                </label>
+                <div class="flex space-x-2 mt-3">
+                    <button id="boostStart" class="px-3 py-2 bg-yellow-500/20 hover:bg-yellow-500/30 text-yellow-400 text-sm rounded-lg transition-colors flex-1">⚡ Start Boost</button>
+                    ${boost ? '<button id="boostStop" class="px-3 py-2 bg-dark-700 hover:bg-dark-600 text-white text-sm rounded-lg transition-colors flex-1">Stop Boost</button>' : ''}
+                </div>
+            </div>
+        `,
+        actions: [
+            {
+                label: 'Cancel',
+                class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                onClick: () => closeModal()
+            },
+            {
+                label: 'Plain Diamonds',
+                class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                onClick: () => post('/api/scoring', { groupId: gid, scoring: null }, `"${g.name}" scores plain diamonds again`)
+            },
+            {
+                label: 'Save',
+                class: 'px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white rounded-lg transition-all',
+                onClick: () => {
+                    let gifts;
+                    try {
+                        gifts = parseScoringGifts(document.getElementById('scoringGifts').value);
+                    } catch (err) {
+                        showToast(err.message, 'error');
+                        return;
+                    }
+                    post('/api/scoring', {
+                        groupId: gid,
+                        scoring: { multiplier: parseFloat(document.getElementById('scoringMultiplier').value) || 1, gifts }
+                    }, `Scoring updated for "${g.name}"`);
+                }
+            }
+        ]
+    });
+
+    document.getElementById('boostStart').onclick = () => post('/api/boosts', {
+        ...(document.getElementById('boostAllGroups').checked ? {} : { groupIds: [gid] }),
+        multiplier: parseFloat(document.getElementById('boostMultiplier').value) || 0,
+        durationSec: Math.round((parseFloat(document.getElementById('boostMinutes').value) || 0) * 60)
+    }, 'Boost started');
+    if (boost) {
+        document.getElementById('boostStop').onclick = () => post('/api/boosts/stop', { groupIds: [gid] }, 'Boost stopped');
+    }
+}
+
+function showMilestonesModal(gid) {
+    const g = groups[gid];
+    const saveMilestones = milestones => {
+        api('/api/milestones', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ groupId: gid, milestones })
+        })
+            .then(async res => {
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.error);
+                showToast(`Milestones updated for "${g.name}"`, 'success');
+                closeModal();
+            })
+            .catch(err => showToast(err.message || 'Failed to save milestones', 'error'));
+    };
+
+    showModal({
+        title: `Milestones - ${g.name}`,
+        content: `
+            <label class="block text-sm font-medium text-gray-300 mb-2">One per line: percent of target or diamond amount, then an optional message</label>
+            <textarea
+                id="milestonesInput"
+                rows="6"
+                class="w-full px-4 py-2 bg-dark-900 border border-dark-600 rounded-lg text-white font-mono text-sm focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20"
+                placeholder="25% Quarter of the way there!&#10;50%&#10;5000 {group} passed {diamonds} diamonds!"
+            >${formatMilestones(g.milestones || DEFAULT_MILESTONES)}</textarea>
+            <p class="text-xs text-gray-500 mt-2">Percentages repeat for every stretch stage. Messages may use {group}, {label}, {diamonds} and {target}. Leave empty to turn milestones off.</p>
+        `,
+        actions: [
+            {
+                label: 'Cancel',
+                class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                onClick: () => closeModal()
+            },
+            {
+                label: 'Use Defaults',
+                class: 'px-4 py-2 bg-dark-700 hover:bg-dark-600 text-white rounded-lg transition-colors',
+                onClick: () => saveMilestones(null)
+            },
+            {
+                label: 'Save',
+                class: 'px-4 py-2 bg-gradient-to-r from-blue-500 to-purple-600 hover:from-blue-600 hover:to-purple-700 text-white rounded-lg transition-all',
+                onClick: () => {
+                    const milestones = parseMilestoneLines(document.getElementById('milestonesInput').value);
+                    if (!milestones) {
+                        showToast('Each line must start with a number or percentage', 'error');
+                        return;
+                    }
+                    saveMilestones(milestones);
+                }
+            }
+        ]
+    });
+}
+
+/* ========== HTML Escaping ========== */
+// For anything viewers or other users control (nicknames, group names, labels) that goes into innerHTML
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
 /* ========== Modal System ========== */
 function showModal({ title, content, actions }) {
     const modal = document.getElementById('modalContainer');
@@ -623,10 +2691,11 @@ function closeModal() {
     document.body.style.overflow = '';
 }
 
-// Close modal on Escape key
+// Close modal (and the history drawer) on Escape key
 document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
         closeModal();
+        closeAuditDrawer();
     }
 });
 
@@ -669,7 +2738,7 @@ function showToast(message, type = 'info') {
 
 /* ========== helpers ========== */
 function saveGroups() {
-    fetch('/api/groups', {
+    api('/api/groups', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(groups)
@@ -690,7 +2759,7 @@ function randomColor() {
 
 /* ========== Error Log Viewer ========== */
 function showErrorLog() {
-    fetch('/api/errors')
+    api('/api/errors')
         .then(res => res.json())
         .then(data => {
             const errorList = data.errors.length > 0 ?
@@ -725,7 +2794,7 @@ function showErrorLog() {
                         label: 'Clear Log',
                         class: 'px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg transition-colors',
                         onClick: () => {
-                            fetch('/api/errors/clear', { method: 'POST' })
+                            api('/api/errors/clear', { method: 'POST' })
                                 .then(() => {
                                     showToast('Error log cleared', 'success');
                                     closeModal();
@@ -0,0 +1,159 @@
+/* query params: id (groupId, default whole stream), count (1-10, default 5),
+   layout (list | row), anim (slide | fade | none), token (overlay link) */
+const q = new URLSearchParams(location.search);
+const groupId = q.get('id');
+const count = Math.min(10, Math.max(1, parseInt(q.get('count'), 10) || 5));
+const layout = q.get('layout') === 'row' ? 'row' : 'list';
+const anim = ['slide', 'fade', 'none'].includes(q.get('anim')) ? q.get('anim') : 'slide';
+
+const board = document.getElementById('board');
+const title = document.getElementById('title');
+const rowsEl = document.getElementById('rows');
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+const FADE_MS = 300;
+
+const rowEls = new Map();     // uniqueId -> row element, reused so rows can animate
+let lastRanks = new Map();    // uniqueId -> rank on the previous render
+let pendingEntries = null;
+let fadeTimer = null;
+
+board.classList.add(`layout-${layout}`, `anim-${anim}`);
+
+const emptyEl = document.createElement('div');
+emptyEl.className = 'empty';
+emptyEl.textContent = 'Be the first to send a gift!';
+
+const sock = io({ auth: { overlayToken: q.get('token') } });
+
+/* group name and colour come from the group's live state */
+if (groupId) {
+    subscribeState(sock, { channel: 'group', groupId }, p => {
+        const g = p.groups[groupId];
+        if (!g) return;                    // unknown group
+
+        title.textContent = g.name;
+        if (g.color) document.documentElement.style.setProperty('--c', g.color);
+    });
+}
+
+sock.on('leaderboard', lb => {
+    const ranking = groupId ? lb.groups?.[groupId] : lb.overall;
+    render((ranking?.entries || []).slice(0, count));
+});
+
+function render(entries) {
+    if (anim !== 'fade' || !orderChanged(entries)) {
+        draw(entries);
+        return;
+    }
+
+    // Crossfade: fade out, swap the rows, fade back in (bursts collapse into one swap)
+    pendingEntries = entries;
+    if (fadeTimer) return;
+    rowsEl.classList.add('fading');
+    fadeTimer = setTimeout(() => {
+        fadeTimer = null;
+        draw(pendingEntries);
+        rowsEl.classList.remove('fading');
+    }, FADE_MS);
+}
+
+function orderChanged(entries) {
+    return entries.length !== lastRanks.size ||
+        entries.some(e => lastRanks.get(e.uniqueId) !== e.rank);
+}
+
+function draw(entries) {
+    // FLIP: remember where every row was before reordering
+    const before = new Map([...rowEls].map(([id, el]) => [id, el.getBoundingClientRect()]));
+    const onBoard = new Set(entries.map(e => e.uniqueId));
+
+    for (const [id, el] of rowEls) {
+        if (!onBoard.has(id)) {
+            el.remove();
+            rowEls.delete(id);
+        }
+    }
+
+    entries.forEach(e => {
+        let el = rowEls.get(e.uniqueId);
+        if (!el) {
+            el = createRow();
+            rowEls.set(e.uniqueId, el);
+        }
+        fillRow(el, e);
+        rowsEl.appendChild(el);   // appending in rank order moves existing rows
+    });
+
+    if (entries.length === 0) {
+        rowsEl.appendChild(emptyEl);
+    } else {
+        emptyEl.remove();
+    }
+
+    entries.forEach(e => {
+        const el = rowEls.get(e.uniqueId);
+        const prevRank = lastRanks.get(e.uniqueId);
+
+        if (prevRank && e.rank < prevRank) {
+            el.classList.remove('climbed');
+            void el.offsetWidth;
+            el.classList.add('climbed');
+        }
+
+        if (anim === 'slide') slideIntoPlace(el, before.get(e.uniqueId));
+    });
+
+    lastRanks = new Map(entries.map(e => [e.uniqueId, e.rank]));
+}
+
+// Start the row at its old position and let the CSS transition carry it to the new one
+function slideIntoPlace(el, prev) {
+    if (!prev) {
+        el.classList.add('entering');
+        void el.offsetWidth;
+        el.classList.remove('entering');
+        return;
+    }
+
+    const now = el.getBoundingClientRect();
+    const dx = prev.left - now.left;
+    const dy = prev.top - now.top;
+    if (!dx && !dy) return;
+
+    el.style.transition = 'none';
+    el.style.transform = `translate(${dx}px, ${dy}px)`;
+    void el.offsetWidth;
+    el.style.transition = '';
+    el.style.transform = '';
+}
+
+function createRow() {
+    const el = document.createElement('div');
+    el.className = 'row';
+    el.innerHTML = `
+        <span class="rank"></span>
+        <img class="avatar" alt="">
+        <span class="name"></span>
+        <span class="diamonds"></span>
+    `;
+    el.querySelector('.avatar').onerror = function () {
+        this.style.visibility = 'hidden';
+    };
+    return el;
+}
+
+function fillRow(el, e) {
+    el.querySelector('.rank').textContent = MEDALS[e.rank - 1] || e.rank;
+    el.querySelector('.name').textContent = e.nickname || e.uniqueId;
+    el.querySelector('.diamonds').textContent = `${e.diamonds.toLocaleString()} 💎`;
+
+    const avatar = el.querySelector('.avatar');
+    if (!e.profilePictureUrl) {
+        avatar.style.visibility = 'hidden';
+    } else if (avatar.getAttribute('src') !== e.profilePictureUrl) {
+        avatar.style.visibility = '';
+        avatar.src = e.profilePictureUrl;
+    }
+}
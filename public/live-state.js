@@ -0,0 +1,49 @@
+/* Keeps a local copy of one server state channel and calls onState(state)
+   whenever it changes. subscription: { channel: 'all' } (everything, the
+   dashboard), { channel: 'group', groupId } (one group's progress) or
+   { channel: 'stats' }. Every (re)connect starts from a full snapshot; after
+   that the server only sends versioned deltas, and a delta that doesn't follow
+   on from our version (one was missed) asks for a fresh snapshot. */
+function subscribeState(sock, subscription, onState) {
+    const channel = subscription.channel === 'group' ? `group:${subscription.groupId}` : subscription.channel;
+    let state = null;
+    let version = 0;
+    let pending = false;
+
+    function subscribe() {
+        pending = true;
+        sock.emit('subscribe', subscription, res => {
+            pending = false;
+            if (res?.error) {
+                console.warn(`Live state: ${res.error}`);
+                return;
+            }
+            state = res.data;
+            version = res.version;
+            onState(state);
+        });
+    }
+
+    sock.on('connect', subscribe);
+    if (sock.connected) subscribe();
+
+    sock.on('delta', d => {
+        if (d.channel !== channel || pending || !state || d.version <= version) return;
+        if (d.from !== version) {
+            subscribe();
+            return;
+        }
+
+        for (const [path, value] of d.set) {
+            const key = path[path.length - 1];
+            const parent = path.slice(0, -1).reduce((node, k) => node[k] ??= {}, state);
+            parent[key] = value;
+        }
+        for (const path of d.unset) {
+            const parent = path.slice(0, -1).reduce((node, k) => node?.[k], state);
+            if (parent) delete parent[path[path.length - 1]];
+        }
+        version = d.version;
+        onState(state);
+    });
+}
@@ -1,7 +1,28 @@
-/* query params: id (groupId), pw (dashboard password) */
+/* query params: id (groupId), token (overlay link), preview (dashboard preview,
+   uses the dashboard's session instead of a link),
+   show (number on the bar: progress (default) | points | diamonds | gifts),
+   color (hex, without #) and the theme fields below, which override the
+   group's saved theme: layout (horizontal | vertical | circular | text),
+   font (Google Fonts family), size (percent), bg (backdrop opacity 0-100),
+   format (value | percent | remaining), label (caption text) */
 const q = new URLSearchParams(location.search);
 const groupId = q.get('id');
-const pass = q.get('pw') || '';
+const SHOW_FIELDS = { points: 'points', diamonds: 'diamonds', gifts: 'count' };
+const showField = SHOW_FIELDS[q.get('show')] || null;
+if (q.get('color')) document.documentElement.style.setProperty('--c', `#${q.get('color')}`);
+
+const LAYOUTS = ['horizontal', 'vertical', 'circular', 'text'];
+const FORMATS = ['value', 'percent', 'remaining'];
+const DEFAULT_THEME = { layout: 'horizontal', font: 'Inter', size: 100, background: 100, format: 'value', label: '' };
+const RING_LENGTH = 2 * Math.PI * 44;  // Circumference of the ring's circle (r=44)
+
+const urlTheme = {};
+if (LAYOUTS.includes(q.get('layout'))) urlTheme.layout = q.get('layout');
+if (/^[A-Za-z0-9 -]{1,40}$/.test(q.get('font') || '')) urlTheme.font = q.get('font');
+if (Number(q.get('size')) > 0) urlTheme.size = Math.min(300, Math.max(25, Number(q.get('size'))));
+if (q.get('bg') && !isNaN(q.get('bg'))) urlTheme.background = Math.min(100, Math.max(0, Number(q.get('bg'))));
+if (FORMATS.includes(q.get('format'))) urlTheme.format = q.get('format');
+if (q.has('label')) urlTheme.label = q.get('label');
 
 const fill = document.getElementById('fill');
 const num = document.getElementById('num');
@@ -10,9 +31,23 @@ const groupName = document.getElementById('groupName');
 const targetValue = document.getElementById('targetValue');
 const progressValue = document.getElementById('progressValue');
 const remainingValue = document.getElementById('remainingValue');
+const stageBadge = document.getElementById('stageBadge');
+const stageRow = document.getElementById('stageRow');
+const stageValue = document.getElementById('stageValue');
+const boostBadge = document.getElementById('boostBadge');
+const ringFill = document.getElementById('ringFill');
+const caption = document.getElementById('caption');
+
+ringFill.style.strokeDasharray = RING_LENGTH;
+ringFill.style.strokeDashoffset = RING_LENGTH;
 
+let theme = { ...DEFAULT_THEME, ...urlTheme };
+let appliedTheme = '';
+const loadedFonts = new Set(['Inter']);
 let target = 1;
 let last = 0;
+let lastStage = 0;
+let boostTimer = null;
 
 function setGlow() {
     const g = Math.round(document.querySelector('.bar-wrap').offsetHeight * 0.35);
@@ -21,33 +56,55 @@ function setGlow() {
 setGlow();
 window.addEventListener('resize', setGlow);
 
-const sock = io();
-
-sock.on('update', p => {
-    target = p.target || target;
+const sock = io({
+    auth: q.has('preview')
+        ? { token: sessionStorage.getItem('tracker_session_token') }
+        : { overlayToken: q.get('token') }
+});
 
+subscribeState(sock, { channel: 'group', groupId }, p => {
     const g = p.groups[groupId];
     if (!g) return;                        // unknown group
 
+    /* per-group goal (own target / active stretch stage), else global target */
+    const goal = p.goals?.[groupId];
+    target = goal?.target || p.target || target;
+    renderStage(goal);
+    renderBoost(p.boosts?.[groupId]);
+    applyTheme(g.theme);
+
     /* set color once (uses CSS var for both outline & fill) */
     if (document.documentElement.style.getPropertyValue('--c') === '')
         document.documentElement.style.setProperty('--c', g.color);
 
-    const diamonds = (p.counters[groupId] || { diamonds: 0 }).diamonds;
-    const pct = Math.min(100, (diamonds / target) * 100);
+    // Progress is in the group's source unit (diamonds, gifts, likes, ...); the bar
+    // always follows it, `show` only picks the number written on it
+    const value = goal?.progress ?? (p.counters[groupId] || { diamonds: 0 }).diamonds;
+    const shown = showField ? (p.counters[groupId]?.[showField] || 0) : value;
+    const pct = Math.min(100, (value / target) * 100);
+
+    fill.style.width = theme.layout === 'vertical' ? '' : pct + '%';
+    fill.style.height = theme.layout === 'vertical' ? pct + '%' : '';
+    ringFill.style.strokeDashoffset = RING_LENGTH * (1 - pct / 100);
+    num.textContent = theme.format === 'percent' ? `${Math.floor(pct)}%`
+        : theme.format === 'remaining' ? Math.max(0, target - value).toLocaleString()
+        : shown.toLocaleString();
 
-    fill.style.width = pct + '%';
-    num.textContent = diamonds.toLocaleString();
+    caption.textContent = theme.label
+        .replace(/\{group\}/g, g.name)
+        .replace(/\{target\}/g, target.toLocaleString())
+        .replace(/\{unit\}/g, goal?.unit || 'diamonds');
+    caption.style.display = theme.label ? 'block' : 'none';
 
     // Update info panel
     groupName.textContent = g.name;
     targetValue.textContent = target.toLocaleString();
     progressValue.textContent = pct.toFixed(1) + '%';
-    remainingValue.textContent = Math.max(0, target - diamonds).toLocaleString();
+    remainingValue.textContent = Math.max(0, target - value).toLocaleString();
     infoPanel.style.display = 'block';
 
     /* flash when value rises */
-    if (diamonds > last) {
+    if (value > last) {
         num.classList.remove('flash');
         void num.offsetWidth;
         num.classList.add('flash');
@@ -55,9 +112,135 @@ sock.on('update', p => {
         // Add particle effect
         createParticles();
     }
-    last = diamonds;
+    last = value;
+});
+
+// The group's saved look, with this URL's params on top; only touches the page when it changes
+function applyTheme(saved) {
+    theme = { ...DEFAULT_THEME, ...saved, ...urlTheme };
+    const key = JSON.stringify(theme);
+    if (key === appliedTheme) return;
+    appliedTheme = key;
+
+    document.body.classList.remove(...LAYOUTS.map(layout => `layout-${layout}`));
+    document.body.classList.add(`layout-${theme.layout}`);
+
+    if (!loadedFonts.has(theme.font)) {
+        loadedFonts.add(theme.font);
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = `https://fonts.googleapis.com/css2?family=${encodeURIComponent(theme.font).replace(/%20/g, '+')}&display=swap`;
+        document.head.appendChild(link);
+    }
+
+    const root = document.documentElement.style;
+    root.setProperty('--font', `'${theme.font}'`);
+    root.setProperty('--s', theme.size / 100);
+    root.setProperty('--bg', theme.background / 100);
+    setGlow();
+}
+
+// "2x boost 4:59" while a boost runs; hides itself when the time is up
+function renderBoost(boost) {
+    clearInterval(boostTimer);
+    boostTimer = null;
+    boostBadge.style.display = 'none';
+    if (!boost) return;
+
+    const endsAt = Date.parse(boost.endsAt);
+    const tick = () => {
+        const secs = Math.ceil((endsAt - Date.now()) / 1000);
+        if (secs <= 0) {
+            renderBoost(null);
+            return;
+        }
+        boostBadge.textContent = `${boost.multiplier}x boost ${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+        boostBadge.style.display = 'block';
+    };
+    tick();
+    if (boostBadge.style.display === 'block') boostTimer = setInterval(tick, 1000);
+}
+
+// Show the active stretch-goal stage; pulse the badge when it advances
+function renderStage(goal) {
+    if (!goal || goal.stageCount <= 1) {
+        stageBadge.style.display = 'none';
+        stageRow.style.display = 'none';
+        return;
+    }
+
+    const label = goal.completed
+        ? 'All goals reached'
+        : `Stage ${goal.stage}/${goal.stageCount}`;
+    stageBadge.textContent = label;
+    stageBadge.style.display = 'block';
+    stageValue.textContent = `${goal.stage}/${goal.stageCount}`;
+    stageRow.style.display = 'flex';
+
+    if (lastStage && goal.stage > lastStage) {
+        stageBadge.classList.remove('advance');
+        void stageBadge.offsetWidth;
+        stageBadge.classList.add('advance');
+    }
+    lastStage = goal.stage;
+}
+
+/* ── Milestone celebrations - queued so back-to-back milestones each get their moment ── */
+const CELEBRATION_MS = 4000;
+const celebration = document.getElementById('celebration');
+const celebrationLabel = document.getElementById('celebrationLabel');
+const celebrationMessage = document.getElementById('celebrationMessage');
+const celebrationQueue = [];
+let celebrating = false;
+
+sock.on('milestone', m => {
+    if (m.groupId !== groupId) return;
+    celebrationQueue.push(m);
+    if (!celebrating) nextCelebration();
 });
 
+function nextCelebration() {
+    const m = celebrationQueue.shift();
+    if (!m) {
+        celebrating = false;
+        return;
+    }
+    celebrating = true;
+
+    const barWrap = document.querySelector('.bar-wrap');
+    celebrationLabel.textContent = m.label;
+    celebrationMessage.textContent = m.message;
+    celebration.classList.remove('show');
+    void celebration.offsetWidth;
+    celebration.classList.add('show');
+    barWrap.classList.add('celebrate');
+    createConfetti();
+
+    setTimeout(() => {
+        celebration.classList.remove('show');
+        barWrap.classList.remove('celebrate');
+        setTimeout(nextCelebration, 400);
+    }, CELEBRATION_MS);
+}
+
+function createConfetti() {
+    const pieceCount = 80;
+
+    for (let i = 0; i < pieceCount; i++) {
+        const piece = document.createElement('div');
+        piece.className = 'confetti';
+        piece.style.left = Math.random() * 100 + 'vw';
+        // Mix the group colour with random bright hues
+        piece.style.background = i % 3 === 0 ? 'var(--c)' : `hsl(${Math.floor(Math.random() * 360)}, 90%, 60%)`;
+        piece.style.setProperty('--dx', (Math.random() * 40 - 20) + 'vw');
+        piece.style.setProperty('--spin', Math.floor(Math.random() * 1440 - 720) + 'deg');
+        piece.style.animationDelay = (Math.random() * 0.6) + 's';
+
+        document.body.appendChild(piece);
+        setTimeout(() => piece.remove(), 4000);
+    }
+}
+
 // Create particle effect on gift receive
 function createParticles() {
     const barWrap = document.querySelector('.bar-wrap');
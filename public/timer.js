@@ -0,0 +1,57 @@
+/* query params: label (text above the clock), color (hex, without #),
+   ended (text shown when the clock runs out), token (overlay link) */
+const q = new URLSearchParams(location.search);
+if (q.get('color')) document.documentElement.style.setProperty('--c', `#${q.get('color')}`);
+const endedText = q.get('ended') || "Time's up!";
+
+const timerEl = document.getElementById('timer');
+const clockEl = document.getElementById('timerClock');
+const statusEl = document.getElementById('timerStatus');
+const addedEl = document.getElementById('timerAdded');
+if (q.has('label')) document.getElementById('timerLabel').textContent = q.get('label');
+
+let timer = null;
+let endsAt = 0;           // Local clock, so a skewed OBS machine still counts down correctly
+let lastAddedAt = null;
+
+const sock = io({ auth: { overlayToken: q.get('token') } });
+
+sock.on('timer', t => {
+    timer = t;
+    endsAt = Date.now() + t.remainingMs;
+
+    timerEl.style.display = t.status === 'idle' ? 'none' : 'inline-flex';
+    timerEl.classList.toggle('paused', t.status === 'paused');
+    timerEl.classList.toggle('ended', t.status === 'ended');
+    statusEl.textContent = t.status === 'paused' ? 'Paused' : t.status === 'ended' ? endedText : '';
+
+    // Only animate additions made since the overlay loaded
+    if (t.lastAdded && lastAddedAt !== null && t.lastAdded.at !== lastAddedAt) showAdded(t.lastAdded.ms);
+    lastAddedAt = t.lastAdded?.at || '';
+
+    tick();
+});
+
+function formatClock(ms) {
+    const secs = Math.ceil(ms / 1000);
+    const h = Math.floor(secs / 3600);
+    const m = Math.floor(secs / 60) % 60;
+    const s = secs % 60;
+    return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+}
+
+function showAdded(ms) {
+    const secs = Math.round(ms / 1000);
+    addedEl.textContent = `+${secs >= 60 ? `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}` : `${secs}s`}`;
+    addedEl.classList.remove('show');
+    void addedEl.offsetWidth;
+    addedEl.classList.add('show');
+}
+
+function tick() {
+    if (!timer) return;
+    const remaining = timer.status === 'running' ? Math.max(0, endsAt - Date.now()) : timer.remainingMs;
+    clockEl.textContent = formatClock(remaining);
+}
+
+setInterval(tick, 250);
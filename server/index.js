@@ -6,6 +6,11 @@ import { Server } from 'socket.io';
 import { createServer } from 'http';
 import { WebcastPushConnection, SignConfig } from 'tiktok-live-connector';
 import path from 'path';
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream, mkdirSync } from 'fs';
+import readline from 'readline';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import { fileURLToPath } from 'url';
 
 // Load environment variables
@@ -18,8 +23,15 @@ const PORT = process.env.PORT || 3000;
 const BACKEND_API_URL = process.env.BACKEND_API_URL;
 const API_KEY = process.env.API_KEY;
 const ACCOUNT_ID = process.env.ACCOUNT_ID;
-const USERNAME = process.env.TIKTOK_USERNAME;
+// Comma-separated list of usernames; the first one is the instance's primary room
+const USERNAMES = (process.env.TIKTOK_USERNAME || '')
+  .split(',')
+  .map(u => u.trim().replace(/^@/, '').toLowerCase())
+  .filter(Boolean);
+const USERNAME = USERNAMES[0];
 const DEBUG_MODE = process.env.DEBUG_MODE === 'true' || false;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;   // Optional shared Bearer token for /metrics
 
 /* ── Euler Stream API Key Rotation Pool ───────────────────────────── */
 const EULER_API_KEYS = [
@@ -78,21 +90,19 @@ if (!USERNAME) {
 /* ── Backend-loaded configuration ──────────── */
 let cfg = {
   target: 10_000,
-  comboTimeout: 5000  // 5 seconds default - can be configured
+  comboTimeout: 5000,  // 5 seconds default - can be configured
+  autoReconnect: { enabled: false }
 };
 let groups = {};               // Will be loaded from backend
 
 /* ── runtime state ─────────────────── */
 let counters = {};
-let liveStatus = 'DISCONNECTED';   // DISCONNECTED | CONNECTING | ONLINE | OFFLINE
-let viewers = 0;
 let uniques = new Set();
 let totalGifts = 0;
 let totalDiamonds = 0;
+let engagementTotals = { likes: 0, follows: 0, shares: 0, subscriptions: 0 };
 let giftCatalog = [];
-
-/* ── Manual connection control (NO auto-reconnect) ─────────────────── */
-let isManualDisconnect = false;  // Track if user manually disconnected
+const rooms = new Map();           // username -> room state (see createRoom)
 
 /* ── Error logging system ─────────────────── */
 const errorLog = [];
@@ -115,7 +125,7 @@ function logError(category, message, details = null) {
   console.error(`[${category}] ${message}`, details || '');
 
   // Broadcast error to dashboard
-  io.emit('error', errorEntry);
+  io.to(DASHBOARD_ROOM).emit('error', errorEntry);
 }
 
 /* ── Debug mode and diagnostics ─────────────────── */
@@ -134,6 +144,9 @@ const diagnostics = {
     roomUser: 0,
     like: 0,
     chat: 0,
+    follow: 0,
+    share: 0,
+    subscribe: 0,
     connected: 0,
     disconnected: 0,
     error: 0,
@@ -199,846 +212,4997 @@ function debouncedBroadcast() {
   }, BROADCAST_DEBOUNCE_MS);
 }
 
+// Gifts (or events) counted, their raw diamonds, and points from the group's scoring table
+const COUNTER_FIELDS = ['count', 'diamonds', 'points'];
+
+function emptyCounter() {
+  return { count: 0, diamonds: 0, points: 0 };
+}
+
 function initCounters(preserveValues = true) {
   // Optionally preserve existing counter values when re-initializing
   const oldCounters = preserveValues ? { ...counters } : {};
 
   counters = {};
   for (const g in groups) {
-    // Use existing counter values if they exist (and preserveValues is true), otherwise start at zero
-    counters[g] = oldCounters[g] || { count: 0, diamonds: 0 };
+    // Use existing counter values if they exist (and preserveValues is true), otherwise start at zero.
+    // Counters saved before points existed get them at zero.
+    counters[g] = { ...emptyCounter(), ...oldCounters[g] };
   }
 }
 initCounters();
 
-/* ── Backend sync batching ─────────────────── */
-let syncQueue = [];
-let syncTimer = null;
-const SYNC_BATCH_DELAY = 2000; // 2 seconds
-const MAX_SYNC_QUEUE_SIZE = 10;
+/* ── Group sources (what a group counts) ───────────────────────── */
+// `group.source` picks the metric a group's goal, milestones and overlay
+// track. Gift sources count the gifts the group matches (see Group matching
+// rules; `points` weighs them with the group's scoring table, see Group
+// scoring); the engagement sources count every such event from the group's
+// rooms into counters[gid].count, ignoring gift matching. `votes` groups are poll options, counted by chat votes (see Chat polls).
+const GROUP_SOURCES = {
+  diamonds: { field: 'diamonds', unit: 'diamonds', gifts: true },
+  gifts: { field: 'count', unit: 'gifts', gifts: true },
+  points: { field: 'points', unit: 'points', gifts: true },
+  likes: { field: 'count', unit: 'likes', gifts: false },
+  follows: { field: 'count', unit: 'follows', gifts: false },
+  shares: { field: 'count', unit: 'shares', gifts: false },
+  subscriptions: { field: 'count', unit: 'subscriptions', gifts: false },
+  votes: { field: 'count', unit: 'votes', gifts: false, poll: true }
+};
+const ENGAGEMENT_SOURCES = Object.keys(GROUP_SOURCES).filter(source => !GROUP_SOURCES[source].gifts && !GROUP_SOURCES[source].poll);
 
-function queueBackendSync(type, data) {
-  syncQueue.push({
-    type,
-    data,
-    timestamp: Date.now()
-  });
+function getGroupSource(gid) {
+  const source = groups[gid]?.source;
+  return GROUP_SOURCES[source] ? source : 'diamonds';
+}
 
-  debugLog(`Queued backend sync: ${type}, queue size: ${syncQueue.length}`);
+// The value the group's goal is measured in
+function getGroupProgress(gid) {
+  return counters[gid]?.[GROUP_SOURCES[getGroupSource(gid)].field] || 0;
+}
 
-  // If queue is full, sync immediately
-  if (syncQueue.length >= MAX_SYNC_QUEUE_SIZE) {
-    debugLog('Queue full, syncing immediately');
-    flushSyncQueue();
-    return;
+/* ── Group matching rules (which gifts a gift group counts) ───────── */
+// A gift group counts a gift whose id is in `group.giftIds` or that matches
+// any of `group.rules`:
+//   { type: 'any' }                    every gift
+//   { type: 'diamonds', min, max }     diamond cost per gift, inclusive (either end optional)
+//   { type: 'name', pattern }          gift name, case-insensitive, `*` matches anything
+// `group.senders` ({ allow, deny } lists of usernames) then filters by who sent
+// it: denied senders never count, and a non-empty allow list counts only its
+// senders. A gift counts into every group it matches, so a "Roses" group and
+// an "All gifts" total can both grow from the same rose.
+const GROUP_RULE_TYPES = ['any', 'diamonds', 'name'];
+const MAX_GROUP_RULES = 20;
+const MAX_RULE_PATTERN_LENGTH = 100;
+const MAX_SENDER_LIST = 500;
+
+const namePatternCache = new Map();   // pattern -> RegExp
+
+function namePatternRegex(pattern) {
+  let regex = namePatternCache.get(pattern);
+  if (!regex) {
+    const source = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    regex = new RegExp(`^${source}$`, 'i');
+    namePatternCache.set(pattern, regex);
   }
+  return regex;
+}
 
-  // Otherwise, debounce the sync
-  if (syncTimer) {
-    clearTimeout(syncTimer);
+function giftMatchesRule(rule, data) {
+  switch (rule?.type) {
+    case 'any':
+      return true;
+    case 'diamonds':
+      return data.diamondCount >= (rule.min ?? 0) && data.diamondCount <= (rule.max ?? Infinity);
+    case 'name':
+      return namePatternRegex(rule.pattern).test(data.giftName || '');
+    default:
+      return false;
   }
+}
 
-  syncTimer = setTimeout(() => {
-    flushSyncQueue();
-  }, SYNC_BATCH_DELAY);
+function senderAllowed(group, data) {
+  const { allow = [], deny = [] } = group.senders || {};
+  const sender = [data.uniqueId, data.userId].filter(id => id != null).map(normalizeUsername);
+  if (deny.some(name => sender.includes(name))) return false;
+  return allow.length === 0 || allow.some(name => sender.includes(name));
 }
 
-async function flushSyncQueue() {
-  if (syncQueue.length === 0) return;
+function groupCountsGift(group, data) {
+  const matched = (group.giftIds || []).includes(data.giftId) ||
+    (Array.isArray(group.rules) && group.rules.some(rule => giftMatchesRule(rule, data)));
+  return matched && senderAllowed(group, data);
+}
 
-  const itemsToSync = [...syncQueue];
-  syncQueue = [];
+// Every gift group in the room that counts this gift
+function getGiftGroups(data, room) {
+  return Object.keys(groups).filter(gid =>
+    GROUP_SOURCES[getGroupSource(gid)].gifts && groupMatchesRoom(groups[gid], room) && groupCountsGift(groups[gid], data)
+  );
+}
 
-  if (syncTimer) {
-    clearTimeout(syncTimer);
-    syncTimer = null;
+const GROUP_RULES_ERROR = `rules must be a list of up to ${MAX_GROUP_RULES} of { type: 'any' }, ` +
+  `{ type: 'diamonds', min, max } (whole numbers, min <= max) or { type: 'name', pattern }`;
+const GROUP_SENDERS_ERROR = `senders must be { allow: [usernames], deny: [usernames] } (up to ${MAX_SENDER_LIST} each)`;
+
+// Returns cleaned rules, or null if any rule is invalid
+function parseGroupRules(rules) {
+  if (!Array.isArray(rules) || rules.length > MAX_GROUP_RULES) return null;
+
+  const cleaned = [];
+  for (const rule of rules) {
+    if (!GROUP_RULE_TYPES.includes(rule?.type)) return null;
+
+    if (rule.type === 'any') {
+      cleaned.push({ type: 'any' });
+    } else if (rule.type === 'diamonds') {
+      const min = rule.min ?? null;
+      const max = rule.max ?? null;
+      if ([min, max].some(v => v !== null && !(Number.isInteger(v) && v >= 0))) return null;
+      if (min === null && max === null) return null;
+      if (min !== null && max !== null && min > max) return null;
+      cleaned.push({ type: 'diamonds', min, max });
+    } else {
+      const pattern = typeof rule.pattern === 'string' ? rule.pattern.trim() : '';
+      if (!pattern || pattern.length > MAX_RULE_PATTERN_LENGTH) return null;
+      cleaned.push({ type: 'name', pattern });
+    }
   }
+  return cleaned;
+}
 
-  debugLog(`Flushing sync queue: ${itemsToSync.length} items`);
+// Returns { allow, deny } with normalized usernames, or null if invalid
+function parseGroupSenders(senders) {
+  if (!senders || typeof senders !== 'object' || Array.isArray(senders)) return null;
 
-  // Group by type
-  const groupedSyncs = {
-    config: [],
-    groups: []
-  };
+  const lists = {};
+  for (const key of ['allow', 'deny']) {
+    const list = senders[key] ?? [];
+    if (!Array.isArray(list) || list.length > MAX_SENDER_LIST || list.some(name => typeof name !== 'string')) return null;
+    lists[key] = [...new Set(list.map(normalizeUsername).filter(Boolean))];
+  }
+  return lists;
+}
 
-  itemsToSync.forEach(item => {
-    if (groupedSyncs[item.type]) {
-      groupedSyncs[item.type].push(item);
-    }
-  });
+/* ── Group scoring (points per gift, multipliers and boosts) ──────── */
+// Every gift a group counts also earns it points, kept next to the raw
+// diamonds in counters[gid].points. `group.scoring` is the table:
+// { multiplier, gifts: { giftId: points } } - a gift without its own value is
+// worth its diamonds. Boost windows started from the dashboard multiply on top
+// for a limited time. Points are rounded per counted gift, and a changed table
+// only affects gifts counted after it.
+const MAX_SCORING_MULTIPLIER = 100;
+const MAX_GIFT_POINTS = 1000000;
+const MAX_BOOST_SEC = 24 * 60 * 60;
+
+let boosts = {};   // gid -> { multiplier, startedAt, endsAt }
+let boostExpiryTimer = null;
+
+function getBoostMultiplier(gid) {
+  const boost = boosts[gid];
+  return boost && Date.parse(boost.endsAt) > Date.now() ? boost.multiplier : 1;
+}
 
-  // Process each type (use latest data only)
-  if (groupedSyncs.config.length > 0) {
-    const latest = groupedSyncs.config[groupedSyncs.config.length - 1];
-    await saveConfigToBackend(latest.data).catch(err =>
-      debugLog('Config sync failed:', err.message)
-    );
+function getGiftPoints(gid, data, delta) {
+  const scoring = groups[gid]?.scoring || {};
+  const each = scoring.gifts?.[data.giftId] ?? data.diamondCount;
+  return Math.round(each * delta * (scoring.multiplier ?? 1) * getBoostMultiplier(gid));
+}
+
+function getActiveBoosts() {
+  const now = Date.now();
+  return Object.fromEntries(Object.entries(boosts).filter(([gid, b]) => groups[gid] && Date.parse(b.endsAt) > now));
+}
+
+// Drops ended boosts (telling the overlays) and waits for the next one to end
+function scheduleBoostExpiry() {
+  clearTimeout(boostExpiryTimer);
+  boostExpiryTimer = null;
+
+  const now = Date.now();
+  const ended = Object.keys(boosts).filter(gid => Date.parse(boosts[gid].endsAt) <= now);
+  ended.forEach(gid => delete boosts[gid]);
+  if (ended.length > 0) {
+    console.log(`⚡ Boost ended: ${ended.map(gid => groups[gid]?.name || gid).join(', ')}`);
+    broadcast();
   }
 
-  if (groupedSyncs.groups.length > 0) {
-    const latest = groupedSyncs.groups[groupedSyncs.groups.length - 1];
-    await saveGiftGroupsToBackend(latest.data).catch(err =>
-      debugLog('Groups sync failed:', err.message)
-    );
+  const next = Math.min(...Object.values(boosts).map(b => Date.parse(b.endsAt)));
+  if (Number.isFinite(next)) boostExpiryTimer = setTimeout(scheduleBoostExpiry, next - now);
+}
+
+// Returns a cleaned scoring table, or null if the input is invalid
+function parseScoring(scoring) {
+  if (!scoring || typeof scoring !== 'object' || Array.isArray(scoring)) return null;
+
+  const multiplier = scoring.multiplier === undefined ? 1 : Number(scoring.multiplier);
+  if (!(multiplier > 0 && multiplier <= MAX_SCORING_MULTIPLIER)) return null;
+
+  if (scoring.gifts !== undefined && (!scoring.gifts || typeof scoring.gifts !== 'object' || Array.isArray(scoring.gifts))) {
+    return null;
   }
+  const gifts = {};
+  for (const [giftId, points] of Object.entries(scoring.gifts || {})) {
+    const value = Number(points);
+    if (!Number.isFinite(value) || value < 0 || value > MAX_GIFT_POINTS) return null;
+    gifts[giftId] = value;
+  }
+  return { multiplier, gifts };
 }
 
-/* ── Backend API Helper Functions ──────────────────────────────────── */
+const SCORING_ERROR = `scoring must be { multiplier (up to ${MAX_SCORING_MULTIPLIER}), gifts: { giftId: points } }`;
+
+/* ── Overlay themes (how a group's overlay looks) ──────────────────── */
+// `group.theme` is the saved look of overlay.html for that group. Any field can
+// also be set per browser source in the URL, which wins over the saved value;
+// the server only validates, the overlay does the rendering.
+//   layout      horizontal | vertical | circular | text
+//   font        Google Fonts family name (Inter by default)
+//   size        scale in percent
+//   background  opacity of the backdrop in percent (0 = see-through)
+//   format      number shown: value (in the group's unit) | percent | remaining
+//   label       caption under the bar; {group}, {target} and {unit} are filled in
+const OVERLAY_LAYOUTS = ['horizontal', 'vertical', 'circular', 'text'];
+const OVERLAY_FORMATS = ['value', 'percent', 'remaining'];
+const OVERLAY_FONT_PATTERN = /^[A-Za-z0-9 -]{1,40}$/;
+const MIN_OVERLAY_SIZE = 25;
+const MAX_OVERLAY_SIZE = 300;
+const MAX_OVERLAY_LABEL_LENGTH = 80;
+
+// Returns the cleaned theme (only the fields given), or null if a field is invalid
+function parseOverlayTheme(theme) {
+  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) return null;
+
+  const cleaned = {};
+  if (theme.layout !== undefined) {
+    if (!OVERLAY_LAYOUTS.includes(theme.layout)) return null;
+    cleaned.layout = theme.layout;
+  }
+  if (theme.font !== undefined) {
+    if (typeof theme.font !== 'string' || !OVERLAY_FONT_PATTERN.test(theme.font.trim())) return null;
+    cleaned.font = theme.font.trim();
+  }
+  if (theme.size !== undefined) {
+    if (!(Number.isInteger(theme.size) && theme.size >= MIN_OVERLAY_SIZE && theme.size <= MAX_OVERLAY_SIZE)) return null;
+    cleaned.size = theme.size;
+  }
+  if (theme.background !== undefined) {
+    if (!(Number.isInteger(theme.background) && theme.background >= 0 && theme.background <= 100)) return null;
+    cleaned.background = theme.background;
+  }
+  if (theme.format !== undefined) {
+    if (!OVERLAY_FORMATS.includes(theme.format)) return null;
+    cleaned.format = theme.format;
+  }
+  if (theme.label !== undefined) {
+    if (typeof theme.label !== 'string' || theme.label.length > MAX_OVERLAY_LABEL_LENGTH) return null;
+    if (theme.label.trim()) cleaned.label = theme.label.trim();
+  }
+  return cleaned;
+}
 
-// Create headers for backend API requests
-function getBackendHeaders() {
+const OVERLAY_THEME_ERROR = `theme fields: layout (${OVERLAY_LAYOUTS.join(', ')}), font (a font name), ` +
+  `size (${MIN_OVERLAY_SIZE}-${MAX_OVERLAY_SIZE}), background (0-100), format (${OVERLAY_FORMATS.join(', ')}), ` +
+  `label (up to ${MAX_OVERLAY_LABEL_LENGTH} characters)`;
+
+/* ── Per-group targets and stretch-goal stages ─────────────────── */
+// A group may carry its own `target` and/or an ascending list of `stages`.
+// Stages are sequential stretch goals: the active one is the first stage the
+// group hasn't reached yet, so progress advances automatically as diamonds
+// (or the group's source metric) come in. Groups without either fall back
+// to the global cfg.target.
+function getGroupGoal(gid) {
+  const group = groups[gid] || {};
+  const diamonds = getGroupProgress(gid);
+  const source = getGroupSource(gid);
+  const stages = Array.isArray(group.stages) ? group.stages : [];
+
+  if (stages.length > 0) {
+    const reachedAll = diamonds >= stages[stages.length - 1];
+    const index = reachedAll
+      ? stages.length - 1
+      : stages.findIndex(stageTarget => diamonds < stageTarget);
+
+    return {
+      target: stages[index],
+      stage: index + 1,
+      stageCount: stages.length,
+      completed: reachedAll,
+      progress: diamonds,
+      source,
+      unit: GROUP_SOURCES[source].unit
+    };
+  }
+
+  const target = Number(group.target) > 0 ? Number(group.target) : cfg.target;
   return {
-    'X-API-Key': API_KEY,
-    'X-Account-ID': ACCOUNT_ID,
-    'Content-Type': 'application/json'
+    target,
+    stage: 1,
+    stageCount: 1,
+    completed: diamonds >= target,
+    progress: diamonds,
+    source,
+    unit: GROUP_SOURCES[source].unit
   };
 }
 
-// Load gift groups from backend
-async function loadGiftGroupsFromBackend() {
-  if (!BACKEND_API_URL) {
-    console.log('⚠️ BACKEND_API_URL not set, skipping backend load');
-    return {};
+function buildGoals() {
+  const goals = {};
+  for (const gid in groups) {
+    goals[gid] = getGroupGoal(gid);
   }
+  return goals;
+}
 
-  try {
-    console.log(`📥 Loading gift groups from backend for account: ${ACCOUNT_ID}`);
+// Returns a sorted array of positive targets, or null if the input is invalid
+function parseStages(stages) {
+  if (!Array.isArray(stages)) return null;
 
-    const response = await axios.get(
-      `${BACKEND_API_URL}/${ACCOUNT_ID}/gift-groups`,
-      { headers: getBackendHeaders(), timeout: 10000 }
-    );
+  const parsed = stages.map(Number);
+  if (parsed.some(v => !Number.isFinite(v) || v <= 0)) return null;
 
-    if (response.data.success && response.data.data) {
-      console.log(`✅ Loaded ${Object.keys(response.data.data).length} gift groups from backend`);
-      return response.data.data;
-    }
+  return [...new Set(parsed)].sort((a, b) => a - b);
+}
 
-    return {};
-  } catch (error) {
-    if (error.response?.status === 404) {
-      console.log('ℹ️ No gift groups found in backend, starting fresh');
-      return {};
-    }
-    console.error('❌ Failed to load gift groups from backend:', error.message);
-    return {};
-  }
+/* ── Gifter leaderboards (overall and per group) ─────────────────── */
+// All-time totals are running tallies keyed by uniqueId. Time-windowed views
+// ("top supporters in the last 15 minutes") are computed from a bounded log of
+// recent contributions, so very old windows may be incomplete on busy streams.
+const MAX_GIFT_CONTRIBUTIONS = 5000;
+const MAX_LEADERBOARD_SIZE = 100;
+const LEADERBOARD_BROADCAST_SIZE = 10;
+
+let gifterTotals = { overall: {}, groups: {} };  // uniqueId -> { uniqueId, nickname, profilePictureUrl, diamonds, gifts, lastGiftAt }
+let giftContributions = [];                      // { ts, uniqueId, gids, diamonds, gifts }, oldest first
+let leaderboardDirty = false;                    // Emit 'leaderboard' on the next broadcast
+
+function addToTally(tally, profile, diamonds, gifts, ts) {
+  const entry = tally[profile.uniqueId] || (tally[profile.uniqueId] = {
+    uniqueId: profile.uniqueId,
+    diamonds: 0,
+    gifts: 0
+  });
+  entry.nickname = profile.nickname;
+  entry.profilePictureUrl = profile.profilePictureUrl;
+  entry.diamonds += diamonds;
+  entry.gifts += gifts;
+  entry.lastGiftAt = ts;
 }
 
-// Save gift groups to backend
-async function saveGiftGroupsToBackend(groupsData) {
-  if (!BACKEND_API_URL) {
-    console.log('⚠️ BACKEND_API_URL not set, skipping backend save');
-    return;
-  }
+// null for anonymous gifts, which can't be ranked
+function gifterProfile(data) {
+  const uniqueId = data.uniqueId || data.userId;
+  if (!uniqueId) return null;
 
-  try {
-    await axios.post(
-      `${BACKEND_API_URL}/${ACCOUNT_ID}/gift-groups`,
-      { groups: groupsData },
-      { headers: getBackendHeaders(), timeout: 10000 }
-    );
+  return {
+    uniqueId: String(uniqueId),
+    nickname: data.nickname || String(uniqueId),
+    profilePictureUrl: data.profilePictureUrl || null
+  };
+}
 
-    console.log('✅ Gift groups saved to backend');
-  } catch (error) {
-    console.error('❌ Failed to save gift groups to backend:', error.message);
+function recordGifter(data, gids, delta) {
+  const profile = gifterProfile(data);
+  if (!profile) return;
+
+  const diamonds = data.diamondCount * delta;
+  const ts = Date.now();
+
+  addToTally(gifterTotals.overall, profile, diamonds, delta, ts);
+  for (const gid of gids) {
+    addToTally(gifterTotals.groups[gid] || (gifterTotals.groups[gid] = {}), profile, diamonds, delta, ts);
+  }
+
+  giftContributions.push({ ts, uniqueId: profile.uniqueId, gids, diamonds, gifts: delta });
+  if (giftContributions.length > MAX_GIFT_CONTRIBUTIONS) {
+    giftContributions.splice(0, giftContributions.length - MAX_GIFT_CONTRIBUTIONS);
   }
+
+  leaderboardDirty = true;
 }
 
-// Load configuration from backend
-async function loadConfigFromBackend() {
-  const defaultConfig = {
-    target: 10_000,
-    comboTimeout: 5000  // 5 seconds default
-  };
+function resetLeaderboards() {
+  gifterTotals = { overall: {}, groups: {} };
+  giftContributions = [];
+  leaderboardDirty = true;
+}
 
-  if (!BACKEND_API_URL) {
-    console.log('⚠️ BACKEND_API_URL not set, skipping backend load');
-    return defaultConfig;
+// groupId null = whole stream; windowMs null = all time
+function buildLeaderboard({ groupId = null, limit = LEADERBOARD_BROADCAST_SIZE, windowMs = null } = {}) {
+  let tally;
+  let complete = true;
+
+  if (windowMs) {
+    const since = Date.now() - windowMs;
+    tally = {};
+    for (const c of giftContributions) {
+      // Entries saved before gifts could count into several groups carry a single gid
+      if (c.ts < since || (groupId && !(c.gids || [c.gid]).includes(groupId))) continue;
+      addToTally(tally, gifterTotals.overall[c.uniqueId] || { uniqueId: c.uniqueId }, c.diamonds, c.gifts, c.ts);
+    }
+    // The log was trimmed inside the window - older gifts are missing
+    complete = giftContributions.length < MAX_GIFT_CONTRIBUTIONS || giftContributions[0].ts <= since;
+  } else {
+    tally = groupId ? gifterTotals.groups[groupId] || {} : gifterTotals.overall;
   }
 
-  try {
-    console.log(`📥 Loading configuration from backend for account: ${ACCOUNT_ID}`);
+  // Ties go to whoever got there first
+  const ranked = Object.values(tally).sort((a, b) => b.diamonds - a.diamonds || a.lastGiftAt - b.lastGiftAt);
 
-    const response = await axios.get(
-      `${BACKEND_API_URL}/${ACCOUNT_ID}/config`,
-      { headers: getBackendHeaders(), timeout: 10000 }
-    );
+  return {
+    groupId,
+    windowMs,
+    complete,
+    totalGifters: ranked.length,
+    entries: ranked.slice(0, limit).map((entry, i) => ({ rank: i + 1, ...entry }))
+  };
+}
 
-    if (response.data.success && response.data.data) {
-      console.log(`✅ Configuration loaded from backend`);
-      // Merge with defaults to ensure all properties exist
-      return { ...defaultConfig, ...response.data.data };
-    }
+// What the 'leaderboard' socket event carries: all-time top N, overall and per group
+function buildLeaderboardPayload() {
+  const byGroup = {};
+  for (const gid in groups) {
+    byGroup[gid] = buildLeaderboard({ groupId: gid });
+  }
+  return { overall: buildLeaderboard(), groups: byGroup };
+}
 
-    return defaultConfig;
-  } catch (error) {
-    if (error.response?.status === 404) {
-      console.log('ℹ️ No configuration found in backend, using defaults');
-      return defaultConfig;
+/* ── Milestones (celebrations as a group progresses) ─────────────── */
+// A group's `milestones` is a list of { percent } or { diamonds } thresholds,
+// each with an optional custom `message`. Percentages apply to every stretch
+// stage in turn (only above the previous stage, so nothing fires twice for the
+// same diamond count). Groups without their own list use the defaults; an
+// empty list turns milestones off.
+const DEFAULT_MILESTONES = [{ percent: 25 }, { percent: 50 }, { percent: 75 }, { percent: 100 }];
+const MAX_MILESTONES = 20;
+const MAX_MILESTONE_LOG = 200;
+
+let milestonesReached = {};  // gid -> { key: thresholdDiamonds } already celebrated
+let milestoneLog = [];       // newest first, kept in the session snapshot
+
+// Ascending list of { key, amount, label, message, stage, target } - amounts are
+// in the group's source unit (an absolute `diamonds` milestone on a likes group means likes)
+function getMilestoneThresholds(gid) {
+  const group = groups[gid] || {};
+  const unit = GROUP_SOURCES[getGroupSource(gid)].unit;
+  const milestones = Array.isArray(group.milestones) ? group.milestones : DEFAULT_MILESTONES;
+  const stageTargets = Array.isArray(group.stages) && group.stages.length > 0
+    ? group.stages
+    : [getGroupGoal(gid).target];
+
+  const thresholds = [];
+  for (const m of milestones) {
+    if (m.diamonds) {
+      thresholds.push({
+        key: `${m.diamonds}`,
+        amount: m.diamonds,
+        label: `${m.diamonds.toLocaleString()} ${unit}`,
+        message: m.message
+      });
+      continue;
     }
-    console.error('❌ Failed to load configuration from backend:', error.message);
-    return defaultConfig;
+
+    stageTargets.forEach((target, i) => {
+      const amount = Math.ceil(target * m.percent / 100);
+      if (i > 0 && amount <= stageTargets[i - 1]) return;
+      thresholds.push({
+        key: `${m.percent}%@${target}`,
+        amount,
+        label: m.percent === 100
+          ? (stageTargets.length > 1 ? `Stage ${i + 1} complete` : 'Goal reached')
+          : (stageTargets.length > 1 ? `${m.percent}% of stage ${i + 1}` : `${m.percent}%`),
+        message: m.message,
+        stage: i + 1,
+        target
+      });
+    });
   }
+  return thresholds.sort((a, b) => a.amount - b.amount);
 }
 
-// Save configuration to backend
-async function saveConfigToBackend(configData) {
-  if (!BACKEND_API_URL) {
-    console.log('⚠️ BACKEND_API_URL not set, skipping backend save');
-    return;
+function formatMilestoneMessage(template, vars) {
+  return template.replace(/\{(group|label|diamonds|value|unit|target)\}/g, (_, name) => vars[name]);
+}
+
+// Called after a group's progress went up from counted gifts or events
+function checkMilestones(gid, room) {
+  const value = getGroupProgress(gid);
+  const unit = GROUP_SOURCES[getGroupSource(gid)].unit;
+  const diamonds = counters[gid]?.diamonds || 0;
+  const reached = milestonesReached[gid] || (milestonesReached[gid] = {});
+  const group = groups[gid];
+
+  for (const t of getMilestoneThresholds(gid)) {
+    if (value < t.amount || reached[t.key] !== undefined) continue;
+    reached[t.key] = t.amount;
+
+    const target = t.target || getGroupGoal(gid).target;
+    const vars = {
+      group: group.name,
+      label: t.label,
+      diamonds: diamonds.toLocaleString(),
+      value: value.toLocaleString(),
+      unit,
+      target: target.toLocaleString()
+    };
+    const fallback = t.key.startsWith('100%@') ? '{group}: {label}! 🎉' : '{group} hit {label}!';
+
+    const event = {
+      groupId: gid,
+      groupName: group.name,
+      color: group.color || null,
+      key: t.key,
+      label: t.label,
+      threshold: t.amount,
+      value,
+      unit,
+      diamonds,
+      target,
+      stage: t.stage || null,
+      message: formatMilestoneMessage(t.message || fallback, vars),
+      room: room?.username || null,
+      reachedAt: new Date().toISOString()
+    };
+
+    console.log(`🏁 [${group.name}] Milestone: ${event.message}`);
+    milestoneLog.unshift(event);
+    if (milestoneLog.length > MAX_MILESTONE_LOG) milestoneLog.pop();
+    if (room) journalEvent(room, 'milestone', event);
+    io.to(DASHBOARD_ROOM).to(OVERLAY_ROOM).to(groupOverlayRoom(gid)).emit('milestone', event);
+    emitWebhookEvent('milestone.reached', event);
+  }
+}
+
+// After config or manual counter changes: treat everything at or below the
+// current count as already celebrated, and re-arm anything above it
+function syncMilestones(gid) {
+  const value = getGroupProgress(gid);
+  milestonesReached[gid] = {};
+  for (const t of getMilestoneThresholds(gid)) {
+    if (value >= t.amount) milestonesReached[gid][t.key] = t.amount;
   }
+}
 
-  try {
-    await axios.post(
-      `${BACKEND_API_URL}/${ACCOUNT_ID}/config`,
-      configData,
-      { headers: getBackendHeaders(), timeout: 10000 }
-    );
+function resetMilestones() {
+  milestonesReached = {};
+  milestoneLog = [];
+}
 
-    console.log('✅ Configuration saved to backend');
-  } catch (error) {
-    console.error('❌ Failed to save configuration to backend:', error.message);
+// Returns a cleaned list, or null if the input is invalid
+function parseMilestones(list) {
+  if (!Array.isArray(list) || list.length > MAX_MILESTONES) return null;
+
+  const parsed = [];
+  for (const m of list) {
+    if (!m || typeof m !== 'object') return null;
+    const percent = m.percent === undefined ? null : Number(m.percent);
+    const diamonds = m.diamonds === undefined ? null : Number(m.diamonds);
+    if ((percent === null) === (diamonds === null)) return null;  // exactly one kind
+    if (percent !== null && !(percent > 0 && percent <= 1000)) return null;
+    if (diamonds !== null && !(Number.isInteger(diamonds) && diamonds > 0)) return null;
+    if (m.message !== undefined && (typeof m.message !== 'string' || m.message.length > 200)) return null;
+
+    parsed.push({
+      ...(percent !== null ? { percent } : { diamonds }),
+      ...(m.message?.trim() ? { message: m.message.trim() } : {})
+    });
   }
+  return parsed;
 }
 
-// Initialize: Load data from backend on startup
-async function initializeFromBackend() {
-  console.log('\n🔄 Initializing from backend...');
+const MILESTONES_ERROR = `milestones must be up to ${MAX_MILESTONES} entries of { percent } or { diamonds } with an optional message`;
+
+/* ── Chat polls (viewers vote into groups from chat) ─────────────── */
+// While a poll is open, comments like "!vote red" add a vote to one of its
+// options. Options are groups with the `votes` source and match their name or
+// position ("!vote 2") after the command, plus any `group.voteKeywords`, which
+// also count on their own ("red" or "!red"). With the `single` policy a
+// viewer's first vote is final; `changeable` moves it on every new vote.
+// Gift-weighted polls add the diamonds a viewer gifts while the poll is open to
+// their vote. Votes live in counters[gid].count, so every overlay shows them.
+const POLL_POLICIES = ['single', 'changeable'];
+const DEFAULT_POLL_COMMAND = '!vote';
+const MIN_POLL_OPTIONS = 2;
+const MAX_POLL_OPTIONS = 10;
+const MAX_VOTE_KEYWORDS = 10;
+const MAX_POLL_DURATION_SEC = 24 * 60 * 60;
+const MAX_POLL_HISTORY = 20;
+
+let activePoll = null;   // { id, question, command, policy, giftWeighted, groupIds, openedAt, endsAt, voters }
+let pollHistory = [];    // Closed poll results, newest first
+let pollCloseTimer = null;
+
+// Polls come back from session snapshots; one that can't take votes is dropped
+function isValidPollState(p) {
+  return isPlainObject(p) &&
+    typeof p.command === 'string' &&
+    POLL_POLICIES.includes(p.policy) &&
+    Array.isArray(p.groupIds) && p.groupIds.every(gid => typeof gid === 'string') &&
+    isPlainObject(p.voters) &&
+    (p.endsAt == null || Number.isFinite(Date.parse(p.endsAt)));
+}
 
-  const [loadedGroups, loadedConfig] = await Promise.all([
-    loadGiftGroupsFromBackend(),
-    loadConfigFromBackend()
-  ]);
+function normalizeVoteText(text) {
+  return String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+}
 
-  groups = loadedGroups;
-  cfg = loadedConfig;
+// A voter's current weight: one vote, plus diamonds gifted during a gift-weighted poll
+function pollVoteWeight(voter) {
+  return 1 + (activePoll.giftWeighted ? voter.diamonds : 0);
+}
 
-  initCounters();
+function getPollVoter(uniqueId) {
+  return activePoll.voters[uniqueId] || (activePoll.voters[uniqueId] = { gid: null, diamonds: 0 });
+}
 
-  console.log('✅ Backend initialization complete');
-  console.log(`   - Groups: ${Object.keys(groups).length}`);
-  console.log(`   - Target: ${cfg.target}\n`);
+// The option group a comment votes for, or null
+function matchPollOption(comment) {
+  const text = normalizeVoteText(comment);
+  const prefix = `${activePoll.command} `;
+  const choice = text.startsWith(prefix) ? text.slice(prefix.length) : null;
+  const bare = text.replace(/^!/, '');
+
+  return activePoll.groupIds.find((gid, i) => {
+    const group = groups[gid];
+    if (!group) return false;
+    const keywords = getVoteKeywords(group).map(normalizeVoteText);
+    if (keywords.includes(bare)) return true;
+    return choice !== null &&
+      (keywords.includes(choice) || choice === String(i + 1) || choice === normalizeVoteText(group.name));
+  }) || null;
 }
 
-// Call initialization
-await initializeFromBackend();
+function processChatVote(room, data) {
+  if (!activePoll || typeof data.comment !== 'string') return;
 
-/* ── Connection health monitoring ─────────────────── */
-let healthCheckTimer = null;
-const HEALTH_CHECK_INTERVAL = 30000; // 30 seconds
-const HEALTH_CHECK_TIMEOUT = 10000;   // 10 seconds
+  const gid = matchPollOption(data.comment);
+  const profile = gifterProfile(data);
+  if (!gid || !profile || !groupMatchesRoom(groups[gid], room)) return;
 
-const connectionHealth = {
-  isHealthy: true,
-  lastHealthCheck: null,
-  lastSuccessfulCheck: null,
-  consecutiveFailures: 0,
-  totalChecks: 0,
-  totalFailures: 0,
-  uptime: 0,
-  lastActivity: null
-};
+  const voter = getPollVoter(profile.uniqueId);
+  if (voter.gid === gid) return;
+  if (voter.gid && activePoll.policy === 'single') return;
 
-function startHealthMonitoring() {
-  if (healthCheckTimer) {
-    clearInterval(healthCheckTimer);
+  const weight = pollVoteWeight(voter);
+  if (counters[voter.gid]) {
+    counters[voter.gid].count = Math.max(0, counters[voter.gid].count - weight);
   }
+  voter.gid = gid;
+  counters[gid].count += weight;
+  debugLog(`🗳️  ${profile.uniqueId} voted ${groups[gid].name} (${weight})`);
 
-  debugLog('Starting connection health monitoring');
+  checkMilestones(gid, room);
+  debouncedBroadcast();
+}
 
-  healthCheckTimer = setInterval(async () => {
-    if (liveStatus !== 'ONLINE') {
-      debugLog('Skipping health check - not online');
-      return;
-    }
+// Gifts during a gift-weighted poll add to the sender's vote, now or once they cast it
+function recordPollGift(room, data, diamonds) {
+  if (!activePoll?.giftWeighted || diamonds <= 0) return;
 
-    connectionHealth.totalChecks++;
-    connectionHealth.lastHealthCheck = Date.now();
+  const profile = gifterProfile(data);
+  if (!profile) return;
 
-    debugLog(`Health check #${connectionHealth.totalChecks}`);
+  const voter = getPollVoter(profile.uniqueId);
+  voter.diamonds += diamonds;
+  if (counters[voter.gid]) {
+    counters[voter.gid].count += diamonds;
+    checkMilestones(voter.gid, room);
+  }
+}
 
-    try {
-      // Check if we've received any activity recently
-      const timeSinceActivity = connectionHealth.lastActivity
-        ? Date.now() - connectionHealth.lastActivity
-        : null;
+function buildPollResults() {
+  const voters = Object.values(activePoll.voters).filter(v => v.gid);
+  const options = activePoll.groupIds.filter(gid => groups[gid]).map((gid, i) => ({
+    groupId: gid,
+    number: i + 1,
+    name: groups[gid].name,
+    color: groups[gid].color || null,
+    keywords: getVoteKeywords(groups[gid]),
+    votes: counters[gid]?.count || 0,
+    voters: voters.filter(v => v.gid === gid).length
+  }));
+  const top = Math.max(0, ...options.map(o => o.votes));
+  const leaders = options.filter(o => o.votes === top);
 
-      if (timeSinceActivity && timeSinceActivity > HEALTH_CHECK_TIMEOUT * 2) {
-        console.warn(`⚠️  No activity for ${Math.round(timeSinceActivity / 1000)}s - connection may be stale`);
-        connectionHealth.consecutiveFailures++;
-        connectionHealth.totalFailures++;
-        connectionHealth.isHealthy = false;
+  return {
+    options,
+    totalVotes: options.reduce((sum, o) => sum + o.votes, 0),
+    totalVoters: voters.length,
+    winner: top > 0 && leaders.length === 1 ? leaders[0].groupId : null,
+    tie: top > 0 && leaders.length > 1
+  };
+}
 
-        // If too many failures, disconnect and wait for user to reconnect
-        if (connectionHealth.consecutiveFailures >= 3) {
-          console.error('❌ Health check failed multiple times - disconnecting');
-          logError('HEALTH', 'Connection health check failed - Manual reconnection required', {
-            consecutiveFailures: connectionHealth.consecutiveFailures,
-            timeSinceActivity
-          });
-          await disconnectTikTok();
-          console.log('ℹ️  Please click Connect to reconnect');
-        }
-      } else {
-        connectionHealth.consecutiveFailures = 0;
-        connectionHealth.isHealthy = true;
-        connectionHealth.lastSuccessfulCheck = Date.now();
-        debugLog('✓ Health check passed');
-      }
+function publicPoll() {
+  if (!activePoll) return null;
+  const { voters, ...poll } = activePoll;
+  return { ...poll, ...buildPollResults() };
+}
 
-      // Calculate uptime
-      if (connectionHealth.lastSuccessfulCheck) {
-        connectionHealth.uptime = Date.now() - diagnostics.startTime;
-      }
-    } catch (err) {
-      console.error('Health check error:', err.message);
-      connectionHealth.consecutiveFailures++;
-      connectionHealth.totalFailures++;
-      connectionHealth.isHealthy = false;
-    }
+// Option groups restart from zero so the counters show this poll's votes only
+function openPoll({ question, groupIds, command, policy, giftWeighted, durationSec }) {
+  const openedAt = Date.now();
+  activePoll = {
+    id: crypto.randomUUID(),
+    question,
+    command,
+    policy,
+    giftWeighted,
+    groupIds,
+    openedAt: new Date(openedAt).toISOString(),
+    endsAt: durationSec ? new Date(openedAt + durationSec * 1000).toISOString() : null,
+    voters: {}
+  };
 
-    // Broadcast health status if debug mode
-    if (DEBUG_MODE) {
-      io.emit('healthStatus', connectionHealth);
+  // Cleared counters go into the change history like any other counter edit, so they can be undone
+  groupIds.forEach(gid => {
+    const before = { ...(counters[gid] || emptyCounter()) };
+    counters[gid] = emptyCounter();
+    syncMilestones(gid);
+    if (COUNTER_FIELDS.some(field => before[field] !== 0)) {
+      recordAudit({
+        action: 'set',
+        reason: 'Poll opened',
+        groupId: gid,
+        groupName: groups[gid].name,
+        before,
+        after: { ...counters[gid] }
+      });
     }
-  }, HEALTH_CHECK_INTERVAL);
+  });
+  schedulePollClose();
+
+  console.log(`🗳️  Poll opened: ${question || groupIds.map(gid => groups[gid].name).join(' vs ')}`);
+  io.to(DASHBOARD_ROOM).to(OVERLAY_ROOM).emit('poll', { poll: publicPoll(), closed: null });
+  return activePoll;
 }
 
-function stopHealthMonitoring() {
-  if (healthCheckTimer) {
-    clearInterval(healthCheckTimer);
-    healthCheckTimer = null;
-    debugLog('Stopped connection health monitoring');
-  }
+// reason: 'manual' | 'timer'. Returns null if no poll is open any more
+function closePoll(reason) {
+  clearTimeout(pollCloseTimer);
+  pollCloseTimer = null;
+  if (!activePoll) return null;
+
+  const { voters, ...poll } = activePoll;
+  const result = {
+    ...poll,
+    closedAt: new Date().toISOString(),
+    closeReason: reason,
+    ...buildPollResults()
+  };
+  activePoll = null;
+
+  pollHistory.unshift(result);
+  if (pollHistory.length > MAX_POLL_HISTORY) pollHistory.pop();
+
+  const winner = result.options.find(o => o.groupId === result.winner);
+  console.log(`🗳️  Poll closed (${reason}): ${winner ? `${winner.name} wins` : result.tie ? 'tie' : 'no votes'} - ${result.totalVotes} votes`);
+  io.to(DASHBOARD_ROOM).to(OVERLAY_ROOM).emit('poll', { poll: null, closed: result });
+  emitWebhookEvent('poll.closed', result);
+  broadcast();
+  return result;
 }
 
-function recordActivity() {
-  connectionHealth.lastActivity = Date.now();
-  connectionHealth.consecutiveFailures = 0;
-  connectionHealth.isHealthy = true;
+function schedulePollClose() {
+  clearTimeout(pollCloseTimer);
+  pollCloseTimer = null;
+  if (!activePoll?.endsAt) return;
+
+  pollCloseTimer = setTimeout(() => closePoll('timer'), Math.max(0, Date.parse(activePoll.endsAt) - Date.now()));
 }
 
-/* ── TikTok connector (created on demand) ─────────────────────────── */
-let tiktok = null;
+// Returns a cleaned keyword list, or null if the input is invalid
+function parseVoteKeywords(list) {
+  if (!Array.isArray(list) || list.length > MAX_VOTE_KEYWORDS) return null;
+  const keywords = list.map(k => typeof k === 'string' ? normalizeVoteText(k).replace(/^!/, '') : '');
+  if (keywords.some(k => !k || k.length > 30)) return null;
+  return [...new Set(keywords)];
+}
 
-/* ── NO AUTO-RECONNECT - User must manually reconnect ─────────────────── */
-// All auto-reconnection logic removed - connection requires manual user action
+const VOTE_KEYWORDS_ERROR = `keywords must be up to ${MAX_VOTE_KEYWORDS} words of at most 30 characters`;
 
-/* ── Gift combo tracking system ─────────────────────────────────── */
-const giftComboTracker = new Map();
+// Groups saved before keywords were validated may hold anything
+function getVoteKeywords(group) {
+  return Array.isArray(group.voteKeywords) ? group.voteKeywords : [];
+}
 
-function trackGiftCombo(userId, giftId, data) {
-  const key = `${userId}_${giftId}`;
+/* ── Team battles (groups head to head in timed rounds) ──────────── */
+// A battle pits two or more groups that count the same source against each
+// other. Each round scores what every group gains while its timer runs; the
+// top scorer wins the round (a tie scores nobody) and the first group to win
+// a majority of `bestOf` rounds wins the battle. Between rounds the battle
+// waits for the next round to be started from the dashboard. The state goes
+// out on every broadcast as the 'battle' socket event (battle.html).
+const MIN_BATTLE_TEAMS = 2;
+const MAX_BATTLE_TEAMS = 4;
+const MAX_BATTLE_BEST_OF = 9;
+const MIN_BATTLE_ROUND_SEC = 10;
+const MAX_BATTLE_ROUND_SEC = 60 * 60;
+
+const BATTLE_STATUSES = ['round', 'intermission', 'finished'];
+
+let battle = null;   // { id, name, groupIds, source, roundSec, bestOf, status, round, roundEndsAt, baseline, rounds, wins, winner, endedAt }
+let battleRoundTimer = null;
+
+// Battles come back from session snapshots (including ones posted to
+// /api/session/restore); one whose teams or rounds can't be scored is dropped
+function isValidBattleState(b) {
+  if (!isPlainObject(b) || !BATTLE_STATUSES.includes(b.status) || !GROUP_SOURCES[b.source]) return false;
+  if (typeof b.name !== 'string' || !Number.isInteger(b.round) || b.round < 0) return false;
+  if (!(b.roundSec > 0) || !Number.isInteger(b.bestOf) || b.bestOf < 1 || b.bestOf > MAX_BATTLE_BEST_OF) return false;
+  if (!Array.isArray(b.groupIds) || b.groupIds.length < MIN_BATTLE_TEAMS || b.groupIds.length > MAX_BATTLE_TEAMS) return false;
+  if (!b.groupIds.every(gid => typeof gid === 'string' && groups[gid])) return false;
+
+  const isScoreMap = map => isPlainObject(map) && b.groupIds.every(gid => Number.isFinite(map[gid]));
+  if (!isScoreMap(b.wins)) return false;
+  if (!Array.isArray(b.rounds) || !b.rounds.every(r => isPlainObject(r) && isScoreMap(r.scores))) return false;
+  if (b.status === 'round') {
+    return Number.isFinite(Date.parse(b.roundEndsAt)) && isPlainObject(b.baseline);
+  }
+  return true;
+}
 
-  // Clear existing timeout if any
-  if (giftComboTracker.has(key)) {
-    const existing = giftComboTracker.get(key);
-    clearTimeout(existing.timeout);
+// Progress each group made this round (or in the last round, between rounds)
+function getBattleScores() {
+  if (battle.status !== 'round') {
+    return battle.rounds[battle.rounds.length - 1]?.scores ||
+      Object.fromEntries(battle.groupIds.map(gid => [gid, 0]));
   }
+  return Object.fromEntries(battle.groupIds.map(gid =>
+    [gid, Math.max(0, getGroupProgress(gid) - (battle.baseline[gid] || 0))]
+  ));
+}
 
-  // Use configurable timeout (fallback to 5000ms if not set)
-  const timeoutDuration = cfg.comboTimeout || 5000;
+// The single highest entry of { gid: number }, or null on a tie or all zero
+function getBattleLeader(values) {
+  const top = Math.max(0, ...Object.values(values));
+  const leaders = Object.keys(values).filter(gid => values[gid] === top);
+  return top > 0 && leaders.length === 1 ? leaders[0] : null;
+}
 
-  // Clone the current repeatCount to avoid closure issues
-  const currentRepeatCount = data.repeatCount;
-  const giftName = data.giftName;
+function publicBattle() {
+  if (!battle) return null;
 
-  // Create timeout fallback to count gifts even if repeatEnd never comes
-  const timeout = setTimeout(() => {
-    const tracker = giftComboTracker.get(key);
+  const scores = getBattleScores();
+  const total = Object.values(scores).reduce((sum, v) => sum + v, 0);
+  const { baseline, ...state } = battle;
+  return {
+    ...state,
+    unit: GROUP_SOURCES[battle.source].unit,
+    remainingMs: battle.status === 'round' ? Math.max(0, Date.parse(battle.roundEndsAt) - Date.now()) : 0,
+    teams: battle.groupIds.map(gid => ({
+      groupId: gid,
+      name: groups[gid]?.name || gid,
+      color: groups[gid]?.color || null,
+      score: scores[gid],
+      // Even split until anyone scores, so the tug-of-war starts centred
+      share: total > 0 ? scores[gid] / total : 1 / battle.groupIds.length,
+      wins: battle.wins[gid]
+    }))
+  };
+}
 
-    // Only process if this combo hasn't been counted yet
-    if (tracker && !tracker.counted) {
-      console.log(`⚠️  Combo timeout (${timeoutDuration}ms) for gift ${giftName} - counting ${currentRepeatCount} gifts`);
-      diagnostics.totalComboTimeouts++;
+function startBattleRound() {
+  battle.round++;
+  battle.status = 'round';
+  battle.roundEndsAt = new Date(Date.now() + battle.roundSec * 1000).toISOString();
+  battle.baseline = Object.fromEntries(battle.groupIds.map(gid => [gid, getGroupProgress(gid)]));
+  scheduleBattleRound();
+  console.log(`⚔️  ${battle.name}: round ${battle.round} started (${battle.roundSec}s)`);
+}
 
-      // Mark as counted BEFORE processing to prevent race conditions
-      tracker.counted = true;
-      processGiftCount(data, currentRepeatCount);
-      giftComboTracker.delete(key);
-    }
-  }, timeoutDuration);
+function endBattleRound() {
+  clearTimeout(battleRoundTimer);
+  battleRoundTimer = null;
+  if (battle?.status !== 'round') return;
+
+  const scores = getBattleScores();
+  const winner = getBattleLeader(scores);
+  battle.rounds.push({ round: battle.round, scores, winner, endedAt: new Date().toISOString() });
+  if (winner) battle.wins[winner]++;
+  battle.status = 'intermission';
+  battle.roundEndsAt = null;
+  console.log(`⚔️  ${battle.name}: round ${battle.round} ${winner ? `won by ${groups[winner]?.name || winner}` : 'drawn'}`);
+
+  const decided = winner && battle.wins[winner] > battle.bestOf / 2;
+  if (decided || battle.rounds.length >= battle.bestOf) finishBattle();
+  broadcast();
+}
 
-  giftComboTracker.set(key, {
-    data,
-    timeout,
-    lastUpdate: Date.now(),
-    counted: false  // Flag to track if gifts have been counted
+// Ending early drops the round in progress; the winner is whoever leads on rounds
+function finishBattle() {
+  clearTimeout(battleRoundTimer);
+  battleRoundTimer = null;
+
+  battle.status = 'finished';
+  battle.roundEndsAt = null;
+  battle.winner = getBattleLeader(battle.wins);
+  battle.endedAt = new Date().toISOString();
+  console.log(`🏆 ${battle.name}: ${battle.winner ? `${groups[battle.winner]?.name || battle.winner} wins` : 'draw'}`);
+  emitWebhookEvent('battle.ended', publicBattle());
+}
+
+function scheduleBattleRound() {
+  clearTimeout(battleRoundTimer);
+  battleRoundTimer = null;
+  if (battle?.status !== 'round') return;
+
+  battleRoundTimer = setTimeout(endBattleRound, Math.max(0, Date.parse(battle.roundEndsAt) - Date.now()));
+}
+
+// Counters were reset under a running round - keep the scores it already had
+function rebaseBattleRound(scores) {
+  if (battle?.status !== 'round' || !scores) return;
+  battle.groupIds.forEach(gid => {
+    battle.baseline[gid] = getGroupProgress(gid) - scores[gid];
   });
 }
 
-function processGiftCount(data, delta) {
-  if (delta <= 0) return;
+/* ── Gift alert overlay settings ─────────────────────────────────── */
+// alerts.html plays every gift from the giftStream feed as a queued alert.
+// Settings live in cfg.alerts; per-gift overrides are keyed by giftId. Sounds
+// are plain file names served from DATA_DIR/alert-media.
+const ALERT_MEDIA_DIR = path.join(DATA_DIR, 'alert-media');
+const ALERT_SOUND_PATTERN = /^[\w.-]+\.(mp3|wav|ogg)$/i;
+const GIFT_ALERT_ROOM = 'giftAlerts';   // Sockets that asked for the raw gift feed
+const DEFAULT_ALERT_SETTINGS = {
+  minDiamonds: 0,                        // Skip alerts worth less than this
+  comboMode: true,                       // One alert per streak with a running count
+  durationMs: 5000,
+  template: '{nickname} sent {giftName}',
+  sound: null,
+  gifts: {}                              // giftId -> { template?, sound? }
+};
 
-  const startTime = Date.now();
+function getAlertSettings() {
+  return { ...DEFAULT_ALERT_SETTINGS, ...(cfg.alerts || {}) };
+}
 
-  // Reduce logging frequency to prevent CPU spikes (only log every 5th gift in production)
-  if (DEBUG_MODE || diagnostics.totalGiftsProcessed % 5 === 0) {
-    console.log(`🎁 Processing ${delta}x ${data.giftName} (${delta * data.diamondCount} diamonds)`);
+async function listAlertMedia() {
+  try {
+    return (await fs.readdir(ALERT_MEDIA_DIR)).filter(name => ALERT_SOUND_PATTERN.test(name)).sort();
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
   }
+}
 
-  // Track diagnostics
-  diagnostics.totalGiftsProcessed += delta;
-  diagnostics.lastGiftTime = Date.now();
-  recordActivity();
+function isValidAlertSound(sound) {
+  return sound === null || (typeof sound === 'string' && ALERT_SOUND_PATTERN.test(sound));
+}
 
-  /* Global totals */
-  totalGifts += delta;
-  totalDiamonds += data.diamondCount * delta;
+function isValidAlertTemplate(template) {
+  return typeof template === 'string' && template.trim().length > 0 && template.length <= 200;
+}
 
-  /* Add unseen gift to catalog */
-  if (!giftCatalog.find(g => g.id === data.giftId)) {
-    giftCatalog.push({
-      id: data.giftId,
-      name: data.giftName,
-      diamondCost: data.diamondCount,
-      iconUrl: data.giftPictureUrl || null
-    });
-    io.emit('giftCatalog', giftCatalog);
-  }
+/* ── Outbound webhooks ───────────────────────────────────────────── */
+// Endpoints live in cfg.webhooks. Each event becomes one delivery per
+// subscribed endpoint, signed with that endpoint's secret and retried with
+// exponential backoff. Pending deliveries and recent history are written to
+// DATA_DIR so nothing queued is lost on restart, together with a copy of the
+// endpoints for instances running without a backend (the backend's list wins).
+//
+// Receivers verify X-Webhook-Signature ("sha256=<hex>") as
+// HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${rawBody}`).
+const WEBHOOK_STATE_FILE = path.join(DATA_DIR, 'webhooks.json');
+const WEBHOOK_EVENTS = ['gift.counted', 'milestone.reached', 'connection.status', 'stream.ended', 'poll.closed', 'battle.ended'];
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_BASE_DELAY_MS = 5000;               // Doubled after every failed attempt
+const WEBHOOK_MAX_DELAY_MS = 60 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_MAX_CONCURRENT = 4;
+const MAX_WEBHOOK_QUEUE = 1000;                   // Oldest pending deliveries are dropped beyond this
+const MAX_WEBHOOK_HISTORY = 200;
+
+let webhookQueue = [];              // { id, webhookId, event, body, attempts, nextAttemptAt, createdAt, lastError }
+let webhookHistory = [];            // Newest first, one entry per attempt
+const webhookInFlight = new Set();  // Delivery ids being sent right now
+let webhookTimer = null;
+let webhookSaveTimer = null;
+let webhookDropped = 0;             // Deliveries dropped since the queue last overflowed (0 = not full)
+
+function getWebhooks() {
+  return Array.isArray(cfg.webhooks) ? cfg.webhooks : [];
+}
 
-  /* Per-group totals */
-  const gid = Object.keys(groups).find(k =>
-    (groups[k].giftIds || []).includes(data.giftId)
-  );
-  if (gid) {
-    counters[gid].count += delta;
-    counters[gid].diamonds += data.diamondCount * delta;
+// Secrets are only shown in full when created or rotated
+function publicWebhook(hook) {
+  const { secret, ...rest } = hook;
+  return {
+    ...rest,
+    secretHint: secret ? `…${secret.slice(-4)}` : null,
+    pending: webhookQueue.filter(d => d.webhookId === hook.id).length
+  };
+}
+
+// Returns a cleaned event list, or null if the input is invalid
+function parseWebhookEvents(events) {
+  if (events === undefined) return ['*'];
+  if (!Array.isArray(events) || events.length === 0) return null;
+  if (events.includes('*')) return ['*'];
+  return events.every(e => WEBHOOK_EVENTS.includes(e)) ? [...new Set(events)] : null;
+}
+
+function isValidWebhookUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
   }
+}
 
-  /* Broadcast updated payload (debounced) */
-  debouncedBroadcast();
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
 
-  // Track processing time
-  const processingTime = Date.now() - startTime;
-  diagnostics.performanceMetrics.avgGiftProcessingTime =
-    Math.round((diagnostics.performanceMetrics.avgGiftProcessingTime + processingTime) / 2);
+function enqueueWebhookDelivery(hook, event, data) {
+  const id = crypto.randomUUID();
+  const createdAt = new Date().toISOString();
+
+  webhookQueue.push({
+    id,
+    webhookId: hook.id,
+    event,
+    // Frozen at enqueue time so every retry sends (and signs) identical bytes
+    body: JSON.stringify({ id, event, accountId: ACCOUNT_ID, username: USERNAME, createdAt, data }, journalReplacer),
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    createdAt,
+    lastError: null
+  });
 
-  debugLog(`Gift processed in ${processingTime}ms`);
+  // Reported once when the queue fills and once when it drains, not for every dropped delivery
+  if (webhookQueue.length > MAX_WEBHOOK_QUEUE) {
+    const dropped = webhookQueue.splice(0, webhookQueue.length - MAX_WEBHOOK_QUEUE);
+    if (webhookDropped === 0) {
+      logError('WEBHOOK', `Webhook queue full (${MAX_WEBHOOK_QUEUE}) - dropping the oldest deliveries until it drains`);
+    }
+    webhookDropped += dropped.length;
+  }
 }
 
-/* ── Connection rate limiting to prevent CPU spikes ─────────────────── */
-let lastConnectionAttempt = 0;
-const MIN_CONNECTION_INTERVAL = 5000; // Minimum 5 seconds between connection attempts
+function emitWebhookEvent(event, data) {
+  const hooks = getWebhooks().filter(hook =>
+    hook.enabled !== false && (hook.events.includes('*') || hook.events.includes(event))
+  );
+  if (hooks.length === 0) return;
 
-async function connectTikTok() {
-  // Rate limit connection attempts to prevent CPU spikes
+  hooks.forEach(hook => enqueueWebhookDelivery(hook, event, data));
+  queueWebhookSave();
+  processWebhookQueue();
+}
+
+function processWebhookQueue() {
   const now = Date.now();
-  const timeSinceLastAttempt = now - lastConnectionAttempt;
+  for (const delivery of webhookQueue) {
+    if (webhookInFlight.size >= WEBHOOK_MAX_CONCURRENT) break;
+    if (delivery.nextAttemptAt <= now && !webhookInFlight.has(delivery.id)) {
+      deliverWebhook(delivery);
+    }
+  }
+  scheduleWebhookQueue();
+}
 
-  if (timeSinceLastAttempt < MIN_CONNECTION_INTERVAL) {
-    const waitTime = MIN_CONNECTION_INTERVAL - timeSinceLastAttempt;
-    console.log(`⏱️  Rate limit: Please wait ${Math.ceil(waitTime / 1000)}s before reconnecting`);
-    return;
+// Sleep until the next delivery is due
+function scheduleWebhookQueue() {
+  if (webhookTimer) {
+    clearTimeout(webhookTimer);
+    webhookTimer = null;
   }
 
-  // Prevent connecting if already connecting or connected
-  if (liveStatus === 'CONNECTING' || liveStatus === 'ONLINE') {
-    console.log('⚠️  Already connecting or connected');
+  const waiting = webhookQueue.filter(d => !webhookInFlight.has(d.id));
+  if (waiting.length === 0) return;
+
+  const nextDue = waiting.reduce((min, d) => Math.min(min, d.nextAttemptAt), Infinity);
+  webhookTimer = setTimeout(processWebhookQueue, Math.max(nextDue - Date.now(), 100));
+}
+
+function removeWebhookDelivery(delivery) {
+  webhookQueue = webhookQueue.filter(d => d !== delivery);
+  if (webhookDropped > 0 && webhookQueue.length < MAX_WEBHOOK_QUEUE / 2) {
+    console.warn(`⚠️  Webhook queue draining - ${webhookDropped} deliveries were dropped while it was full`);
+    webhookDropped = 0;
+  }
+}
+
+async function deliverWebhook(delivery) {
+  const hook = getWebhooks().find(h => h.id === delivery.webhookId);
+  if (!hook) {
+    removeWebhookDelivery(delivery);   // Endpoint was deleted
     return;
   }
 
-  // Reset manual disconnect flag - user is manually connecting
-  isManualDisconnect = false;
-  lastConnectionAttempt = now;
+  webhookInFlight.add(delivery.id);
+  delivery.attempts++;
 
-  liveStatus = 'CONNECTING';
-  broadcast();
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startTime = Date.now();
+  let statusCode = null;
+  let error = null;
 
   try {
-    console.log(`🔗 Connecting to @${USERNAME}'s TikTok Live...`);
-
-    tiktok = new WebcastPushConnection(USERNAME, {
-      enableExtendedGiftInfo: true,
-      processInitialData: false,        // Skip old messages
-      fetchRoomInfoOnConnect: true,     // Get room data on connect
-      requestPollingIntervalMs: 1000    // Faster updates (1 second)
-      // signServerUrl is configured globally via SignConfig
+    const response = await axios.post(hook.url, delivery.body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'tiktok-gift-tracker-webhooks',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signWebhookPayload(hook.secret, timestamp, delivery.body)}`
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      transformRequest: [body => body],   // Send the signed string untouched
+      validateStatus: () => true
     });
+    statusCode = response.status;
+    if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+  } catch (err) {
+    error = err.message;
+  } finally {
+    webhookInFlight.delete(delivery.id);
+  }
 
-    /* ── IMPROVED: Gift event handler with combo tracking ── */
-    tiktok.on('gift', data => {
-      trackEvent('gift');
-      recordActivity();
-      io.emit('giftStream', data);  // Echo raw event to the UI
+  let status;
+  if (!error) {
+    status = 'delivered';
+    removeWebhookDelivery(delivery);
+  } else if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    status = 'failed';
+    removeWebhookDelivery(delivery);
+    logError('WEBHOOK', `Giving up on ${delivery.event} delivery to ${hook.url} after ${delivery.attempts} attempts`, error);
+  } else {
+    status = 'retrying';
+    delivery.lastError = error;
+    delivery.nextAttemptAt = Date.now() + Math.min(
+      WEBHOOK_BASE_DELAY_MS * 2 ** (delivery.attempts - 1),
+      WEBHOOK_MAX_DELAY_MS
+    );
+    debugLog(`Webhook ${delivery.event} to ${hook.url} failed (${error}) - retry ${delivery.attempts}/${WEBHOOK_MAX_ATTEMPTS}`);
+  }
 
-      const userId = data.userId || data.uniqueId || 'unknown';
-      const key = `${userId}_${data.giftId}`;
+  webhookHistory.unshift({
+    deliveryId: delivery.id,
+    webhookId: hook.id,
+    url: hook.url,
+    event: delivery.event,
+    status,
+    attempt: delivery.attempts,
+    statusCode,
+    error,
+    durationMs: Date.now() - startTime,
+    at: new Date().toISOString()
+  });
+  if (webhookHistory.length > MAX_WEBHOOK_HISTORY) webhookHistory.pop();
 
-      /* Single-path gift counting logic - prevents double counting */
-      if (data.giftType === 1) {
-        // Streak-capable gifts (roses, etc.)
-        if (data.repeatEnd) {
-          // Combo finished - this is the ONLY place we count combo gifts
-          debugLog(`✅ Combo ended: ${data.giftName} x${data.repeatCount}`);
+  queueWebhookSave();
+  processWebhookQueue();
+}
 
-          // Check if we have a pending combo tracker
-          if (giftComboTracker.has(key)) {
-            const tracker = giftComboTracker.get(key);
+async function saveWebhookState() {
+  if (webhookSaveTimer) {
+    clearTimeout(webhookSaveTimer);
+    webhookSaveTimer = null;
+  }
 
-            // Only count if not already counted (prevents race condition)
-            if (!tracker.counted) {
-              // Mark as counted FIRST to prevent timeout from also counting
-              tracker.counted = true;
+  try {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    const tmpFile = `${WEBHOOK_STATE_FILE}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ webhooks: getWebhooks(), queue: webhookQueue, history: webhookHistory }));
+    await fs.rename(tmpFile, WEBHOOK_STATE_FILE);
+  } catch (error) {
+    console.error('❌ Failed to save webhook queue:', error.message);
+  }
+}
 
-              // Clear the timeout
-              clearTimeout(tracker.timeout);
+function queueWebhookSave() {
+  if (webhookSaveTimer) return;
+  webhookSaveTimer = setTimeout(saveWebhookState, 1000);
+}
 
-              // Count the gifts
-              processGiftCount(data, data.repeatCount);
+async function loadWebhookState() {
+  try {
+    const state = JSON.parse(await fs.readFile(WEBHOOK_STATE_FILE, 'utf8'));
+    if (!Array.isArray(cfg.webhooks) && Array.isArray(state.webhooks)) cfg.webhooks = state.webhooks;
+    webhookQueue = Array.isArray(state.queue) ? state.queue : [];
+    webhookHistory = Array.isArray(state.history) ? state.history : [];
+    if (webhookQueue.length > 0) {
+      console.log(`📬 Resuming ${webhookQueue.length} pending webhook deliveries`);
+      processWebhookQueue();
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Failed to load webhook queue:', error.message);
+    }
+  }
+}
 
-              // Clean up tracker
-              giftComboTracker.delete(key);
-            } else {
-              // Already counted by timeout - just clean up
-              debugLog(`⚠️  Combo already counted by timeout for ${data.giftName}`);
-              clearTimeout(tracker.timeout);
-              giftComboTracker.delete(key);
-            }
-          } else {
-            // No tracker found - might be first event with repeatEnd or very fast combo
-            // Count it directly
-            debugLog(`💫 Direct combo completion (no tracker): ${data.giftName} x${data.repeatCount}`);
-            processGiftCount(data, data.repeatCount);
-          }
-        } else {
-          // Combo in progress - track it with timeout fallback
-          debugLog(`🔄 Combo in progress: ${data.giftName} x${data.repeatCount}`);
-          trackGiftCombo(userId, data.giftId, data);
-        }
-      } else {
-        // Non-streak gifts (giftType !== 1) - count immediately
-        const delta = data.repeatCount || 1;
-        debugLog(`💎 Non-combo gift: ${data.giftName} x${delta}`);
-        processGiftCount(data, delta);
-      }
-    });
+/* ── Stream session history (one summary record per live stream) ──── */
+// A session follows the room's TikTok roomId the way its journal does:
+// reconnecting to the same stream resumes it, a new stream or streamEnd closes
+// it into a summary record. Sessions keep their own tallies, so /api/reset
+// mid-stream doesn't erase them. Closed records live in DATA_DIR/sessions.json
+// and are pushed to the backend; any it didn't accept are retried later.
+const STREAM_SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const MAX_STREAM_SESSIONS = 200;
+const SESSION_TOP_GIFTERS = 10;
+
+let streamSessions = [];              // Closed session records, newest first
+let streamSessionSaveTimer = null;
+let streamSessionSyncInFlight = false;
+
+function openStreamSession(room, roomId) {
+  if (roomId && room.session?.roomId === roomId) return;   // Same stream - keep adding to it
+  if (room.session) closeStreamSession(room, 'rotated');
+
+  const startedAt = new Date();
+  room.session = {
+    id: journalFileName(room.username, startedAt).replace(/\.jsonl$/, ''),
+    roomId,
+    journalId: room.journal?.id || null,
+    startedAt: startedAt.toISOString(),
+    lastEventAt: null,
+    gifts: 0,
+    diamonds: 0,
+    groups: {},        // gid -> { gifts, diamonds, engagement }
+    engagement: { likes: 0, follows: 0, shares: 0, subscriptions: 0 },
+    gifters: {},       // uniqueId -> tally (see addToTally)
+    uniques: new Set(),
+    viewerPeak: 0,
+    viewerSum: 0,
+    viewerSamples: 0
+  };
+  console.log(`🗂️  [@${room.username}] Session ${room.session.id} started`);
+}
 
-    /* ── ENHANCED: Connection state event listeners with auto-reconnect ── */
-    /* ── Connection Events - NO AUTO-RECONNECT ── */
-    tiktok.on('connected', () => {
-      trackEvent('connected');
-      console.log('✅ Successfully connected to TikTok Live');
-      liveStatus = 'ONLINE';
-      recordActivity();
-      startHealthMonitoring();
-      broadcast();
-    });
+// Replayed events never count towards the room's live session
+function getActiveSession(room) {
+  if (!room.session || room.replay) return null;
+  room.session.lastEventAt = Date.now();
+  return room.session;
+}
 
-    tiktok.on('disconnected', () => {
-      trackEvent('disconnected');
-      console.log('⚠️  Disconnected from TikTok Live');
-      logError('CONNECTION', 'Disconnected from TikTok Live - Manual reconnection required');
-      diagnostics.totalErrors++;
+// scored: gid -> points, for every group the gift counted into
+function recordSessionGift(room, data, scored, delta) {
+  const session = getActiveSession(room);
+  if (!session) return;
+
+  const diamonds = data.diamondCount * delta;
+  session.gifts += delta;
+  session.diamonds += diamonds;
+  for (const [gid, points] of Object.entries(scored)) {
+    const result = session.groups[gid] || (session.groups[gid] = { gifts: 0, diamonds: 0, points: 0, engagement: 0 });
+    result.gifts += delta;
+    result.diamonds += diamonds;
+    result.points = (result.points || 0) + points;
+  }
 
-      // Stop health monitoring
-      stopHealthMonitoring();
+  const profile = gifterProfile(data);
+  if (profile) addToTally(session.gifters, profile, diamonds, delta, session.lastEventAt);
+}
 
-      // Clear all pending combo timeouts
-      giftComboTracker.forEach((combo) => {
-        clearTimeout(combo.timeout);
-      });
-      giftComboTracker.clear();
+function recordSessionEngagement(room, source, amount) {
+  const session = getActiveSession(room);
+  if (!session) return;
+
+  // Sessions restored from snapshots written before engagement was tracked
+  session.engagement ??= { likes: 0, follows: 0, shares: 0, subscriptions: 0 };
+  session.engagement[source] += amount;
+  for (const gid of Object.keys(groups)) {
+    if (getGroupSource(gid) !== source || !groupMatchesRoom(groups[gid], room)) continue;
+    const result = session.groups[gid] || (session.groups[gid] = { gifts: 0, diamonds: 0, points: 0, engagement: 0 });
+    result.engagement = (result.engagement || 0) + amount;
+  }
+}
 
-      // Set status to OFFLINE and wait for user to reconnect
-      liveStatus = 'OFFLINE';
-      broadcast();
-      console.log('ℹ️  Please click Connect to reconnect when stream is live');
-    });
+function recordSessionJoin(room, uniqueId) {
+  getActiveSession(room)?.uniques.add(uniqueId);
+}
 
-    tiktok.on('error', (err) => {
-      trackEvent('error');
-      const errorMsg = err.message || err.toString();
-      console.error('❌ TikTok connection error:', errorMsg);
+function recordSessionViewers(room, viewerCount) {
+  const session = getActiveSession(room);
+  if (!session) return;
 
-      // Log additional error details for debugging
-      if (err.statusCode) console.error(`   Status Code: ${err.statusCode}`);
-      if (err.info) console.error(`   Info:`, err.info);
+  session.viewerPeak = Math.max(session.viewerPeak, viewerCount);
+  session.viewerSum += viewerCount;
+  session.viewerSamples++;
+}
 
-      logError('CONNECTION', 'Connection error - Manual reconnection required', errorMsg);
-      diagnostics.totalErrors++;
+// endedAt null builds the live view of a session that is still open
+function buildStreamSessionRecord(username, session, endedAt = null, endReason = null) {
+  const end = endedAt || new Date();
+  return {
+    id: session.id,
+    room: username,
+    roomId: session.roomId,
+    journalId: session.journalId,
+    startedAt: session.startedAt,
+    endedAt: endedAt ? endedAt.toISOString() : null,
+    durationMs: Math.max(0, end.getTime() - Date.parse(session.startedAt)),
+    endReason,
+    viewers: {
+      peak: session.viewerPeak,
+      average: session.viewerSamples ? Math.round(session.viewerSum / session.viewerSamples) : 0
+    },
+    uniqueJoins: session.uniques.size,
+    totalGifts: session.gifts,
+    totalDiamonds: session.diamonds,
+    engagement: { likes: 0, follows: 0, shares: 0, subscriptions: 0, ...session.engagement },
+    // Names, sources and targets are copied so the record survives the group being edited or deleted
+    groups: Object.entries(session.groups).map(([gid, result]) => {
+      const source = getGroupSource(gid);
+      return {
+        groupId: gid,
+        name: groups[gid]?.name || gid,
+        source,
+        unit: GROUP_SOURCES[source].unit,
+        value: GROUP_SOURCES[source].gifts
+          ? { diamonds: result.diamonds, gifts: result.gifts, points: result.points || 0 }[source]
+          : result.engagement || 0,
+        gifts: result.gifts,
+        diamonds: result.diamonds,
+        points: result.points || 0,
+        target: groups[gid] ? getGroupGoal(gid).target : null,
+        groupDiamonds: counters[gid]?.diamonds ?? null,
+        groupProgress: groups[gid] ? getGroupProgress(gid) : null
+      };
+    }),
+    totalGifters: Object.keys(session.gifters).length,
+    topGifters: Object.values(session.gifters)
+      .sort((a, b) => b.diamonds - a.diamonds || b.gifts - a.gifts)
+      .slice(0, SESSION_TOP_GIFTERS)
+      .map((entry, i) => ({ rank: i + 1, ...entry })),
+    syncedAt: null
+  };
+}
 
-      // Set status to OFFLINE and wait for user to reconnect
-      liveStatus = 'OFFLINE';
-      broadcast();
-      console.log('ℹ️  Connection error - Please click Connect to try again');
-    });
+function summarizeStreamSession(record) {
+  const { groups: _, topGifters, ...summary } = record;
+  return { ...summary, topGifter: topGifters[0] || null };
+}
 
-    tiktok.on('streamEnd', async () => {
-      trackEvent('streamEnd');
-      console.log('📴 Stream ended by host');
-      logError('STREAM', 'Stream ended by host', { endTime: new Date().toISOString() });
+// A stream that rotated without streamEnd ended at its last event, not when we noticed
+function closeStreamSession(room, reason) {
+  const session = room.session;
+  if (!session) return null;
+  room.session = null;
 
-      // Stop health monitoring
-      stopHealthMonitoring();
+  const endedAt = reason === 'streamEnd' || !session.lastEventAt ? new Date() : new Date(session.lastEventAt);
+  const record = buildStreamSessionRecord(room.username, session, endedAt, reason);
 
-      // Clear all pending combo timeouts
-      giftComboTracker.forEach((combo) => {
-        clearTimeout(combo.timeout);
-      });
-      giftComboTracker.clear();
-
-      // Disconnect the session
-      if (tiktok) {
-        try {
-          await tiktok.disconnect();
-        } catch (err) {
-          console.error('Error during stream end disconnect:', err.message);
-        }
-        tiktok = null;
-      }
+  streamSessions.unshift(record);
+  if (streamSessions.length > MAX_STREAM_SESSIONS) {
+    streamSessions.length = MAX_STREAM_SESSIONS;
+  }
+  console.log(`🗂️  [@${room.username}] Session ${record.id} closed (${reason}): ${record.totalDiamonds} diamonds, ${record.viewers.peak} peak viewers`);
 
-      liveStatus = 'OFFLINE';
-      broadcast();
-      console.log('ℹ️  Stream offline - Click Connect when stream is live again');
-    });
+  queueStreamSessionSave();
+  syncStreamSessions();
+  return record;
+}
 
-    /* ── NEW: Member join event for unique visitors ── */
-    tiktok.on('member', (data) => {
-      trackEvent('member');
-      recordActivity();
-      if (data.uniqueId) {
-        uniques.add(data.uniqueId);
-        console.log(`👋 New member joined: ${data.uniqueId} (Total unique: ${uniques.size})`);
-        debouncedBroadcast();
-      }
-    });
+function listActiveStreamSessions() {
+  return [...rooms.values()]
+    .filter(room => room.session)
+    .map(room => buildStreamSessionRecord(room.username, room.session));
+}
 
-    /* ── NEW: Viewer count tracking ── */
-    tiktok.on('roomUser', (data) => {
-      trackEvent('roomUser');
-      recordActivity();
-      if (data.viewerCount !== undefined) {
-        viewers = data.viewerCount;
-        console.log(`👀 Viewer count updated: ${viewers}`);
-        debouncedBroadcast();
+// Open sessions ride along in the session snapshot so a restart mid-stream resumes them
+function serializeOpenStreamSessions() {
+  return Object.fromEntries([...rooms.values()]
+    .filter(room => room.session)
+    .map(room => [room.username, { ...room.session, uniques: [...room.session.uniques] }]));
+}
+
+function restoreOpenStreamSessions(saved) {
+  Object.entries(saved || {}).forEach(([username, session]) => {
+    const room = getRoom(username);
+    if (room && session?.id) {
+      room.session = { ...session, uniques: new Set(Array.isArray(session.uniques) ? session.uniques : []) };
+    }
+  });
+}
+
+// Oldest first, stopping at the first failure so records reach the backend in order
+async function syncStreamSessions() {
+  if (!BACKEND_API_URL || streamSessionSyncInFlight) return;
+  streamSessionSyncInFlight = true;
+
+  try {
+    const pending = streamSessions.filter(record => !record.syncedAt).reverse();
+    for (const record of pending) {
+      if (!(await saveStreamSessionToBackend(record))) break;
+      record.syncedAt = new Date().toISOString();
+      queueStreamSessionSave();
+    }
+  } finally {
+    streamSessionSyncInFlight = false;
+  }
+}
+
+async function saveStreamSessions() {
+  if (streamSessionSaveTimer) {
+    clearTimeout(streamSessionSaveTimer);
+    streamSessionSaveTimer = null;
+  }
+
+  try {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    const tmpFile = `${STREAM_SESSIONS_FILE}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ sessions: streamSessions }));
+    await fs.rename(tmpFile, STREAM_SESSIONS_FILE);
+  } catch (error) {
+    console.error('❌ Failed to save session history:', error.message);
+  }
+}
+
+function queueStreamSessionSave() {
+  if (streamSessionSaveTimer) return;
+  streamSessionSaveTimer = setTimeout(saveStreamSessions, 1000);
+}
+
+async function loadStreamSessions() {
+  try {
+    const state = JSON.parse(await fs.readFile(STREAM_SESSIONS_FILE, 'utf8'));
+    streamSessions = Array.isArray(state.sessions) ? state.sessions : [];
+    syncStreamSessions();
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Failed to load session history:', error.message);
+    }
+  }
+}
+
+/* ── Gift ledger (every counted gift, one JSONL file per UTC day) ──── */
+// The audit trail streamers reconcile payouts and giveaways against: one row
+// per processGiftCount() call, tagged with the stream session and how the
+// gift was counted. Rows are appended as they happen and exports stream them
+// back out row by row, so the ledger never has to fit in memory.
+const LEDGER_DIR = path.join(DATA_DIR, 'ledger');
+const LEDGER_FILE_PATTERN = /^\d{4}-\d{2}-\d{2}\.jsonl$/;
+const MAX_LEDGER_FILES = 400;                    // Days kept on disk
+const MAX_LEDGER_RANGE_MS = 92 * 24 * 60 * 60 * 1000;
+const LEDGER_COLUMNS = [
+  'time', 'room', 'sessionId', 'replay', 'userId', 'uniqueId', 'nickname', 'giftId', 'giftName',
+  'quantity', 'diamondsEach', 'diamonds', 'groupId', 'groupName', 'points', 'countedVia',
+  'groupIds', 'groupNames', 'pointsByGroup'
+];
+
+let ledger = { day: null, stream: null };
+
+function ledgerDay(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+// scored: gid -> points for every group the gift counted into
+// countedVia: 'repeatEnd' | 'comboTimeout' | 'single' (non-streak gift)
+// groupId/groupName/points describe the first matching group, as before a gift
+// could count into several; groupIds/groupNames/pointsByGroup list them all
+function recordLedgerEntry(room, data, scored, delta, countedVia) {
+  const gids = Object.keys(scored);
+  const [gid] = gids;
+  const now = Date.now();
+  const entry = {
+    time: new Date(now).toISOString(),
+    room: room.username,
+    sessionId: room.replay ? null : room.session?.id || null,
+    replay: Boolean(room.replay),
+    userId: data.userId != null ? String(data.userId) : null,
+    uniqueId: data.uniqueId || null,
+    nickname: data.nickname || null,
+    giftId: data.giftId,
+    giftName: data.giftName,
+    quantity: delta,
+    diamondsEach: data.diamondCount,
+    diamonds: data.diamondCount * delta,
+    groupId: gid || null,
+    groupName: gid ? groups[gid].name : null,
+    points: gid ? scored[gid] : null,
+    countedVia,
+    groupIds: gids,
+    groupNames: gids.map(id => groups[id].name),
+    pointsByGroup: gids.map(id => scored[id])
+  };
+
+  try {
+    const day = ledgerDay(now);
+    if (ledger.day !== day) {
+      closeLedger();
+      mkdirSync(LEDGER_DIR, { recursive: true });
+      ledger = { day, stream: createWriteStream(path.join(LEDGER_DIR, `${day}.jsonl`), { flags: 'a' }) };
+      ledger.stream.on('error', err => logError('LEDGER', 'Gift ledger write failed', err.message));
+      pruneLedger();
+    }
+    ledger.stream.write(JSON.stringify(entry) + '\n');
+  } catch (err) {
+    logError('LEDGER', 'Could not write gift ledger', err.message);
+  }
+}
+
+function closeLedger() {
+  const stream = ledger.stream;
+  ledger = { day: null, stream: null };
+  return stream ? new Promise(resolve => stream.end(resolve)) : Promise.resolve();
+}
+
+async function pruneLedger() {
+  try {
+    const stale = (await fs.readdir(LEDGER_DIR))
+      .filter(name => LEDGER_FILE_PATTERN.test(name))
+      .sort()
+      .reverse()
+      .slice(MAX_LEDGER_FILES);
+
+    for (const name of stale) {
+      await fs.unlink(path.join(LEDGER_DIR, name));
+      debugLog(`Pruned ledger ${name}`);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') debugLog('Ledger pruning failed:', err.message);
+  }
+}
+
+// from/to are epoch ms (inclusive); only the day files overlapping the range
+// are read, line by line, and matching rows are yielded oldest first
+async function* readLedger({ from, to, sessionId = null, room = null }) {
+  let files;
+  try {
+    files = (await fs.readdir(LEDGER_DIR)).filter(name => LEDGER_FILE_PATTERN.test(name));
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+
+  const firstDay = ledgerDay(from);
+  const lastDay = ledgerDay(to);
+
+  for (const name of files.sort()) {
+    const day = name.slice(0, 10);
+    if (day < firstDay || day > lastDay) continue;
+
+    const lines = readline.createInterface({ input: createReadStream(path.join(LEDGER_DIR, name)), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;   // Torn write from a crash
       }
-    });
 
-    /* ── NEW: Like event tracking (optional, for completeness) ── */
-    tiktok.on('like', (data) => {
-      trackEvent('like');
-      recordActivity();
-      debugLog(`❤️  ${data.uniqueId || 'Someone'} sent ${data.likeCount || 1} likes`);
+      const ts = Date.parse(entry.time);
+      if (ts < from || ts > to) continue;
+      if (sessionId && entry.sessionId !== sessionId) continue;
+      if (room && entry.room !== room) continue;
+      yield upgradeLedgerEntry(entry);
+    }
+  }
+}
+
+// Rows written before a gift could count into several groups only have groupId
+function upgradeLedgerEntry(entry) {
+  if (Array.isArray(entry.groupIds)) return entry;
+
+  const { groupId = null, groupName = null, points = null } = entry;
+  return {
+    ...entry,
+    groupId,
+    groupName,
+    points,
+    groupIds: groupId ? [groupId] : [],
+    groupNames: groupId ? [groupName] : [],
+    pointsByGroup: groupId && points !== null ? [points] : []
+  };
+}
+
+// Lists (the matched groups) are joined with ';'.
+// Values starting with = + - @ are prefixed so spreadsheet apps don't run them as formulas
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return formatCsvValue(value.join(';'));
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatLedgerCsvRow(values) {
+  return values.map(formatCsvValue).join(',') + '\r\n';
+}
+
+// Waits for the client to take what was written, so a long export is never buffered whole
+function writeExportChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    res.once('drain', resolve);
+    res.once('close', resolve);
+  });
+}
+
+// Streams the rows as CSV or as { sessionId, from, to, entries, count, totalGifts, totalDiamonds }
+async function streamLedgerExport(res, rows, format, meta) {
+  if (format === 'csv') {
+    res.type('text/csv; charset=utf-8');
+    await writeExportChunk(res, formatLedgerCsvRow(LEDGER_COLUMNS));
+    for await (const entry of rows) {
+      if (res.destroyed) return;
+      await writeExportChunk(res, formatLedgerCsvRow(LEDGER_COLUMNS.map(column => entry[column])));
+    }
+    res.end();
+    return;
+  }
+
+  res.type('application/json; charset=utf-8');
+  await writeExportChunk(res, `${JSON.stringify(meta).slice(0, -1)},"entries":[`);
+  let count = 0, totalGifts = 0, totalDiamonds = 0;
+  for await (const entry of rows) {
+    if (res.destroyed) return;
+    await writeExportChunk(res, `${count > 0 ? ',' : ''}${JSON.stringify(entry)}`);
+    count++;
+    totalGifts += entry.quantity;
+    totalDiamonds += entry.diamonds;
+  }
+  res.end(`],"count":${count},"totalGifts":${totalGifts},"totalDiamonds":${totalDiamonds}}`);
+}
+
+/* ── Audit trail for manual counter changes ─────────────────────── */
+// Every /api/counter edit and /api/reset is recorded with the values it
+// replaced, so a mis-click mid-stream can be undone. Undo works in deltas:
+// reverting an edit takes back exactly what it changed and reverting a reset
+// adds the cleared totals back, so gifts counted in the meantime are kept.
+// Resets carry the whole pre-reset state; only the newest few stay restorable.
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.json');
+const MAX_AUDIT_ENTRIES = 200;
+const MAX_RESTORABLE_RESETS = 10;
+const MAX_AUDIT_REASON_LENGTH = 200;
+
+let auditLog = [];        // Newest first: { id, at, action, reason, groupId?, groupName?, before, after, revertOf?, revertedAt?, revertedBy? }
+let auditSaveTimer = null;
+
+function parseAuditReason(reason) {
+  return typeof reason === 'string' ? reason.trim().slice(0, MAX_AUDIT_REASON_LENGTH) : '';
+}
+
+function recordAudit(entry) {
+  const record = { id: crypto.randomUUID(), at: new Date().toISOString(), ...entry };
+  auditLog.unshift(record);
+  if (auditLog.length > MAX_AUDIT_ENTRIES) {
+    auditLog.length = MAX_AUDIT_ENTRIES;
+  }
+
+  // Drop the heavy state of resets too old to restore
+  auditLog.filter(e => e.action === 'reset' && e.before).slice(MAX_RESTORABLE_RESETS).forEach(e => {
+    e.before = null;
+  });
+
+  console.log(`📝 Audit: ${record.action}${record.groupId ? ` ${record.groupId}` : ''}${record.reason ? ` (${record.reason})` : ''}`);
+  io.to(DASHBOARD_ROOM).emit('audit', publicAuditEntry(record));
+  queueAuditSave();
+  return record;
+}
+
+// Reset states are summarized - the full copy never leaves the server
+function publicAuditEntry(entry) {
+  const revertError = getRevertError(entry);
+  const base = { ...entry, revertable: !revertError, revertBlockedBy: revertError };
+  if (entry.action !== 'reset') return base;
+
+  return {
+    ...base,
+    before: entry.before && {
+      totalGifts: entry.before.totalGifts,
+      totalDiamonds: entry.before.totalDiamonds,
+      uniqueJoins: entry.before.uniques.length,
+      counters: entry.before.counters
+    }
+  };
+}
+
+function captureTrackerState() {
+  return structuredClone({
+    counters,
+    totalGifts,
+    totalDiamonds,
+    engagementTotals,
+    uniques: [...uniques],
+    leaderboard: { totals: gifterTotals, contributions: giftContributions },
+    milestones: { reached: milestonesReached, log: milestoneLog }
+  });
+}
+
+// null when the entry can be reverted, otherwise why not
+function getRevertError(entry) {
+  if (entry.action === 'revert') return 'An undo cannot itself be undone - edit the counter instead';
+  if (entry.revertedAt) return 'Already undone';
+  if (entry.action === 'reset') {
+    return entry.before ? null : 'This reset is too old to restore';
+  }
+
+  if (!groups[entry.groupId]) return 'The group no longer exists';
+
+  // A later reset already cleared what this edit changed
+  const index = auditLog.indexOf(entry);
+  const clearedBy = auditLog.slice(0, index).find(e => e.action === 'reset' && !e.revertedAt);
+  return clearedBy ? 'A later reset cleared this change - undo the reset first' : null;
+}
+
+function mergeTally(target, source) {
+  Object.values(source || {}).forEach(entry => {
+    const current = target[entry.uniqueId];
+    if (!current) {
+      target[entry.uniqueId] = { ...entry };
+      return;
+    }
+    current.diamonds += entry.diamonds;
+    current.gifts += entry.gifts;
+  });
+}
+
+// Add everything a reset cleared back on top of what has been counted since
+function restoreResetState(state) {
+  Object.entries(state.counters || {}).forEach(([gid, counter]) => {
+    if (!counters[gid]) return;   // Group deleted since
+    COUNTER_FIELDS.forEach(field => {
+      counters[gid][field] += counter[field] || 0;
     });
+  });
+  totalGifts += state.totalGifts;
+  totalDiamonds += state.totalDiamonds;
+  ENGAGEMENT_SOURCES.forEach(source => {
+    engagementTotals[source] += state.engagementTotals?.[source] || 0;
+  });
+  state.uniques.forEach(id => uniques.add(id));
 
-    /* ── NEW: Chat event tracking (optional, for monitoring) ── */
-    tiktok.on('chat', (data) => {
-      trackEvent('chat');
-      recordActivity();
-      debugLog(`💬 ${data.uniqueId}: ${data.comment}`);
+  mergeTally(gifterTotals.overall, state.leaderboard.totals.overall);
+  Object.entries(state.leaderboard.totals.groups || {}).forEach(([gid, tally]) => {
+    if (groups[gid]) mergeTally(gifterTotals.groups[gid] || (gifterTotals.groups[gid] = {}), tally);
+  });
+  giftContributions = [...state.leaderboard.contributions, ...giftContributions].slice(-MAX_GIFT_CONTRIBUTIONS);
+  leaderboardDirty = true;
+
+  // Milestones already celebrated before the reset stay celebrated
+  milestoneLog = [...milestoneLog, ...state.milestones.log].slice(0, MAX_MILESTONE_LOG);
+  Object.keys(groups).forEach(syncMilestones);
+}
+
+function revertAuditEntry(entry, reason) {
+  if (entry.action === 'reset') {
+    const before = { totalGifts, totalDiamonds };
+    restoreResetState(entry.before);
+    entry.before = null;   // Restored once; the state isn't needed any more
+    entry.revertedAt = new Date().toISOString();
+    return recordAudit({
+      action: 'revert',
+      revertOf: entry.id,
+      reason,
+      before,
+      after: { totalGifts, totalDiamonds }
     });
+  }
 
-    await tiktok.connect();              // may throw if stream offline
-    liveStatus = 'ONLINE';
+  const counter = counters[entry.groupId];
+  const before = { ...counter };
+  COUNTER_FIELDS.forEach(field => {
+    counter[field] = Math.max(0, counter[field] - ((entry.after[field] || 0) - (entry.before[field] || 0)));
+  });
+  syncMilestones(entry.groupId);
+
+  entry.revertedAt = new Date().toISOString();
+  return recordAudit({
+    action: 'revert',
+    revertOf: entry.id,
+    reason,
+    groupId: entry.groupId,
+    groupName: groups[entry.groupId].name,
+    before,
+    after: { ...counter }
+  });
+}
 
-    /* ── Fetch full gift catalogue after successful connect ── */
-    giftCatalog = (await tiktok.fetchAvailableGifts().catch(() => []))
-      .map(g => ({
-        id: g.id,
-        name: g.name,
-        diamondCost: g.diamondCost,
-        iconUrl: g.image?.url_list?.[0] || null
-      }));
-    io.emit('giftCatalog', giftCatalog); // send to all dashboards
-  } catch (err) {
-    const errorMsg = err.message || err.toString();
-    console.error('❌ Connect failed:', errorMsg);
+async function saveAuditLog() {
+  if (auditSaveTimer) {
+    clearTimeout(auditSaveTimer);
+    auditSaveTimer = null;
+  }
 
-    // Log additional error details for debugging sign server issues
-    if (err.statusCode) console.error(`   Status Code: ${err.statusCode}`);
-    if (err.info) console.error(`   Error Info:`, JSON.stringify(err.info, null, 2));
-    if (err.stack) console.error(`   Stack:`, err.stack.split('\n').slice(0, 3).join('\n'));
+  try {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    const tmpFile = `${AUDIT_FILE}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ entries: auditLog }));
+    await fs.rename(tmpFile, AUDIT_FILE);
+  } catch (error) {
+    console.error('❌ Failed to save audit log:', error.message);
+  }
+}
+
+function queueAuditSave() {
+  if (auditSaveTimer) return;
+  auditSaveTimer = setTimeout(saveAuditLog, 1000);
+}
+
+async function loadAuditLog() {
+  try {
+    const state = JSON.parse(await fs.readFile(AUDIT_FILE, 'utf8'));
+    auditLog = Array.isArray(state.entries) ? state.entries : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Failed to load audit log:', error.message);
+    }
+  }
+}
+
+/* ── Subathon timer (a countdown that gifts extend) ──────────────── */
+// Every counted gift adds time: its override in cfg.timer.gifts (seconds per
+// gift), else secondsPerDiamond for each diamond. Gifts never push the clock
+// past capSec; the host's own adjustments are not capped. The clock is kept as
+// an absolute end time in DATA_DIR/timer.json, so a restart doesn't reset it
+// (time keeps running while the server is down). Resets don't touch it.
+const TIMER_FILE = path.join(DATA_DIR, 'timer.json');
+const MAX_TIMER_SEC = 30 * 24 * 60 * 60;
+const DEFAULT_TIMER_SETTINGS = {
+  secondsPerDiamond: 1,
+  capSec: null,      // Most time gifts may put on the clock
+  gifts: {}          // giftId -> seconds per gift, instead of the diamond rate
+};
+
+// status: idle | running | paused | ended. endsAt is set while running, remainingMs otherwise.
+let timerState = { status: 'idle', endsAt: null, remainingMs: 0, startedAt: null, addedMs: 0, lastAdded: null };
+let timerSaveTimer = null;
+let timerEndTimer = null;
 
-    logError('CONNECTION', 'Initial connection failed - Manual retry required', errorMsg);
-    liveStatus = 'OFFLINE';
-    console.log('ℹ️  Connection failed - Please click Connect to try again');
+function getTimerSettings() {
+  return { ...DEFAULT_TIMER_SETTINGS, ...(cfg.timer || {}) };
+}
+
+function getTimerRemainingMs() {
+  return timerState.status === 'running'
+    ? Math.max(0, Date.parse(timerState.endsAt) - Date.now())
+    : timerState.remainingMs;
+}
+
+function setTimerRemainingMs(ms) {
+  const remaining = Math.min(MAX_TIMER_SEC * 1000, Math.max(0, Math.round(ms)));
+  if (timerState.status === 'running') {
+    timerState.endsAt = new Date(Date.now() + remaining).toISOString();
+  } else {
+    timerState.remainingMs = remaining;
   }
+  scheduleTimerEnd();
+  queueTimerSave();
+}
+
+function publicTimer() {
+  return {
+    ...timerState,
+    remainingMs: getTimerRemainingMs(),
+    capSec: getTimerSettings().capSec
+  };
+}
+
+function startTimer(durationSec) {
+  timerState = {
+    status: 'running',
+    endsAt: null,
+    remainingMs: 0,
+    startedAt: new Date().toISOString(),
+    addedMs: 0,
+    lastAdded: null
+  };
+  setTimerRemainingMs(durationSec * 1000);
+  console.log(`⏳ Subathon timer started (${durationSec}s)`);
+}
+
+function pauseTimer() {
+  timerState.remainingMs = getTimerRemainingMs();
+  timerState.endsAt = null;
+  timerState.status = 'paused';
+  scheduleTimerEnd();
+  queueTimerSave();
+}
+
+function resumeTimer() {
+  timerState.status = 'running';
+  setTimerRemainingMs(timerState.remainingMs);
+  timerState.remainingMs = 0;
+}
+
+function stopTimer() {
+  timerState = { ...timerState, status: 'idle', endsAt: null, remainingMs: 0 };
+  scheduleTimerEnd();
+  queueTimerSave();
+}
+
+// Gifts only extend a clock that is running or paused
+function recordTimerGift(data, delta) {
+  if (timerState.status !== 'running' && timerState.status !== 'paused') return;
+
+  const settings = getTimerSettings();
+  const perGift = settings.gifts[data.giftId];
+  const seconds = (perGift ?? data.diamondCount * settings.secondsPerDiamond) * delta;
+  if (!(seconds > 0)) return;
+
+  const before = getTimerRemainingMs();
+  const limit = settings.capSec ? settings.capSec * 1000 : Infinity;
+  const after = Math.max(before, Math.min(limit, before + seconds * 1000));
+  if (after === before) return;
+
+  setTimerRemainingMs(after);
+  timerState.addedMs += after - before;
+  timerState.lastAdded = {
+    ms: after - before,
+    nickname: data.nickname || data.uniqueId || null,
+    giftName: data.giftName,
+    at: new Date().toISOString()
+  };
+}
+
+function endTimer() {
+  timerEndTimer = null;
+  timerState = { ...timerState, status: 'ended', endsAt: null, remainingMs: 0 };
+  queueTimerSave();
+  console.log('⌛ Subathon timer ended');
   broadcast();
 }
 
-async function disconnectTikTok() {
-  console.log('🔌 Manual disconnect requested...');
+function scheduleTimerEnd() {
+  clearTimeout(timerEndTimer);
+  timerEndTimer = null;
+  if (timerState.status !== 'running') return;
+
+  // setTimeout can't wait longer than ~24.8 days; re-check from there
+  const wait = Math.min(Date.parse(timerState.endsAt) - Date.now(), 2 ** 31 - 1);
+  timerEndTimer = setTimeout(() => {
+    if (getTimerRemainingMs() > 0) scheduleTimerEnd();
+    else endTimer();
+  }, Math.max(0, wait));
+}
 
-  // Mark as manual disconnect
-  isManualDisconnect = true;
+async function saveTimerState() {
+  if (timerSaveTimer) {
+    clearTimeout(timerSaveTimer);
+    timerSaveTimer = null;
+  }
 
-  if (tiktok) {
-    try {
-      await tiktok.disconnect();
-    } catch (err) {
-      console.error('Error during disconnect:', err.message);
-      logError('DISCONNECT', 'Error during manual disconnect', err.message);
+  try {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    const tmpFile = `${TIMER_FILE}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(timerState));
+    await fs.rename(tmpFile, TIMER_FILE);
+  } catch (error) {
+    console.error('❌ Failed to save timer:', error.message);
+  }
+}
+
+function queueTimerSave() {
+  if (timerSaveTimer) return;
+  timerSaveTimer = setTimeout(saveTimerState, 1000);
+}
+
+async function loadTimerState() {
+  try {
+    const state = JSON.parse(await fs.readFile(TIMER_FILE, 'utf8'));
+    if (state && typeof state.status === 'string') timerState = { ...timerState, ...state };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Failed to load timer:', error.message);
+    }
+  }
+}
+
+/* ── Overlay links (signed, revocable overlay tokens) ─────────────── */
+// An overlay link is a token in a browser source's URL (?token=...) that the
+// Socket.IO handshake checks. A link belongs to one group - its sockets only
+// receive that group's progress - or to the whole instance (groupId null) for
+// the alerts, timer, battle and stream-wide leaderboard overlays. A token is
+// `<id>.<signature>`, an HMAC of the id and group with a secret kept in
+// DATA_DIR, so it can't be forged from a listed id; revoking a link deletes its
+// id, which kills every URL carrying it without rotating the API key. Until
+// `required` is switched on, overlays without a link keep working as before.
+const OVERLAY_LINKS_FILE = path.join(DATA_DIR, 'overlay-links.json');
+const MAX_OVERLAY_LINKS = 200;
+const MAX_OVERLAY_LINK_LABEL_LENGTH = 60;
+
+let overlayLinks = { secret: null, required: false, links: [] };  // links: { id, groupId, label, createdAt, lastUsedAt }
+let overlayLinksSaveTimer = null;
+
+function overlayLinkSecret() {
+  if (!overlayLinks.secret) {
+    overlayLinks.secret = crypto.randomBytes(32).toString('hex');
+    queueOverlayLinksSave();
+  }
+  return overlayLinks.secret;
+}
+
+function signOverlayLink(link) {
+  return crypto.createHmac('sha256', overlayLinkSecret()).update(`${link.id}:${link.groupId ?? '*'}`).digest('base64url');
+}
+
+// The link a token belongs to, or null if it is forged, revoked or its group was deleted
+function verifyOverlayToken(token) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const [id, signature = ''] = token.split('.');
+  const link = overlayLinks.links.find(l => l.id === id);
+  if (!link) return null;
+
+  const expected = Buffer.from(signOverlayLink(link));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  if (link.groupId && !groups[link.groupId]) return null;
+  return link;
+}
+
+function publicOverlayLink(link) {
+  return {
+    ...link,
+    groupName: link.groupId ? groups[link.groupId]?.name || null : null,
+    token: `${link.id}.${signOverlayLink(link)}`
+  };
+}
+
+function createOverlayLink(groupId, label) {
+  const link = {
+    id: crypto.randomBytes(9).toString('base64url'),
+    groupId,
+    label,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+  overlayLinks.links.push(link);
+  queueOverlayLinksSave();
+  console.log(`🔗 Overlay link created for ${groupId ? groups[groupId].name : 'all overlays'}`);
+  return link;
+}
+
+// Drops the link and disconnects every overlay still using it
+function revokeOverlayLink(id) {
+  const link = overlayLinks.links.find(l => l.id === id);
+  if (!link) return null;
+
+  overlayLinks.links = overlayLinks.links.filter(l => l !== link);
+  queueOverlayLinksSave();
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.data.overlayLink === id) socket.disconnect(true);
+  }
+  console.log(`🔗 Overlay link ${id} revoked`);
+  return link;
+}
+
+async function saveOverlayLinks() {
+  if (overlayLinksSaveTimer) {
+    clearTimeout(overlayLinksSaveTimer);
+    overlayLinksSaveTimer = null;
+  }
+
+  try {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    const tmpFile = `${OVERLAY_LINKS_FILE}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(overlayLinks));
+    await fs.rename(tmpFile, OVERLAY_LINKS_FILE);
+  } catch (error) {
+    console.error('❌ Failed to save overlay links:', error.message);
+  }
+}
+
+function queueOverlayLinksSave() {
+  if (overlayLinksSaveTimer) return;
+  overlayLinksSaveTimer = setTimeout(saveOverlayLinks, 1000);
+}
+
+async function loadOverlayLinks() {
+  try {
+    const state = JSON.parse(await fs.readFile(OVERLAY_LINKS_FILE, 'utf8'));
+    overlayLinks = {
+      secret: typeof state.secret === 'string' ? state.secret : null,
+      required: state.required === true,
+      links: Array.isArray(state.links) ? state.links : []
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Failed to load overlay links:', error.message);
     }
-    tiktok = null;
   }
+}
+
+/* ── Backend sync batching ─────────────────── */
+let syncQueue = [];
+let syncTimer = null;
+const SYNC_BATCH_DELAY = 2000; // 2 seconds
+const MAX_SYNC_QUEUE_SIZE = 10;
+
+function queueBackendSync(type, data) {
+  syncQueue.push({
+    type,
+    data,
+    timestamp: Date.now()
+  });
+
+  debugLog(`Queued backend sync: ${type}, queue size: ${syncQueue.length}`);
+
+  // If queue is full, sync immediately
+  if (syncQueue.length >= MAX_SYNC_QUEUE_SIZE) {
+    debugLog('Queue full, syncing immediately');
+    flushSyncQueue();
+    return;
+  }
+
+  // Otherwise, debounce the sync
+  if (syncTimer) {
+    clearTimeout(syncTimer);
+  }
+
+  syncTimer = setTimeout(() => {
+    flushSyncQueue();
+  }, SYNC_BATCH_DELAY);
+}
+
+async function flushSyncQueue() {
+  if (syncQueue.length === 0) return;
+
+  const itemsToSync = [...syncQueue];
+  syncQueue = [];
+
+  if (syncTimer) {
+    clearTimeout(syncTimer);
+    syncTimer = null;
+  }
+
+  debugLog(`Flushing sync queue: ${itemsToSync.length} items`);
+
+  // Group by type
+  const groupedSyncs = {
+    config: [],
+    groups: []
+  };
+
+  itemsToSync.forEach(item => {
+    if (groupedSyncs[item.type]) {
+      groupedSyncs[item.type].push(item);
+    }
+  });
+
+  // Process each type (use latest data only)
+  if (groupedSyncs.config.length > 0) {
+    const latest = groupedSyncs.config[groupedSyncs.config.length - 1];
+    await saveConfigToBackend(latest.data).catch(err =>
+      debugLog('Config sync failed:', err.message)
+    );
+  }
+
+  if (groupedSyncs.groups.length > 0) {
+    const latest = groupedSyncs.groups[groupedSyncs.groups.length - 1];
+    await saveGiftGroupsToBackend(latest.data).catch(err =>
+      debugLog('Groups sync failed:', err.message)
+    );
+  }
+}
+
+/* ── Backend API Helper Functions ──────────────────────────────────── */
+
+// Create headers for backend API requests
+function getBackendHeaders() {
+  return {
+    'X-API-Key': API_KEY,
+    'X-Account-ID': ACCOUNT_ID,
+    'Content-Type': 'application/json'
+  };
+}
+
+// Load gift groups from backend
+async function loadGiftGroupsFromBackend() {
+  if (!BACKEND_API_URL) {
+    console.log('⚠️ BACKEND_API_URL not set, skipping backend load');
+    return {};
+  }
+
+  try {
+    console.log(`📥 Loading gift groups from backend for account: ${ACCOUNT_ID}`);
+
+    const response = await axios.get(
+      `${BACKEND_API_URL}/${ACCOUNT_ID}/gift-groups`,
+      { headers: getBackendHeaders(), timeout: 10000 }
+    );
+
+    if (response.data.success && response.data.data) {
+      console.log(`✅ Loaded ${Object.keys(response.data.data).length} gift groups from backend`);
+      return response.data.data;
+    }
+
+    return {};
+  } catch (error) {
+    if (error.response?.status === 404) {
+      console.log('ℹ️ No gift groups found in backend, starting fresh');
+      return {};
+    }
+    console.error('❌ Failed to load gift groups from backend:', error.message);
+    return {};
+  }
+}
+
+// Save gift groups to backend
+async function saveGiftGroupsToBackend(groupsData) {
+  if (!BACKEND_API_URL) {
+    console.log('⚠️ BACKEND_API_URL not set, skipping backend save');
+    return;
+  }
+
+  try {
+    await axios.post(
+      `${BACKEND_API_URL}/${ACCOUNT_ID}/gift-groups`,
+      { groups: groupsData },
+      { headers: getBackendHeaders(), timeout: 10000 }
+    );
+
+    console.log('✅ Gift groups saved to backend');
+  } catch (error) {
+    console.error('❌ Failed to save gift groups to backend:', error.message);
+  }
+}
+
+// Save a closed stream session - resolves false so the caller can retry later
+async function saveStreamSessionToBackend(record) {
+  try {
+    await axios.post(
+      `${BACKEND_API_URL}/${ACCOUNT_ID}/sessions`,
+      record,
+      { headers: getBackendHeaders(), timeout: 10000 }
+    );
+
+    console.log(`✅ Session ${record.id} saved to backend`);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to save session ${record.id} to backend:`, error.message);
+    return false;
+  }
+}
+
+// Load configuration from backend
+async function loadConfigFromBackend() {
+  const defaultConfig = {
+    target: 10_000,
+    comboTimeout: 5000,  // 5 seconds default
+    autoReconnect: { enabled: false }
+  };
+
+  if (!BACKEND_API_URL) {
+    console.log('⚠️ BACKEND_API_URL not set, skipping backend load');
+    return defaultConfig;
+  }
+
+  try {
+    console.log(`📥 Loading configuration from backend for account: ${ACCOUNT_ID}`);
+
+    const response = await axios.get(
+      `${BACKEND_API_URL}/${ACCOUNT_ID}/config`,
+      { headers: getBackendHeaders(), timeout: 10000 }
+    );
+
+    if (response.data.success && response.data.data) {
+      console.log(`✅ Configuration loaded from backend`);
+      // Merge with defaults to ensure all properties exist
+      return { ...defaultConfig, ...response.data.data };
+    }
+
+    return defaultConfig;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      console.log('ℹ️ No configuration found in backend, using defaults');
+      return defaultConfig;
+    }
+    console.error('❌ Failed to load configuration from backend:', error.message);
+    return defaultConfig;
+  }
+}
+
+// Save configuration to backend
+async function saveConfigToBackend(configData) {
+  if (!BACKEND_API_URL) {
+    console.log('⚠️ BACKEND_API_URL not set, skipping backend save');
+    return;
+  }
+
+  try {
+    await axios.post(
+      `${BACKEND_API_URL}/${ACCOUNT_ID}/config`,
+      configData,
+      { headers: getBackendHeaders(), timeout: 10000 }
+    );
+
+    console.log('✅ Configuration saved to backend');
+  } catch (error) {
+    console.error('❌ Failed to save configuration to backend:', error.message);
+  }
+}
+
+/* ── Session persistence (survives restarts) ─────────────────── */
+const SESSION_FILE = path.join(DATA_DIR, 'session.json');
+const SESSION_SAVE_DEBOUNCE_MS = 1000;   // Coalesce bursts of changes
+const SESSION_SNAPSHOT_INTERVAL = 30000; // Periodic safety snapshot
+const SESSION_SNAPSHOT_VERSION = 1;
+
+let sessionSaveTimer = null;
+let sessionSnapshotTimer = null;
+let lastSessionSave = null;
+let sessionSaveChain = Promise.resolve();   // Saves run one at a time - they share the temp file
+
+function buildSessionSnapshot() {
+  return {
+    version: SESSION_SNAPSHOT_VERSION,
+    accountId: ACCOUNT_ID,
+    username: USERNAME,
+    savedAt: new Date().toISOString(),
+    groups,
+    counters,
+    totalGifts,
+    totalDiamonds,
+    engagementTotals,
+    uniques: [...uniques],
+    roomViewers: Object.fromEntries([...rooms].map(([username, room]) => [username, room.viewers])),
+    giftCatalog,
+    leaderboard: { totals: gifterTotals, contributions: giftContributions },
+    milestones: { reached: milestonesReached, log: milestoneLog },
+    openStreamSessions: serializeOpenStreamSessions(),
+    polls: { active: activePoll, history: pollHistory },
+    battle,
+    boosts
+  };
+}
+
+function isValidSessionSnapshot(snapshot) {
+  return Boolean(snapshot) &&
+    typeof snapshot === 'object' &&
+    snapshot.version === SESSION_SNAPSHOT_VERSION &&
+    isPlainObject(snapshot.counters);
+}
+
+// Counter fields that aren't whole numbers of zero or more restart at zero
+function sanitizeCounter(counter) {
+  return Object.fromEntries(COUNTER_FIELDS.map(field => {
+    const value = counter?.[field];
+    return [field, Number.isInteger(value) && value >= 0 ? value : 0];
+  }));
+}
+
+function isValidBoost(boost) {
+  return isPlainObject(boost) && boost.multiplier > 0 && Number.isFinite(boost.multiplier) &&
+    Number.isFinite(Date.parse(boost.endsAt));
+}
+
+// Every section is checked before it's used - snapshots can also be posted to
+// /api/session/restore, and a bad one must not break broadcasts or survive restarts
+function applySessionSnapshot(snapshot) {
+  // Backend is the source of truth for groups; fall back to the snapshot copy if it had none
+  if (Object.keys(groups).length === 0 && isPlainObject(snapshot.groups)) {
+    groups = snapshot.groups;
+  }
+
+  counters = Object.fromEntries(Object.entries(snapshot.counters)
+    .filter(([, counter]) => isPlainObject(counter))
+    .map(([gid, counter]) => [gid, sanitizeCounter(counter)]));
+  totalGifts = Number(snapshot.totalGifts) || 0;
+  totalDiamonds = Number(snapshot.totalDiamonds) || 0;
+  ENGAGEMENT_SOURCES.forEach(source => {
+    engagementTotals[source] = Number(snapshot.engagementTotals?.[source]) || 0;
+  });
+  uniques = new Set(Array.isArray(snapshot.uniques) ? snapshot.uniques : []);
+  Object.entries(snapshot.roomViewers || {}).forEach(([username, count]) => {
+    const room = getRoom(username);
+    if (room) room.viewers = Number(count) || 0;
+  });
+  if (Array.isArray(snapshot.giftCatalog) && snapshot.giftCatalog.length > 0) {
+    giftCatalog = snapshot.giftCatalog;
+  }
+  // Snapshots from before leaderboards existed simply start them empty
+  gifterTotals = {
+    overall: isPlainObject(snapshot.leaderboard?.totals?.overall) ? snapshot.leaderboard.totals.overall : {},
+    groups: isPlainObject(snapshot.leaderboard?.totals?.groups) ? snapshot.leaderboard.totals.groups : {}
+  };
+  giftContributions = Array.isArray(snapshot.leaderboard?.contributions) ? snapshot.leaderboard.contributions : [];
+  leaderboardDirty = true;
+  milestonesReached = isPlainObject(snapshot.milestones?.reached) ? snapshot.milestones.reached : {};
+  milestoneLog = Array.isArray(snapshot.milestones?.log) ? snapshot.milestones.log : [];
+  restoreOpenStreamSessions(snapshot.openStreamSessions);
+  activePoll = isValidPollState(snapshot.polls?.active) ? snapshot.polls.active : null;
+  pollHistory = Array.isArray(snapshot.polls?.history) ? snapshot.polls.history : [];
+  battle = isValidBattleState(snapshot.battle) ? snapshot.battle : null;
+  boosts = Object.fromEntries(Object.entries(isPlainObject(snapshot.boosts) ? snapshot.boosts : {})
+    .filter(([, boost]) => isValidBoost(boost)));
+
+  // Drop counters for groups that no longer exist, add zeroed ones for new groups
+  initCounters();
+}
+
+function saveSessionSnapshot() {
+  if (sessionSaveTimer) {
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = null;
+  }
+
+  // Autosave, debounced saves, restores and shutdown can overlap; each waits for
+  // the one before it and then writes the state as it is by then
+  sessionSaveChain = sessionSaveChain.then(writeSessionSnapshot);
+  return sessionSaveChain;
+}
+
+async function writeSessionSnapshot() {
+  try {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+
+    // Write to a temp file first so a crash mid-write never corrupts the snapshot
+    const tmpFile = `${SESSION_FILE}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(buildSessionSnapshot()));
+    await fs.rename(tmpFile, SESSION_FILE);
+
+    lastSessionSave = Date.now();
+    debugLog(`Session snapshot saved to ${SESSION_FILE}`);
+  } catch (error) {
+    console.error('❌ Failed to save session snapshot:', error.message);
+  }
+}
+
+async function loadSessionSnapshot() {
+  try {
+    const snapshot = JSON.parse(await fs.readFile(SESSION_FILE, 'utf8'));
+
+    if (!isValidSessionSnapshot(snapshot)) {
+      console.warn('⚠️  Ignoring session snapshot with unknown format');
+      return null;
+    }
+
+    if (snapshot.accountId !== ACCOUNT_ID) {
+      console.warn(`⚠️  Ignoring session snapshot for another account (${snapshot.accountId})`);
+      return null;
+    }
+
+    return snapshot;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Failed to load session snapshot:', error.message);
+    }
+    return null;
+  }
+}
+
+// Debounced save - called whenever runtime state changes
+function queueSessionSave() {
+  if (sessionSaveTimer) return;
+
+  sessionSaveTimer = setTimeout(() => {
+    sessionSaveTimer = null;
+    saveSessionSnapshot();
+  }, SESSION_SAVE_DEBOUNCE_MS);
+}
+
+function startSessionAutosave() {
+  if (sessionSnapshotTimer) {
+    clearInterval(sessionSnapshotTimer);
+  }
+
+  sessionSnapshotTimer = setInterval(saveSessionSnapshot, SESSION_SNAPSHOT_INTERVAL);
+}
+
+// Initialize: Load data from backend on startup
+async function initializeFromBackend() {
+  console.log('\n🔄 Initializing from backend...');
+
+  const [loadedGroups, loadedConfig, sessionSnapshot] = await Promise.all([
+    loadGiftGroupsFromBackend(),
+    loadConfigFromBackend(),
+    loadSessionSnapshot()
+  ]);
+
+  groups = loadedGroups;
+  cfg = loadedConfig;
+
+  initCounters();
+  syncRoomsFromConfig();
+
+  if (sessionSnapshot) {
+    applySessionSnapshot(sessionSnapshot);
+    console.log(`♻️  Restored session snapshot from ${sessionSnapshot.savedAt}`);
+  }
+
+  startSessionAutosave();
+  await Promise.all([loadWebhookState(), loadStreamSessions(), loadAuditLog(), loadTimerState(), loadOverlayLinks()]);
+
+  console.log('✅ Backend initialization complete');
+  console.log(`   - Groups: ${Object.keys(groups).length}`);
+  console.log(`   - Target: ${cfg.target}`);
+  console.log(`   - Rooms: ${[...rooms.keys()].map(u => `@${u}`).join(', ')}`);
+  console.log(`   - Restored session: ${sessionSnapshot ? `yes (${totalDiamonds} diamonds)` : 'no'}\n`);
+}
+
+// Call initialization
+await initializeFromBackend();
+
+/* ── Connection health monitoring ─────────────────── */
+const HEALTH_CHECK_INTERVAL = 30000; // 30 seconds
+const HEALTH_CHECK_TIMEOUT = 10000;   // 10 seconds
+
+function createConnectionHealth() {
+  return {
+    isHealthy: true,
+    lastHealthCheck: null,
+    lastSuccessfulCheck: null,
+    consecutiveFailures: 0,
+    totalChecks: 0,
+    totalFailures: 0,
+    uptime: 0,
+    lastActivity: null
+  };
+}
+
+function startHealthMonitoring(room) {
+  if (room.healthCheckTimer) {
+    clearInterval(room.healthCheckTimer);
+  }
+
+  const connectionHealth = room.health;
+  debugLog(`[@${room.username}] Starting connection health monitoring`);
+
+  room.healthCheckTimer = setInterval(async () => {
+    if (room.liveStatus !== 'ONLINE') {
+      debugLog(`[@${room.username}] Skipping health check - not online`);
+      return;
+    }
+
+    connectionHealth.totalChecks++;
+    connectionHealth.lastHealthCheck = Date.now();
+
+    debugLog(`[@${room.username}] Health check #${connectionHealth.totalChecks}`);
+
+    try {
+      // Check if we've received any activity recently
+      const timeSinceActivity = connectionHealth.lastActivity
+        ? Date.now() - connectionHealth.lastActivity
+        : null;
+
+      if (timeSinceActivity && timeSinceActivity > HEALTH_CHECK_TIMEOUT * 2) {
+        console.warn(`⚠️  [@${room.username}] No activity for ${Math.round(timeSinceActivity / 1000)}s - connection may be stale`);
+        connectionHealth.consecutiveFailures++;
+        connectionHealth.totalFailures++;
+        connectionHealth.isHealthy = false;
+
+        // If too many failures, drop the connection - reconnect automatically if enabled
+        if (connectionHealth.consecutiveFailures >= 3) {
+          console.error(`❌ [@${room.username}] Health check failed multiple times - disconnecting`);
+
+          if (getAutoReconnectSettings().enabled) {
+            logError('HEALTH', 'Connection health check failed - Reconnecting automatically', {
+              username: room.username,
+              consecutiveFailures: connectionHealth.consecutiveFailures,
+              timeSinceActivity
+            });
+            room.liveStatus = 'OFFLINE';
+            await teardownConnection(room);
+            scheduleReconnect(room);
+          } else {
+            logError('HEALTH', 'Connection health check failed - Manual reconnection required', {
+              username: room.username,
+              consecutiveFailures: connectionHealth.consecutiveFailures,
+              timeSinceActivity
+            });
+            await disconnectTikTok(room.username);
+            console.log('ℹ️  Please click Connect to reconnect');
+          }
+        }
+      } else {
+        connectionHealth.consecutiveFailures = 0;
+        connectionHealth.isHealthy = true;
+        connectionHealth.lastSuccessfulCheck = Date.now();
+        debugLog(`[@${room.username}] ✓ Health check passed`);
+      }
+
+      // Calculate uptime
+      if (connectionHealth.lastSuccessfulCheck) {
+        connectionHealth.uptime = Date.now() - diagnostics.startTime;
+      }
+    } catch (err) {
+      console.error('Health check error:', err.message);
+      connectionHealth.consecutiveFailures++;
+      connectionHealth.totalFailures++;
+      connectionHealth.isHealthy = false;
+    }
+
+    // Broadcast health status if debug mode
+    if (DEBUG_MODE) {
+      io.to(DASHBOARD_ROOM).emit('healthStatus', { username: room.username, ...connectionHealth });
+    }
+  }, HEALTH_CHECK_INTERVAL);
+}
+
+function stopHealthMonitoring(room) {
+  if (room.healthCheckTimer) {
+    clearInterval(room.healthCheckTimer);
+    room.healthCheckTimer = null;
+    debugLog(`[@${room.username}] Stopped connection health monitoring`);
+  }
+}
+
+function recordActivity(room) {
+  room.health.lastActivity = Date.now();
+  room.health.consecutiveFailures = 0;
+  room.health.isHealthy = true;
+}
+
+/* ── TikTok rooms (one connection per tracked username) ─────────── */
+// Each room owns its connector, status, viewer count, health monitor and
+// combo tracker. Groups count gifts from every room unless pinned to one
+// with `group.room`, so collab streams can share a single set of counters.
+function normalizeUsername(username) {
+  return String(username || '').trim().replace(/^@/, '').toLowerCase();
+}
+
+function createRoom(username) {
+  return {
+    username,
+    tiktok: null,                  // Connector (created on demand)
+    liveStatus: 'DISCONNECTED',    // DISCONNECTED | CONNECTING | ONLINE | RECONNECTING | WAITING_FOR_LIVE | OFFLINE
+    viewers: 0,
+    isManualDisconnect: false,     // Track if user manually disconnected
+    lastConnectionAttempt: 0,
+    reconnectAttempts: 0,
+    reconnectTimer: null,          // Pending backoff attempt
+    liveCheckTimer: null,          // "Wait for host to go live" polling
+    liveCheckInFlight: false,
+    healthCheckTimer: null,
+    health: createConnectionHealth(),
+    comboTracker: new Map(),
+    replay: null,                  // { id, file, speed, loop } while a recording drives this room
+    session: null,                 // Open stream session (see openStreamSession)
+    notifiedStatus: 'DISCONNECTED' // Last status sent to webhooks
+  };
+}
+
+function getRoom(username) {
+  return rooms.get(normalizeUsername(username));
+}
+
+function addRoom(username) {
+  const name = normalizeUsername(username);
+  if (!rooms.has(name)) {
+    rooms.set(name, createRoom(name));
+  }
+  return rooms.get(name);
+}
+
+// Env usernames are always tracked; rooms added from the dashboard live in cfg.rooms
+function syncRoomsFromConfig() {
+  const extraRooms = Array.isArray(cfg.rooms) ? cfg.rooms : [];
+  [...USERNAMES, ...extraRooms]
+    .map(normalizeUsername)
+    .filter(Boolean)
+    .forEach(addRoom);
+}
+
+function isFixedRoom(username) {
+  return USERNAMES.includes(normalizeUsername(username));
+}
+
+// Instance-wide status: the "most alive" status of any room
+function getLiveStatus() {
+  const statuses = [...rooms.values()].map(room => room.liveStatus);
+  return ['ONLINE', 'CONNECTING', 'RECONNECTING', 'WAITING_FOR_LIVE', 'OFFLINE']
+    .find(status => statuses.includes(status)) || 'DISCONNECTED';
+}
+
+function getTotalViewers() {
+  let total = 0;
+  rooms.forEach(room => { total += room.viewers; });
+  return total;
+}
+
+function buildRoomStats() {
+  return [...rooms.values()].map(room => ({
+    username: room.username,
+    liveStatus: room.liveStatus,
+    viewers: room.viewers,
+    isHealthy: room.health.isHealthy,
+    reconnectAttempts: room.reconnectAttempts,
+    fixed: isFixedRoom(room.username),
+    replay: buildReplayStats(room)
+  }));
+}
+
+function groupMatchesRoom(group, room) {
+  return !group.room || group.room === '*' || normalizeUsername(group.room) === room.username;
+}
+
+/* ── Opt-in auto-reconnect with backoff and live detection ─────────── */
+// Off by default: the streamer reconnects manually unless cfg.autoReconnect.enabled.
+// When on, a dropped connection is retried with exponential backoff; once the
+// attempt budget is spent (or the host ends the stream) we poll until the host
+// is live again and then connect.
+const DEFAULT_AUTO_RECONNECT = {
+  enabled: false,
+  maxAttempts: 5,
+  baseDelayMs: 5000,        // First retry delay, doubled on each attempt
+  maxDelayMs: 120000,       // Cap for a single backoff delay
+  waitForLive: true,        // Poll for the host going live once attempts run out
+  liveCheckIntervalMs: 60000
+};
+
+function getAutoReconnectSettings() {
+  const settings = { ...DEFAULT_AUTO_RECONNECT, ...(cfg.autoReconnect || {}) };
+
+  // Never retry faster than the connection rate limit allows
+  settings.baseDelayMs = Math.max(settings.baseDelayMs, MIN_CONNECTION_INTERVAL);
+  settings.maxDelayMs = Math.max(settings.maxDelayMs, settings.baseDelayMs);
+  settings.liveCheckIntervalMs = Math.max(settings.liveCheckIntervalMs, 15000);
+  return settings;
+}
+
+function clearReconnectTimers(room) {
+  if (room.reconnectTimer) {
+    clearTimeout(room.reconnectTimer);
+    room.reconnectTimer = null;
+  }
+  if (room.liveCheckTimer) {
+    clearInterval(room.liveCheckTimer);
+    room.liveCheckTimer = null;
+  }
+}
+
+// Instance-wide view for the dashboard's RECONNECTING indicator
+function buildReconnectStats() {
+  const settings = getAutoReconnectSettings();
+  const reconnecting = [...rooms.values()].filter(room => room.liveStatus === 'RECONNECTING');
+
+  return {
+    autoReconnect: settings.enabled,
+    isReconnecting: reconnecting.length > 0,
+    reconnectAttempts: Math.max(0, ...reconnecting.map(room => room.reconnectAttempts)),
+    maxReconnectAttempts: settings.maxAttempts
+  };
+}
+
+function cancelReconnect(room) {
+  clearReconnectTimers(room);
+  room.reconnectAttempts = 0;
+}
+
+// Returns true if a reconnect (or live wait) was scheduled
+function scheduleReconnect(room) {
+  const settings = getAutoReconnectSettings();
+  if (!settings.enabled || room.isManualDisconnect || room.replay) return false;
+
+  // Already scheduled - a concurrent failure path may have reset the status
+  if (room.reconnectTimer || room.liveCheckTimer) {
+    room.liveStatus = room.reconnectTimer ? 'RECONNECTING' : 'WAITING_FOR_LIVE';
+    return true;
+  }
+
+  if (room.reconnectAttempts >= settings.maxAttempts) {
+    if (settings.waitForLive) {
+      waitForLive(room);
+      return true;
+    }
+
+    logError('CONNECTION', `Auto-reconnect gave up on @${room.username} after ${room.reconnectAttempts} attempts - Manual reconnection required`);
+    room.reconnectAttempts = 0;
+    room.liveStatus = 'OFFLINE';
+    broadcast();
+    return false;
+  }
+
+  room.reconnectAttempts++;
+  const delay = Math.min(
+    settings.baseDelayMs * 2 ** (room.reconnectAttempts - 1),
+    settings.maxDelayMs
+  );
+
+  console.log(`🔄 [@${room.username}] Reconnecting in ${Math.round(delay / 1000)}s (attempt ${room.reconnectAttempts}/${settings.maxAttempts})`);
+  room.liveStatus = 'RECONNECTING';
+  broadcast();
+
+  room.reconnectTimer = setTimeout(() => {
+    room.reconnectTimer = null;
+    connectTikTok(room.username, { auto: true });
+  }, delay);
+  return true;
+}
+
+function waitForLive(room) {
+  const settings = getAutoReconnectSettings();
+  clearReconnectTimers(room);
+  room.reconnectAttempts = 0;
+
+  console.log(`⏳ [@${room.username}] Waiting for host to go live (checking every ${Math.round(settings.liveCheckIntervalMs / 1000)}s)`);
+  room.liveStatus = 'WAITING_FOR_LIVE';
+  broadcast();
+
+  room.liveCheckTimer = setInterval(async () => {
+    if (room.liveCheckInFlight) return;
+    room.liveCheckInFlight = true;
+
+    try {
+      const isLive = await new WebcastPushConnection(room.username).fetchIsLive();
+      debugLog(`[@${room.username}] Live check: ${isLive ? 'live' : 'offline'}`);
+
+      if (isLive && room.liveStatus === 'WAITING_FOR_LIVE') {
+        console.log(`🟢 @${room.username} is live - connecting`);
+        clearReconnectTimers(room);
+        await connectTikTok(room.username, { auto: true });
+      }
+    } catch (err) {
+      debugLog(`[@${room.username}] Live check failed: ${err.message}`);
+    } finally {
+      room.liveCheckInFlight = false;
+    }
+  }, settings.liveCheckIntervalMs);
+}
+
+/* ── Session journal (raw live events, one JSONL file per stream) ─────── */
+// Every event a room receives is appended to its journal so disputed totals
+// can be traced back to the exact events. A journal is tied to TikTok's
+// roomId, which changes per live stream: reconnecting to the same stream
+// keeps appending, a new stream rotates to a new file.
+const JOURNAL_DIR = path.join(DATA_DIR, 'journals');
+const MAX_JOURNAL_FILES = 100;
+const JOURNAL_FILE_PATTERN = /^[a-z0-9._]+-\d{8}T\d{6}Z\.jsonl$/;
+
+// e.g. "best_family05-20250101T180000Z.jsonl"
+function journalFileName(username, date) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return `${username}-${stamp}.jsonl`;
+}
+
+// Connector payloads may carry BigInt ids, which JSON.stringify rejects
+function journalReplacer(_, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+function journalEvent(room, type, data) {
+  const journal = room.journal;
+  if (!journal?.stream) return;
+
+  try {
+    journal.stream.write(JSON.stringify({
+      ts: Date.now(),
+      type,
+      room: room.username,
+      roomId: journal.roomId,
+      data
+    }, journalReplacer) + '\n');
+    journal.eventCount++;
+  } catch (err) {
+    debugLog(`[@${room.username}] Failed to journal ${type} event: ${err.message}`);
+  }
+}
+
+function openJournal(room, roomId) {
+  // Same live stream (e.g. after a reconnect) - keep appending to its journal
+  if (roomId && room.journal?.roomId === roomId) {
+    if (!room.journal.stream) {
+      room.journal.stream = createWriteStream(room.journal.file, { flags: 'a' });
+    }
+    journalEvent(room, 'reconnected', { connectedAt: new Date().toISOString() });
+    return;
+  }
+
+  closeJournal(room, 'rotated');
+
+  try {
+    mkdirSync(JOURNAL_DIR, { recursive: true });
+
+    const startedAt = new Date();
+    const id = journalFileName(room.username, startedAt);
+    const file = path.join(JOURNAL_DIR, id);
+
+    room.journal = {
+      id,
+      file,
+      roomId,
+      startedAt: startedAt.toISOString(),
+      eventCount: 0,
+      stream: createWriteStream(file, { flags: 'a' })
+    };
+    room.journal.stream.on('error', err => {
+      logError('JOURNAL', `Journal write failed for @${room.username}`, err.message);
+    });
+
+    journalEvent(room, 'session', {
+      accountId: ACCOUNT_ID,
+      username: room.username,
+      roomId,
+      startedAt: room.journal.startedAt
+    });
+    console.log(`📓 [@${room.username}] Journaling events to ${id}`);
+  } catch (err) {
+    logError('JOURNAL', `Could not open journal for @${room.username}`, err.message);
+    room.journal = null;
+  }
+
+  pruneJournals();
+}
+
+// `final` forgets the stream entirely (host ended it); otherwise a reconnect may resume it.
+// Resolves once buffered lines are flushed to disk.
+function closeJournal(room, reason, { final = false } = {}) {
+  const journal = room.journal;
+  if (!journal) return Promise.resolve();
+
+  const stream = journal.stream;
+  if (stream) {
+    journalEvent(room, 'closed', { reason, eventCount: journal.eventCount });
+    journal.stream = null;
+  }
+
+  if (final) {
+    room.journal = null;
+  }
+
+  return stream ? new Promise(resolve => stream.end(resolve)) : Promise.resolve();
+}
+
+async function listJournals() {
+  try {
+    const files = (await fs.readdir(JOURNAL_DIR)).filter(name => JOURNAL_FILE_PATTERN.test(name));
+    const journals = await Promise.all(files.map(async id => {
+      const stat = await fs.stat(path.join(JOURNAL_DIR, id));
+      return {
+        id,
+        username: id.slice(0, id.lastIndexOf('-')),
+        size: stat.size,
+        modifiedAt: stat.mtime.toISOString()
+      };
+    }));
+    return journals.sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+// Keep disk usage bounded - drop the oldest journals that aren't being written
+async function pruneJournals() {
+  try {
+    const active = new Set([...rooms.values()].map(room => room.journal?.id).filter(Boolean));
+    const stale = (await listJournals()).filter(j => !active.has(j.id)).slice(MAX_JOURNAL_FILES);
+
+    for (const journal of stale) {
+      await fs.unlink(path.join(JOURNAL_DIR, journal.id));
+      debugLog(`Pruned journal ${journal.id}`);
+    }
+  } catch (err) {
+    debugLog('Journal pruning failed:', err.message);
+  }
+}
+
+/* ── Replay source (recorded events instead of a live connection) ──── */
+// A replay connector stands in for WebcastPushConnection: it reads a JSONL
+// recording (a session journal, or a hand-made file in DATA_DIR/replays) and
+// emits the same events with the original spacing divided by `speed`, so the
+// whole gift pipeline can be rehearsed or re-run without going live.
+const REPLAY_DIR = path.join(DATA_DIR, 'replays');
+const REPLAY_FILE_PATTERN = /^[\w.-]+\.jsonl$/;
+const REPLAY_EVENT_TYPES = new Set(['gift', 'member', 'roomUser', 'like', 'chat', 'follow', 'share', 'subscribe']);
+const MAX_REPLAY_SPEED = 100;
+
+// Journals first, then the replays folder. Returns null if the name is unusable.
+async function resolveReplayFile(id) {
+  if (typeof id !== 'string' || !REPLAY_FILE_PATTERN.test(id)) return null;
+
+  for (const dir of [JOURNAL_DIR, REPLAY_DIR]) {
+    const file = path.join(dir, id);
+    try {
+      await fs.access(file);
+      return file;
+    } catch {
+      // Try the next folder
+    }
+  }
+  return null;
+}
+
+async function listReplayFiles() {
+  let extra = [];
+  try {
+    const files = (await fs.readdir(REPLAY_DIR)).filter(name => REPLAY_FILE_PATTERN.test(name));
+    extra = await Promise.all(files.map(async id => {
+      const stat = await fs.stat(path.join(REPLAY_DIR, id));
+      return { id, source: 'replays', size: stat.size, modifiedAt: stat.mtime.toISOString() };
+    }));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  const journals = (await listJournals()).map(j => ({
+    id: j.id,
+    source: 'journals',
+    size: j.size,
+    modifiedAt: j.modifiedAt
+  }));
+  return [...journals, ...extra];
+}
+
+function parseReplayLines(raw) {
+  const events = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (REPLAY_EVENT_TYPES.has(entry.type) && entry.data) {
+        events.push({ ts: Number(entry.ts) || null, type: entry.type, data: entry.data });
+      }
+    } catch {
+      // Skip malformed lines (e.g. a journal cut off mid-write)
+    }
+  }
+  return events;
+}
+
+function createReplayConnection(replay) {
+  const connection = new EventEmitter();
+  let events = [];
+  let index = 0;
+  let timer = null;
+
+  const emitNext = () => {
+    timer = null;
+    if (index >= events.length) {
+      if (replay.loop && events.length > 0) {
+        index = 0;
+        debugLog(`Replay ${replay.id} looping`);
+      } else {
+        connection.isConnected = false;
+        connection.emit('streamEnd', { action: 'replayFinished' });
+        return;
+      }
+    }
+
+    const event = events[index++];
+    connection.emit(event.type, event.data);
+
+    const next = events[index];
+    const gap = next?.ts && event.ts ? Math.max(0, next.ts - event.ts) : 0;
+    timer = setTimeout(emitNext, gap / replay.speed);
+  };
+
+  return Object.assign(connection, {
+    isReplay: true,
+    isConnected: false,
+    roomId: `replay:${replay.id}`,
+
+    async connect() {
+      events = parseReplayLines(await fs.readFile(replay.file, 'utf8'));
+      if (events.length === 0) {
+        throw new Error(`Replay ${replay.id} contains no replayable events`);
+      }
+
+      console.log(`⏯️  Replaying ${events.length} events from ${replay.id} at ${replay.speed}x`);
+      connection.isConnected = true;
+      connection.emit('connected', { roomId: connection.roomId });
+      timer = setTimeout(emitNext, 0);
+      return { roomId: connection.roomId };
+    },
+
+    async disconnect() {
+      clearTimeout(timer);
+      timer = null;
+      if (connection.isConnected) {
+        connection.isConnected = false;
+        connection.emit('disconnected');
+      }
+    },
+
+    progress() {
+      return { position: index, total: events.length };
+    },
+
+    // Replays bring their own gifts - they're added to the catalog as they're counted
+    async fetchAvailableGifts() {
+      return [];
+    }
+  });
+}
+
+function createConnector(room) {
+  if (room.replay) return createReplayConnection(room.replay);
+
+  return new WebcastPushConnection(room.username, {
+    enableExtendedGiftInfo: true,
+    processInitialData: false,        // Skip old messages
+    fetchRoomInfoOnConnect: true,     // Get room data on connect
+    requestPollingIntervalMs: 1000    // Faster updates (1 second)
+    // signServerUrl is configured globally via SignConfig
+  });
+}
+
+function buildReplayStats(room) {
+  if (!room.replay) return null;
+  return {
+    id: room.replay.id,
+    speed: room.replay.speed,
+    loop: room.replay.loop,
+    ...(room.tiktok?.isReplay ? room.tiktok.progress() : { position: 0, total: 0 })
+  };
+}
+
+/* ── Gift combo tracking system ─────────────────────────────────── */
+function trackGiftCombo(room, userId, giftId, data) {
+  const giftComboTracker = room.comboTracker;
+  const key = `${userId}_${giftId}`;
+
+  // Clear existing timeout if any
+  if (giftComboTracker.has(key)) {
+    const existing = giftComboTracker.get(key);
+    clearTimeout(existing.timeout);
+  }
+
+  // Use configurable timeout (fallback to 5000ms if not set)
+  const timeoutDuration = cfg.comboTimeout || 5000;
+
+  // Clone the current repeatCount to avoid closure issues
+  const currentRepeatCount = data.repeatCount;
+  const giftName = data.giftName;
+
+  // Create timeout fallback to count gifts even if repeatEnd never comes
+  const timeout = setTimeout(() => {
+    const tracker = giftComboTracker.get(key);
+
+    // Only process if this combo hasn't been counted yet
+    if (tracker && !tracker.counted) {
+      console.log(`⚠️  Combo timeout (${timeoutDuration}ms) for gift ${giftName} - counting ${currentRepeatCount} gifts`);
+      diagnostics.totalComboTimeouts++;
+
+      // Mark as counted BEFORE processing to prevent race conditions
+      tracker.counted = true;
+      processGiftCount(data, currentRepeatCount, room, 'comboTimeout');
+      giftComboTracker.delete(key);
+    }
+  }, timeoutDuration);
+
+  giftComboTracker.set(key, {
+    data,
+    timeout,
+    lastUpdate: Date.now(),
+    counted: false  // Flag to track if gifts have been counted
+  });
+}
+
+function clearComboTrackers(room) {
+  room.comboTracker.forEach((combo) => {
+    clearTimeout(combo.timeout);
+  });
+  room.comboTracker.clear();
+}
+
+// countedVia records which path counted the gift (see recordLedgerEntry)
+function processGiftCount(data, delta, room, countedVia) {
+  if (delta <= 0) return;
+
+  const startTime = Date.now();
+
+  // Reduce logging frequency to prevent CPU spikes (only log every 5th gift in production)
+  if (DEBUG_MODE || diagnostics.totalGiftsProcessed % 5 === 0) {
+    console.log(`🎁 [@${room.username}] Processing ${delta}x ${data.giftName} (${delta * data.diamondCount} diamonds)`);
+  }
+
+  // Track diagnostics
+  diagnostics.totalGiftsProcessed += delta;
+  diagnostics.lastGiftTime = Date.now();
+  recordActivity(room);
+
+  /* Global totals */
+  totalGifts += delta;
+  totalDiamonds += data.diamondCount * delta;
+
+  /* Add unseen gift to catalog */
+  if (!giftCatalog.find(g => g.id === data.giftId)) {
+    giftCatalog.push({
+      id: data.giftId,
+      name: data.giftName,
+      diamondCost: data.diamondCount,
+      iconUrl: data.giftPictureUrl || null
+    });
+    io.to(DASHBOARD_ROOM).emit('giftCatalog', giftCatalog);
+  }
+
+  /* Per-group totals - every matching group counts the gift */
+  const gids = getGiftGroups(data, room);
+  const scored = {};   // gid -> points the gift earned there
+  for (const gid of gids) {
+    scored[gid] = getGiftPoints(gid, data, delta);
+    counters[gid].count += delta;
+    counters[gid].diamonds += data.diamondCount * delta;
+    counters[gid].points += scored[gid];
+    checkMilestones(gid, room);
+  }
+  recordGifter(data, gids, delta);
+  recordSessionGift(room, data, scored, delta);
+  recordLedgerEntry(room, data, scored, delta, countedVia);
+  recordPollGift(room, data, data.diamondCount * delta);
+  recordTimerGift(data, delta);
+
+  // groupId/groupName/points/groupDiamonds/groupPoints describe the first matching group, for
+  // receivers written before a gift could count into several
+  const [gid] = gids;
+  emitWebhookEvent('gift.counted', {
+    room: room.username,
+    groupId: gid || null,
+    groupName: gid ? groups[gid].name : null,
+    giftId: data.giftId,
+    giftName: data.giftName,
+    count: delta,
+    diamonds: data.diamondCount * delta,
+    points: gid ? scored[gid] : null,
+    sender: { userId: data.userId, uniqueId: data.uniqueId, nickname: data.nickname },
+    groupDiamonds: gid ? counters[gid].diamonds : null,
+    groupPoints: gid ? counters[gid].points : null,
+    groups: gids.map(id => ({
+      groupId: id,
+      groupName: groups[id].name,
+      points: scored[id],
+      groupDiamonds: counters[id].diamonds,
+      groupPoints: counters[id].points
+    })),
+    totalDiamonds
+  });
+
+  /* Broadcast updated payload (debounced) */
+  debouncedBroadcast();
+
+  // Track processing time
+  const processingTime = Date.now() - startTime;
+  diagnostics.performanceMetrics.avgGiftProcessingTime =
+    Math.round((diagnostics.performanceMetrics.avgGiftProcessingTime + processingTime) / 2);
+
+  debugLog(`Gift processed in ${processingTime}ms`);
+}
+
+// Likes, follows, shares and subscriptions: add to the instance total and to
+// every group of that source in the room - unlike gifts, no group owns them
+function processEngagement(room, source, amount) {
+  if (!(amount > 0)) return;
+
+  engagementTotals[source] += amount;
+  for (const gid of Object.keys(groups)) {
+    if (getGroupSource(gid) !== source || !groupMatchesRoom(groups[gid], room)) continue;
+    counters[gid].count += amount;
+    checkMilestones(gid, room);
+  }
+  recordSessionEngagement(room, source, amount);
+
+  debouncedBroadcast();
+}
+
+/* ── Connection rate limiting to prevent CPU spikes ─────────────────── */
+const MIN_CONNECTION_INTERVAL = 5000; // Minimum 5 seconds between connection attempts (per room)
+
+// `auto` marks attempts made by the reconnect scheduler rather than the user
+async function connectTikTok(username = USERNAME, { auto = false } = {}) {
+  const room = getRoom(username);
+  if (!room) {
+    console.log(`⚠️  Unknown room @${username}`);
+    return;
+  }
+
+  // Rate limit connection attempts to prevent CPU spikes
+  const now = Date.now();
+  const timeSinceLastAttempt = now - room.lastConnectionAttempt;
+
+  if (timeSinceLastAttempt < MIN_CONNECTION_INTERVAL) {
+    const waitTime = MIN_CONNECTION_INTERVAL - timeSinceLastAttempt;
+    console.log(`⏱️  Rate limit: Please wait ${Math.ceil(waitTime / 1000)}s before reconnecting @${room.username}`);
+    return;
+  }
+
+  // Prevent connecting if already connecting or connected
+  if (room.liveStatus === 'CONNECTING' || room.liveStatus === 'ONLINE') {
+    console.log(`⚠️  @${room.username} already connecting or connected`);
+    return;
+  }
+
+  // A manual connect takes over from any pending automatic attempt
+  if (!auto) {
+    cancelReconnect(room);
+  }
+
+  // Reset manual disconnect flag - user is manually connecting
+  room.isManualDisconnect = false;
+  room.lastConnectionAttempt = now;
+
+  room.liveStatus = 'CONNECTING';
+  broadcast();
+
+  try {
+    console.log(room.replay
+      ? `🔗 Starting replay of ${room.replay.id} into @${room.username}...`
+      : `🔗 Connecting to @${room.username}'s TikTok Live...`);
+
+    const tiktok = createConnector(room);
+    room.tiktok = tiktok;
+
+    // Events from a connector we've already torn down are ignored
+    const isCurrent = () => room.tiktok === tiktok;
+
+    /* ── IMPROVED: Gift event handler with combo tracking ── */
+    tiktok.on('gift', data => {
+      trackEvent('gift');
+      if (!isCurrent()) return;
+      journalEvent(room, 'gift', data);
+      recordActivity(room);
+      io.to(DASHBOARD_ROOM).to(GIFT_ALERT_ROOM).emit('giftStream', { ...data, roomUsername: room.username });  // Echo raw event to the UI and alert overlays
+
+      const giftComboTracker = room.comboTracker;
+      const userId = data.userId || data.uniqueId || 'unknown';
+      const key = `${userId}_${data.giftId}`;
+
+      /* Single-path gift counting logic - prevents double counting */
+      if (data.giftType === 1) {
+        // Streak-capable gifts (roses, etc.)
+        if (data.repeatEnd) {
+          // Combo finished - this is the ONLY place we count combo gifts
+          debugLog(`✅ Combo ended: ${data.giftName} x${data.repeatCount}`);
+
+          // Check if we have a pending combo tracker
+          if (giftComboTracker.has(key)) {
+            const tracker = giftComboTracker.get(key);
+
+            // Only count if not already counted (prevents race condition)
+            if (!tracker.counted) {
+              // Mark as counted FIRST to prevent timeout from also counting
+              tracker.counted = true;
+
+              // Clear the timeout
+              clearTimeout(tracker.timeout);
+
+              // Count the gifts
+              processGiftCount(data, data.repeatCount, room, 'repeatEnd');
+
+              // Clean up tracker
+              giftComboTracker.delete(key);
+            } else {
+              // Already counted by timeout - just clean up
+              debugLog(`⚠️  Combo already counted by timeout for ${data.giftName}`);
+              clearTimeout(tracker.timeout);
+              giftComboTracker.delete(key);
+            }
+          } else {
+            // No tracker found - might be first event with repeatEnd or very fast combo
+            // Count it directly
+            debugLog(`💫 Direct combo completion (no tracker): ${data.giftName} x${data.repeatCount}`);
+            processGiftCount(data, data.repeatCount, room, 'repeatEnd');
+          }
+        } else {
+          // Combo in progress - track it with timeout fallback
+          debugLog(`🔄 Combo in progress: ${data.giftName} x${data.repeatCount}`);
+          trackGiftCombo(room, userId, data.giftId, data);
+        }
+      } else {
+        // Non-streak gifts (giftType !== 1) - count immediately
+        const delta = data.repeatCount || 1;
+        debugLog(`💎 Non-combo gift: ${data.giftName} x${delta}`);
+        processGiftCount(data, delta, room, 'single');
+      }
+    });
+
+    /* ── Connection Events - reconnect only if enabled ── */
+    tiktok.on('connected', () => {
+      trackEvent('connected');
+      if (!isCurrent()) return;
+      console.log(`✅ Successfully connected to @${room.username}'s TikTok Live`);
+      room.liveStatus = 'ONLINE';
+      recordActivity(room);
+
+      // A replay isn't journaled again, and can't go stale the way a live socket can
+      if (!tiktok.isReplay) {
+        openJournal(room, tiktok.roomId || null);
+        openStreamSession(room, tiktok.roomId || null);
+        startHealthMonitoring(room);
+      }
+      broadcast();
+    });
+
+    tiktok.on('disconnected', () => {
+      trackEvent('disconnected');
+      if (!isCurrent()) return;
+
+      const autoReconnect = getAutoReconnectSettings().enabled && !room.isManualDisconnect;
+      console.log(`⚠️  Disconnected from @${room.username}'s TikTok Live`);
+      logError('CONNECTION', `Disconnected from @${room.username} - ${autoReconnect ? 'Reconnecting automatically' : 'Manual reconnection required'}`);
+      diagnostics.totalErrors++;
+
+      // Stop health monitoring
+      stopHealthMonitoring(room);
+
+      // Clear all pending combo timeouts
+      clearComboTrackers(room);
+      closeJournal(room, 'disconnected');
+      room.tiktok = null;
+
+      // Set status to OFFLINE and either retry or wait for user to reconnect
+      room.liveStatus = 'OFFLINE';
+      if (!scheduleReconnect(room)) {
+        broadcast();
+        console.log('ℹ️  Please click Connect to reconnect when stream is live');
+      }
+    });
+
+    tiktok.on('error', async (err) => {
+      trackEvent('error');
+      if (!isCurrent()) return;
+
+      const errorMsg = err.message || err.toString();
+      console.error(`❌ [@${room.username}] TikTok connection error:`, errorMsg);
+
+      // Log additional error details for debugging
+      if (err.statusCode) console.error(`   Status Code: ${err.statusCode}`);
+      if (err.info) console.error(`   Info:`, err.info);
+
+      diagnostics.totalErrors++;
+
+      if (getAutoReconnectSettings().enabled && !room.isManualDisconnect) {
+        logError('CONNECTION', `Connection error on @${room.username} - Reconnecting automatically`, errorMsg);
+
+        // A failing connect() is retried from its own catch block
+        if (room.liveStatus !== 'ONLINE') return;
+
+        room.liveStatus = 'OFFLINE';
+        await teardownConnection(room);
+        scheduleReconnect(room);
+        return;
+      }
+
+      logError('CONNECTION', `Connection error on @${room.username} - Manual reconnection required`, errorMsg);
+
+      // Set status to OFFLINE and wait for user to reconnect
+      room.liveStatus = 'OFFLINE';
+      broadcast();
+      console.log('ℹ️  Connection error - Please click Connect to try again');
+    });
+
+    tiktok.on('streamEnd', async () => {
+      trackEvent('streamEnd');
+      if (!isCurrent()) return;
+
+      // A finished replay hands the room back to the live connector
+      if (room.replay) {
+        console.log(`⏹️  Replay of ${room.replay.id} finished for @${room.username}`);
+        await teardownConnection(room);
+        room.replay = null;
+        room.liveStatus = 'DISCONNECTED';
+        broadcast();
+        return;
+      }
+
+      console.log(`📴 Stream ended by host @${room.username}`);
+      const session = closeStreamSession(room, 'streamEnd');
+      emitWebhookEvent('stream.ended', {
+        room: room.username,
+        roomId: tiktok.roomId || null,
+        endedAt: new Date().toISOString(),
+        totalGifts,
+        totalDiamonds,
+        counters,
+        session: session ? summarizeStreamSession(session) : null
+      });
+      logError('STREAM', `Stream ended by host @${room.username}`, { endTime: new Date().toISOString() });
+
+      // Stop health monitoring, clear pending combos and disconnect the session
+      closeJournal(room, 'streamEnd', { final: true });
+      await teardownConnection(room);
+
+      room.liveStatus = 'OFFLINE';
+
+      // Host ended on purpose - backoff is pointless, wait for the next stream instead
+      const settings = getAutoReconnectSettings();
+      if (settings.enabled && settings.waitForLive && !room.isManualDisconnect) {
+        waitForLive(room);
+        return;
+      }
+
+      broadcast();
+      console.log('ℹ️  Stream offline - Click Connect when stream is live again');
+    });
+
+    /* ── NEW: Member join event for unique visitors ── */
+    tiktok.on('member', (data) => {
+      trackEvent('member');
+      if (!isCurrent()) return;
+      journalEvent(room, 'member', data);
+      recordActivity(room);
+      if (data.uniqueId) {
+        uniques.add(data.uniqueId);
+        recordSessionJoin(room, data.uniqueId);
+        console.log(`👋 [@${room.username}] New member joined: ${data.uniqueId} (Total unique: ${uniques.size})`);
+        debouncedBroadcast();
+      }
+    });
+
+    /* ── NEW: Viewer count tracking ── */
+    tiktok.on('roomUser', (data) => {
+      trackEvent('roomUser');
+      if (!isCurrent()) return;
+      journalEvent(room, 'roomUser', data);
+      recordActivity(room);
+      if (data.viewerCount !== undefined) {
+        room.viewers = data.viewerCount;
+        recordSessionViewers(room, data.viewerCount);
+        console.log(`👀 [@${room.username}] Viewer count updated: ${room.viewers}`);
+        debouncedBroadcast();
+      }
+    });
+
+    /* ── Likes, follows, shares and subscriptions count into groups with that source ── */
+    tiktok.on('like', (data) => {
+      trackEvent('like');
+      if (!isCurrent()) return;
+      journalEvent(room, 'like', data);
+      recordActivity(room);
+      debugLog(`❤️  ${data.uniqueId || 'Someone'} sent ${data.likeCount || 1} likes`);
+      processEngagement(room, 'likes', Number(data.likeCount) || 1);
+    });
+
+    tiktok.on('follow', (data) => {
+      trackEvent('follow');
+      if (!isCurrent()) return;
+      journalEvent(room, 'follow', data);
+      recordActivity(room);
+      debugLog(`➕ ${data.uniqueId || 'Someone'} followed @${room.username}`);
+      processEngagement(room, 'follows', 1);
+    });
+
+    tiktok.on('share', (data) => {
+      trackEvent('share');
+      if (!isCurrent()) return;
+      journalEvent(room, 'share', data);
+      recordActivity(room);
+      debugLog(`🔗 ${data.uniqueId || 'Someone'} shared @${room.username}'s stream`);
+      processEngagement(room, 'shares', 1);
+    });
+
+    tiktok.on('subscribe', (data) => {
+      trackEvent('subscribe');
+      if (!isCurrent()) return;
+      journalEvent(room, 'subscribe', data);
+      recordActivity(room);
+      console.log(`⭐ [@${room.username}] ${data.uniqueId || 'Someone'} subscribed`);
+      processEngagement(room, 'subscriptions', 1);
+    });
+
+    /* ── NEW: Chat event tracking (optional, for monitoring) ── */
+    tiktok.on('chat', (data) => {
+      trackEvent('chat');
+      if (!isCurrent()) return;
+      journalEvent(room, 'chat', data);
+      recordActivity(room);
+      debugLog(`💬 ${data.uniqueId}: ${data.comment}`);
+      processChatVote(room, data);
+    });
+
+    await tiktok.connect();              // may throw if stream offline
+    room.liveStatus = 'ONLINE';
+
+    if (auto) {
+      diagnostics.totalReconnections++;
+      console.log(`✅ [@${room.username}] Reconnected automatically`);
+    }
+    cancelReconnect(room);
+
+    /* ── Fetch full gift catalogue after successful connect ── */
+    // Merge with what we already know - other rooms may have contributed gifts
+    const fetched = (await tiktok.fetchAvailableGifts().catch(() => []))
+      .map(g => ({
+        id: g.id,
+        name: g.name,
+        diamondCost: g.diamondCost,
+        iconUrl: g.image?.url_list?.[0] || null
+      }));
+    const fetchedIds = new Set(fetched.map(g => g.id));
+    giftCatalog = [...fetched, ...giftCatalog.filter(g => !fetchedIds.has(g.id))];
+    io.to(DASHBOARD_ROOM).emit('giftCatalog', giftCatalog); // send to all dashboards
+  } catch (err) {
+    const errorMsg = err.message || err.toString();
+    console.error(`❌ [@${room.username}] Connect failed:`, errorMsg);
+
+    // Log additional error details for debugging sign server issues
+    if (err.statusCode) console.error(`   Status Code: ${err.statusCode}`);
+    if (err.info) console.error(`   Error Info:`, JSON.stringify(err.info, null, 2));
+    if (err.stack) console.error(`   Stack:`, err.stack.split('\n').slice(0, 3).join('\n'));
+
+    // Drop the failed connector so its late events are ignored
+    if (room.tiktok) {
+      room.tiktok.disconnect().catch(() => {});
+      room.tiktok = null;
+    }
+
+    room.liveStatus = 'OFFLINE';
+    if (getAutoReconnectSettings().enabled && !room.isManualDisconnect) {
+      logError('CONNECTION', `Connection to @${room.username} failed - Retrying automatically`, errorMsg);
+      if (scheduleReconnect(room)) return;
+    } else {
+      logError('CONNECTION', `Initial connection to @${room.username} failed - Manual retry required`, errorMsg);
+      console.log('ℹ️  Connection failed - Please click Connect to try again');
+    }
+  }
+  broadcast();
+}
+
+// Close the current connector without touching liveStatus or reconnect state
+async function teardownConnection(room) {
+  stopHealthMonitoring(room);
+  clearComboTrackers(room);
+  closeJournal(room, 'teardown');
+
+  const tiktok = room.tiktok;
+  room.tiktok = null;   // Detach first so its late events are ignored
+  if (tiktok) {
+    try {
+      await tiktok.disconnect();
+    } catch (err) {
+      console.error(`[@${room.username}] Error while closing connection:`, err.message);
+    }
+  }
+}
+
+async function disconnectTikTok(username = USERNAME) {
+  const room = getRoom(username);
+  if (!room) return;
+
+  console.log(`🔌 Manual disconnect requested for @${room.username}...`);
+
+  // Mark as manual disconnect and stop any automatic reconnection
+  room.isManualDisconnect = true;
+  cancelReconnect(room);
+  room.replay = null;   // Stopping a replay returns the room to live mode
+
+  const tiktok = room.tiktok;
+  room.tiktok = null;
+  if (tiktok) {
+    try {
+      await tiktok.disconnect();
+    } catch (err) {
+      console.error('Error during disconnect:', err.message);
+      logError('DISCONNECT', 'Error during manual disconnect', err.message);
+    }
+  }
+
+  stopHealthMonitoring(room);
+  closeJournal(room, 'manualDisconnect');
+
+  // Clear all pending combo timeouts
+  clearComboTrackers(room);
+  console.log('✅ Cleared all pending gift combos');
+
+  room.liveStatus = 'DISCONNECTED';
+  broadcast();
+  console.log(`📡 Disconnected @${room.username} successfully`);
+}
+
+// Connect / disconnect every tracked room (dashboard's main buttons)
+async function connectAllRooms() {
+  await Promise.all([...rooms.keys()].map(username => connectTikTok(username)));
+}
+
+async function disconnectAllRooms() {
+  await Promise.all([...rooms.keys()].map(username => disconnectTikTok(username)));
+}
+
+/* ── Express, static, auth, overlay public -------------------------- */
+const app = express();
+const http = createServer(app);
+const io = new Server(http, { cors: { origin: '*' } });
+
+app.use(cors());
+app.use(express.json());
+
+const pub = path.join(__dirname, '..', 'public');
+
+// Public routes (no auth required)
+app.use('/overlay.html', express.static(path.join(pub, 'overlay.html')));
+app.use('/overlay.js', express.static(path.join(pub, 'overlay.js')));
+app.use('/styles.css', express.static(path.join(pub, 'styles.css')));
+
+// Public routes - serve static files
+app.use(express.static(pub));
+
+// Root route - redirects to login or dashboard based on session
+app.get('/', (_, res) => res.sendFile(path.join(pub, 'index.html')));
+
+// Explicit routes for better control
+app.get('/login', (_, res) => res.sendFile(path.join(pub, 'login.html')));
+app.get('/dashboard', (_, res) => res.sendFile(path.join(pub, 'dashboard.html')));
+app.get('/unauthorized', (_, res) => res.sendFile(path.join(pub, 'unauthorized.html')));
+
+/* ── API routes ───────────────────────────────────────────────────── */
+
+/* ── API key authentication ───────────────────────────────────────── */
+const SESSION_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour - dashboard re-validates on expiry
+const DASHBOARD_ROOM = 'dashboard';
+const OVERLAY_ROOM = 'overlays';              // Overlays that see the whole instance
+const sessionTokens = new Map();             // token -> expiresAt
+
+// Constant-time comparison so the key can't be recovered through response timing
+function isValidApiKey(candidate) {
+  if (typeof candidate !== 'string' || !candidate) return false;
+  const a = crypto.createHash('sha256').update(candidate).digest();
+  const b = crypto.createHash('sha256').update(API_KEY).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function issueSessionToken() {
+  const now = Date.now();
+
+  // Drop expired tokens while we're here
+  for (const [token, expiresAt] of sessionTokens) {
+    if (expiresAt <= now) sessionTokens.delete(token);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = now + SESSION_TOKEN_TTL_MS;
+  sessionTokens.set(token, expiresAt);
+  return { token, expiresAt };
+}
+
+function isValidSessionToken(token) {
+  if (typeof token !== 'string' || !token) return false;
+
+  const expiresAt = sessionTokens.get(token);
+  if (!expiresAt) return false;
+  if (expiresAt <= Date.now()) {
+    sessionTokens.delete(token);
+    return false;
+  }
+  return true;
+}
+
+// Accepts either the instance API key or a session token issued by /api/validate
+function isAuthorized({ apiKey, token }) {
+  return isValidApiKey(apiKey) || isValidSessionToken(token);
+}
+
+function getRequestCredentials(req) {
+  const authHeader = req.get('Authorization') || '';
+  return {
+    apiKey: req.get('X-API-Key'),
+    token: authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null
+  };
+}
+
+function requireAuth(req, res, next) {
+  if (isAuthorized(getRequestCredentials(req))) return next();
+
+  debugLog(`Rejected unauthenticated request: ${req.method} ${req.path}`);
+  res.status(401).json({
+    success: false,
+    error: 'Authentication required'
+  });
+}
+
+// Overlay reads: open unless overlay links are required, then they need the
+// API key, a session or a link (?token=). A group link only reads its group.
+function requireOverlayAccess(req, res, next) {
+  if (!overlayLinks.required || isAuthorized(getRequestCredentials(req))) return next();
+
+  const link = verifyOverlayToken(req.query.token);
+  if (!link) {
+    return res.status(401).json({
+      success: false,
+      error: 'Overlay link required'
+    });
+  }
+  req.overlayGroupId = link.groupId;
+  next();
+}
+
+// API Key validation endpoint (public - no auth required)
+app.post('/api/validate', (req, res) => {
+  const { apiKey } = req.body;
+
+  if (!apiKey) {
+    return res.status(400).json({
+      success: false,
+      error: 'API Key is required'
+    });
+  }
+
+  // Validate against server's API Key
+  if (isValidApiKey(apiKey)) {
+    const { token, expiresAt } = issueSessionToken();
+    return res.json({
+      success: true,
+      accountId: ACCOUNT_ID,
+      tiktokUsername: USERNAME,
+      tiktokUsernames: [...rooms.keys()],
+      token,
+      expiresAt: new Date(expiresAt).toISOString()
+    });
+  }
+
+  return res.status(401).json({
+    success: false,
+    error: 'Invalid API Key'
+  });
+});
+
+/* ── API endpoint rate limiting ─────────────────────────────────── */
+const apiRateLimits = new Map();
+const API_RATE_LIMIT_MS = 1000; // 1 second between requests per endpoint
+
+function checkApiRateLimit(endpoint, res) {
+  const now = Date.now();
+  const lastCall = apiRateLimits.get(endpoint) || 0;
+
+  if (now - lastCall < API_RATE_LIMIT_MS) {
+    res.status(429).json({
+      ok: false,
+      error: 'Too many requests. Please wait a moment.',
+      retryAfter: Math.ceil((API_RATE_LIMIT_MS - (now - lastCall)) / 1000)
+    });
+    return false;
+  }
+
+  apiRateLimits.set(endpoint, now);
+  return true;
+}
+
+// Protected routes - require API key or session token, with rate limiting
+// Optional { room } targets a single username; otherwise every room is affected
+app.post('/api/connect', requireAuth, async (req, res) => {
+  const room = req.body?.room;
+  if (room && !getRoom(room)) return res.status(404).json({ error: 'room not found' });
+  if (!checkApiRateLimit(`connect:${room || '*'}`, res)) return;
+
+  await (room ? connectTikTok(room) : connectAllRooms());
+  res.json({ ok: true });
+});
+
+app.post('/api/disconnect', requireAuth, async (req, res) => {
+  const room = req.body?.room;
+  if (room && !getRoom(room)) return res.status(404).json({ error: 'room not found' });
+  if (!checkApiRateLimit(`disconnect:${room || '*'}`, res)) return;
+
+  await (room ? disconnectTikTok(room) : disconnectAllRooms());
+  res.json({ ok: true });
+});
+
+/* ── Session journals ────────────────────────────────────────────── */
+app.get('/api/journals', requireAuth, async (_, res) => {
+  try {
+    const active = new Map([...rooms.values()]
+      .filter(room => room.journal?.stream)
+      .map(room => [room.journal.id, room.journal]));
+
+    const journals = (await listJournals()).map(journal => ({
+      ...journal,
+      active: active.has(journal.id),
+      roomId: active.get(journal.id)?.roomId || null,
+      eventCount: active.get(journal.id)?.eventCount ?? null
+    }));
+    res.json({ journals, count: journals.length });
+  } catch (error) {
+    console.error('Error listing journals:', error);
+    res.status(500).json({ error: 'Failed to list journals' });
+  }
+});
+
+app.get('/api/journals/:id', requireAuth, (req, res) => {
+  const { id } = req.params;
+  if (!JOURNAL_FILE_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'invalid journal id' });
+  }
+
+  res.download(path.join(JOURNAL_DIR, id), id, err => {
+    if (err && !res.headersSent) {
+      res.status(err.code === 'ENOENT' ? 404 : 500).json({ error: 'journal not found' });
+    }
+  });
+});
+
+/* ── Stream session history ──────────────────────────────────────── */
+app.get('/api/sessions', requireAuth, (req, res) => {
+  const from = req.query.from ? Date.parse(req.query.from) : null;
+  const to = req.query.to ? Date.parse(req.query.to) : null;
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: 'from and to must be dates' });
+  }
+
+  const room = req.query.room ? normalizeUsername(req.query.room) : null;
+  const limit = Math.min(MAX_STREAM_SESSIONS, Math.max(1, parseInt(req.query.limit) || 50));
+  const sessions = streamSessions.filter(record =>
+    (!room || record.room === room) &&
+    (from === null || Date.parse(record.startedAt) >= from) &&
+    (to === null || Date.parse(record.startedAt) <= to)
+  );
+
+  res.json({
+    active: listActiveStreamSessions().map(summarizeStreamSession),
+    sessions: sessions.slice(0, limit).map(summarizeStreamSession),
+    total: sessions.length
+  });
+});
+
+app.get('/api/sessions/:id', requireAuth, (req, res) => {
+  const session = streamSessions.find(record => record.id === req.params.id) ||
+    listActiveStreamSessions().find(record => record.id === req.params.id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  res.json(session);
+});
+
+/* ── Gift ledger export ──────────────────────────────────────────── */
+// ?session=<id> exports one stream; otherwise ?from/&to (default: the last 24 hours)
+app.get('/api/ledger', requireAuth, async (req, res) => {
+  const format = req.query.format || 'json';
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'format must be json or csv' });
+  }
+
+  const sessionId = req.query.session || null;
+  let from, to;
+  if (sessionId) {
+    const session = streamSessions.find(record => record.id === sessionId) ||
+      listActiveStreamSessions().find(record => record.id === sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    from = Date.parse(session.startedAt);
+    to = session.endedAt ? Date.parse(session.endedAt) : Date.now();
+  } else {
+    to = req.query.to ? Date.parse(req.query.to) : Date.now();
+    from = req.query.from ? Date.parse(req.query.from) : to - 24 * 60 * 60 * 1000;
+    if (Number.isNaN(from) || Number.isNaN(to) || from > to) {
+      return res.status(400).json({ error: 'from and to must be dates, from before to' });
+    }
+    if (to - from > MAX_LEDGER_RANGE_MS) {
+      return res.status(400).json({ error: 'Date range is limited to 92 days' });
+    }
+  }
+
+  try {
+    // Session rows are matched by id, so scan up to now rather than trusting the recorded end
+    const rows = readLedger({
+      from,
+      to: sessionId ? Date.now() : to,
+      sessionId,
+      room: req.query.room ? normalizeUsername(req.query.room) : null
+    });
+
+    const name = sessionId || `${ledgerDay(from)}_${ledgerDay(to)}`;
+    res.attachment(`gift-ledger-${name}.${format}`);
+    await streamLedgerExport(res, rows, format, {
+      sessionId,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString()
+    });
+  } catch (err) {
+    logError('LEDGER', 'Ledger export failed', err.message);
+    // Once rows have gone out the only way to flag the failure is a cut-off download
+    if (res.headersSent) return res.destroy();
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({ error: 'Failed to read gift ledger' });
+  }
+});
+
+/* ── Replay mode ─────────────────────────────────────────────────── */
+app.get('/api/replays', requireAuth, async (_, res) => {
+  try {
+    const active = buildRoomStats()
+      .filter(stats => stats.replay)
+      .map(stats => ({ room: stats.username, ...stats.replay }));
+    res.json({ files: await listReplayFiles(), active });
+  } catch (error) {
+    console.error('Error listing replays:', error);
+    res.status(500).json({ error: 'Failed to list replays' });
+  }
+});
+
+// Body: { file, room?, speed?, loop? } - file is a journal id or a name in DATA_DIR/replays
+app.post('/api/replay/start', requireAuth, async (req, res) => {
+  const body = req.body || {};
+  const room = getRoom(body.room || USERNAME);
+  if (!room) return res.status(404).json({ error: 'room not found' });
+
+  const speed = body.speed === undefined ? 1 : Number(body.speed);
+  if (!Number.isFinite(speed) || speed <= 0 || speed > MAX_REPLAY_SPEED) {
+    return res.status(400).json({ error: `speed must be between 0 and ${MAX_REPLAY_SPEED}` });
+  }
+
+  const file = await resolveReplayFile(body.file);
+  if (!file) return res.status(404).json({ error: 'recording not found' });
+
+  // The replay takes the room over from whatever is running now
+  if (room.tiktok || room.liveStatus !== 'DISCONNECTED') {
+    await disconnectTikTok(room.username);
+  }
+
+  room.replay = { id: body.file, file, speed, loop: Boolean(body.loop) };
+  room.lastConnectionAttempt = 0;   // Nothing goes to TikTok - no need to rate limit
+  await connectTikTok(room.username);
+
+  if (!room.tiktok?.isReplay) {
+    room.replay = null;
+    broadcast();
+    return res.status(400).json({ error: 'Replay could not be started', lastError: errorLog[0] || null });
+  }
+
+  res.json({ ok: true, room: room.username, replay: buildReplayStats(room) });
+});
+
+app.post('/api/replay/stop', requireAuth, async (req, res) => {
+  const room = getRoom(req.body?.room || USERNAME);
+  if (!room) return res.status(404).json({ error: 'room not found' });
+  if (!room.replay) return res.status(409).json({ error: 'no replay running' });
+
+  await disconnectTikTok(room.username);
+  res.json({ ok: true });
+});
+
+/* ── Auto-reconnect settings ─────────────────────────────────────── */
+app.get('/api/reconnect', requireAuth, (_, res) => {
+  res.json({ settings: getAutoReconnectSettings(), ...buildReconnectStats() });
+});
+
+app.post('/api/reconnect', requireAuth, (req, res) => {
+  const body = req.body || {};
+  const update = {};
+
+  if (body.enabled !== undefined) update.enabled = Boolean(body.enabled);
+  if (body.waitForLive !== undefined) update.waitForLive = Boolean(body.waitForLive);
+
+  for (const key of ['maxAttempts', 'baseDelayMs', 'maxDelayMs', 'liveCheckIntervalMs']) {
+    if (body[key] === undefined) continue;
+    const value = Number(body[key]);
+    if (!Number.isInteger(value) || value < 0) {
+      return res.status(400).json({ error: `${key} must be a non-negative integer` });
+    }
+    update[key] = value;
+  }
+
+  cfg.autoReconnect = { ...(cfg.autoReconnect || {}), ...update };
+  queueBackendSync('config', cfg);
+
+  // Turning it off stops every pending retry / live wait
+  if (!getAutoReconnectSettings().enabled) {
+    rooms.forEach(room => {
+      if (room.liveStatus === 'RECONNECTING' || room.liveStatus === 'WAITING_FOR_LIVE') {
+        cancelReconnect(room);
+        room.liveStatus = 'OFFLINE';
+      }
+    });
+  }
+
+  console.log(`🔁 Auto-reconnect ${getAutoReconnectSettings().enabled ? 'enabled' : 'disabled'}`);
+  broadcast();
+  res.json({ ok: true, settings: getAutoReconnectSettings() });
+});
+
+/* ── Room management (additional TikTok usernames) ──────────────── */
+app.get('/api/rooms', requireAuth, (_, res) => {
+  res.json({
+    rooms: buildRoomStats().map(stats => {
+      const room = getRoom(stats.username);
+      return { ...stats, health: room.health, comboTrackersActive: room.comboTracker.size };
+    })
+  });
+});
+
+app.post('/api/rooms', requireAuth, (req, res) => {
+  const username = normalizeUsername(req.body?.username);
+  if (!username || !/^[a-z0-9._]{2,24}$/.test(username)) {
+    return res.status(400).json({ error: 'A valid TikTok username is required' });
+  }
+  if (rooms.has(username)) {
+    return res.status(409).json({ error: 'room already tracked' });
+  }
+
+  addRoom(username);
+  cfg.rooms = [...(cfg.rooms || []), username];
+  queueBackendSync('config', cfg);
+
+  console.log(`➕ Now tracking @${username}`);
+  broadcast();
+  res.json({ ok: true, username });
+});
+
+app.delete('/api/rooms/:username', requireAuth, async (req, res) => {
+  const username = normalizeUsername(req.params.username);
+  if (!rooms.has(username)) return res.status(404).json({ error: 'room not found' });
+  if (isFixedRoom(username)) {
+    return res.status(400).json({ error: 'rooms from TIKTOK_USERNAME cannot be removed' });
+  }
+
+  await disconnectTikTok(username);
+  rooms.delete(username);
+  cfg.rooms = (cfg.rooms || []).filter(u => normalizeUsername(u) !== username);
+  queueBackendSync('config', cfg);
+
+  console.log(`➖ Stopped tracking @${username}`);
+  broadcast();
+  res.json({ ok: true });
+});
+
+app.get('/api/state', requireOverlayAccess, (req, res) => {
+  res.json(req.overlayGroupId ? scopePayload(buildPayload(), req.overlayGroupId) : buildPayload());
+});
+
+// Public like /api/state so overlays can read it.
+// Query: group (group id, default whole stream), limit (1-100), window (minutes, default all time)
+app.get('/api/leaderboard', requireOverlayAccess, (req, res) => {
+  const groupId = req.query.group || null;
+  if (groupId && !groups[groupId]) return res.status(404).json({ error: 'group not found' });
+  if (req.overlayGroupId && groupId !== req.overlayGroupId) {
+    return res.status(403).json({ error: 'This overlay link is for another group' });
+  }
+
+  const limit = req.query.limit === undefined ? LEADERBOARD_BROADCAST_SIZE : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LEADERBOARD_SIZE) {
+    return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_LEADERBOARD_SIZE}` });
+  }
+
+  const windowMinutes = req.query.window === undefined ? null : Number(req.query.window);
+  if (windowMinutes !== null && (!Number.isFinite(windowMinutes) || windowMinutes <= 0)) {
+    return res.status(400).json({ error: 'window must be a positive number of minutes' });
+  }
+
+  res.json(buildLeaderboard({ groupId, limit, windowMs: windowMinutes && windowMinutes * 60000 }));
+});
+
+app.post('/api/groups', requireAuth, async (req, res) => {
+  try {
+    const next = req.body || {};
+    const badSource = Object.values(next).find(g => g?.source !== undefined && !GROUP_SOURCES[g.source]);
+    if (badSource) {
+      return res.status(400).json({ error: `source must be one of: ${Object.keys(GROUP_SOURCES).join(', ')}` });
+    }
+    for (const group of Object.values(next)) {
+      // Same rules as /api/target: null or no stages falls back to the defaults
+      if (group?.target === null) {
+        delete group.target;
+      } else if (group?.target !== undefined) {
+        if (!(Number(group.target) > 0)) return res.status(400).json({ error: 'target must be a positive number' });
+        group.target = Number(group.target);
+      }
+      if (group?.stages === null || (Array.isArray(group?.stages) && group.stages.length === 0)) {
+        delete group.stages;
+      } else if (group?.stages !== undefined) {
+        group.stages = parseStages(group.stages);
+        if (!group.stages) return res.status(400).json({ error: 'stages must be an array of positive numbers' });
+      }
+      if (group?.rules !== undefined) {
+        group.rules = parseGroupRules(group.rules);
+        if (!group.rules) return res.status(400).json({ error: GROUP_RULES_ERROR });
+      }
+      if (group?.senders !== undefined) {
+        group.senders = parseGroupSenders(group.senders);
+        if (!group.senders) return res.status(400).json({ error: GROUP_SENDERS_ERROR });
+      }
+      if (group?.theme !== undefined) {
+        group.theme = parseOverlayTheme(group.theme);
+        if (!group.theme) return res.status(400).json({ error: OVERLAY_THEME_ERROR });
+      }
+      if (group?.scoring !== undefined) {
+        group.scoring = parseScoring(group.scoring);
+        if (!group.scoring) return res.status(400).json({ error: SCORING_ERROR });
+      }
+      if (group?.voteKeywords !== undefined) {
+        group.voteKeywords = parseVoteKeywords(group.voteKeywords);
+        if (!group.voteKeywords) return res.status(400).json({ error: VOTE_KEYWORDS_ERROR });
+      }
+      if (group?.milestones !== undefined) {
+        group.milestones = parseMilestones(group.milestones);
+        if (!group.milestones) return res.status(400).json({ error: MILESTONES_ERROR });
+      }
+    }
+
+    // A group switching source measures a different number - re-arm its milestones against it
+    const switched = Object.keys(next).filter(gid => groups[gid] && (groups[gid].source || 'diamonds') !== (next[gid].source || 'diamonds'));
+    groups = next;
+
+    // Queue batched save to backend
+    queueBackendSync('groups', groups);
+
+    initCounters();
+
+    // Deleted groups lose their rankings along with their counters
+    for (const gid in gifterTotals.groups) {
+      if (!groups[gid]) delete gifterTotals.groups[gid];
+    }
+    for (const gid in milestonesReached) {
+      if (!groups[gid]) delete milestonesReached[gid];
+    }
+    switched.forEach(syncMilestones);
+    leaderboardDirty = true;
+
+    debouncedBroadcast();
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Error saving groups:', error);
+    res.status(500).json({ error: 'Failed to save groups' });
+  }
+});
+
+
+// Absolute (count, diamonds, points) or relative (deltaCount, deltaDiamonds, deltaPoints) - one form per field
+app.post('/api/counter', requireAuth, (req, res) => {
+  const body = req.body || {};
+  const { groupId, reason } = body;
+  if (!groups[groupId]) return res.status(404).json({ error: 'group not found' });
+
+  const deltaKey = field => `delta${field[0].toUpperCase()}${field.slice(1)}`;
+  if (COUNTER_FIELDS.some(field => (body[field] ?? null) !== null && (body[deltaKey(field)] ?? null) !== null)) {
+    return res.status(400).json({ error: 'Set a value or adjust it, not both' });
+  }
+
+  counters[groupId] ??= emptyCounter();
+  const before = { ...counters[groupId] };
+  const after = Object.fromEntries(COUNTER_FIELDS.map(field => {
+    if ((body[field] ?? null) !== null) return [field, Number(body[field])];
+    if ((body[deltaKey(field)] ?? null) !== null) return [field, before[field] + Number(body[deltaKey(field)])];
+    return [field, before[field]];
+  }));
+
+  if (COUNTER_FIELDS.some(field => !Number.isInteger(after[field]) || after[field] < 0)) {
+    return res.status(400).json({ error: 'Counters must end up as whole numbers of zero or more' });
+  }
+  if (COUNTER_FIELDS.every(field => after[field] === before[field])) {
+    return res.json({ ok: true, counter: after, audit: null });
+  }
+
+  counters[groupId] = after;
+  syncMilestones(groupId);
+  const entry = recordAudit({
+    action: COUNTER_FIELDS.some(field => (body[deltaKey(field)] ?? null) !== null) ? 'adjust' : 'set',
+    reason: parseAuditReason(reason),
+    groupId,
+    groupName: groups[groupId].name,
+    before,
+    after
+  });
+
+  debouncedBroadcast();
+  res.json({ ok: true, counter: after, audit: publicAuditEntry(entry) });
+});
+
+app.post('/api/target', requireAuth, async (req, res) => {
+  try {
+    const { groupId, target, stages, source } = req.body || {};
+
+    if (groupId !== undefined) {
+      // Per-group target, stretch-goal stages and/or the metric they're measured in
+      const group = groups[groupId];
+      if (!group) return res.status(404).json({ error: 'group not found' });
+
+      if (source !== undefined) {
+        if (!GROUP_SOURCES[source]) {
+          return res.status(400).json({ error: `source must be one of: ${Object.keys(GROUP_SOURCES).join(', ')}` });
+        }
+        if (source === 'diamonds') delete group.source;
+        else group.source = source;
+      }
+
+      if (target !== undefined) {
+        if (target === null) {
+          delete group.target;  // fall back to the global target
+        } else if (Number(target) > 0) {
+          group.target = Number(target);
+        } else {
+          return res.status(400).json({ error: 'target must be a positive number' });
+        }
+      }
+
+      if (stages !== undefined) {
+        if (stages === null || (Array.isArray(stages) && stages.length === 0)) {
+          delete group.stages;
+        } else {
+          const parsed = parseStages(stages);
+          if (!parsed) return res.status(400).json({ error: 'stages must be an array of positive numbers' });
+          group.stages = parsed;
+        }
+      }
+
+      queueBackendSync('groups', groups);
+      syncMilestones(groupId);
+    } else {
+      cfg.target = Number(target) || cfg.target;
+      queueBackendSync('config', cfg);
+      Object.keys(groups).forEach(syncMilestones);
+    }
+
+    debouncedBroadcast();
+    res.json({ ok: true, goal: groupId !== undefined ? getGroupGoal(groupId) : null });
+  } catch (error) {
+    console.error('Error saving target:', error);
+    res.status(500).json({ error: 'Failed to save target' });
+  }
+});
+
+/* ── Gift alert overlay ──────────────────────────────────────────── */
+app.use('/alert-media', express.static(ALERT_MEDIA_DIR));
+
+app.get('/api/alerts', requireAuth, async (_, res) => {
+  try {
+    res.json({ settings: getAlertSettings(), media: await listAlertMedia() });
+  } catch (error) {
+    console.error('Error reading alert media:', error);
+    res.status(500).json({ error: 'Failed to list alert media' });
+  }
+});
+
+app.post('/api/alerts', requireAuth, (req, res) => {
+  const body = req.body || {};
+  const update = {};
+
+  if (body.minDiamonds !== undefined) {
+    const value = Number(body.minDiamonds);
+    if (!Number.isInteger(value) || value < 0) {
+      return res.status(400).json({ error: 'minDiamonds must be a non-negative integer' });
+    }
+    update.minDiamonds = value;
+  }
+  if (body.durationMs !== undefined) {
+    const value = Number(body.durationMs);
+    if (!Number.isInteger(value) || value < 1000 || value > 60000) {
+      return res.status(400).json({ error: 'durationMs must be between 1000 and 60000' });
+    }
+    update.durationMs = value;
+  }
+  if (body.comboMode !== undefined) update.comboMode = Boolean(body.comboMode);
+  if (body.template !== undefined) {
+    if (!isValidAlertTemplate(body.template)) return res.status(400).json({ error: 'template must be 1-200 characters' });
+    update.template = body.template.trim();
+  }
+  if (body.sound !== undefined) {
+    if (!isValidAlertSound(body.sound)) return res.status(400).json({ error: 'sound must be an mp3, wav or ogg file name' });
+    update.sound = body.sound;
+  }
+
+  if (body.gifts !== undefined) {
+    if (!body.gifts || typeof body.gifts !== 'object' || Array.isArray(body.gifts)) {
+      return res.status(400).json({ error: 'gifts must be an object keyed by gift id' });
+    }
+    update.gifts = {};
+    for (const [giftId, override] of Object.entries(body.gifts)) {
+      const entry = {};
+      if (override?.template !== undefined) {
+        if (!isValidAlertTemplate(override.template)) {
+          return res.status(400).json({ error: `template for gift ${giftId} must be 1-200 characters` });
+        }
+        entry.template = override.template.trim();
+      }
+      if (override?.sound !== undefined) {
+        if (!isValidAlertSound(override.sound)) {
+          return res.status(400).json({ error: `sound for gift ${giftId} must be an mp3, wav or ogg file name` });
+        }
+        entry.sound = override.sound;
+      }
+      if (Object.keys(entry).length > 0) update.gifts[giftId] = entry;
+    }
+  }
+
+  cfg.alerts = { ...(cfg.alerts || {}), ...update };
+  queueBackendSync('config', cfg);
+  io.to(GIFT_ALERT_ROOM).emit('alertConfig', getAlertSettings());
+  res.json({ ok: true, settings: getAlertSettings() });
+});
+
+// Plays a sample alert on every open alert overlay (not counted anywhere)
+app.post('/api/alerts/test', requireAuth, (req, res) => {
+  const gift = giftCatalog.find(g => g.id === Number(req.body?.giftId)) || giftCatalog[0];
+  io.to(GIFT_ALERT_ROOM).emit('giftStream', {
+    test: true,
+    userId: 'test',
+    uniqueId: 'test_viewer',
+    nickname: 'Test Viewer',
+    profilePictureUrl: null,
+    giftId: gift?.id ?? 0,
+    giftName: gift?.name || 'Rose',
+    giftPictureUrl: gift?.iconUrl || null,
+    diamondCount: gift?.diamondCost ?? 1,
+    giftType: 0,
+    repeatCount: 1,
+    repeatEnd: true,
+    roomUsername: USERNAME
+  });
+  res.json({ ok: true });
+});
+
+/* ── Outbound webhooks ───────────────────────────────────────────── */
+app.get('/api/webhooks', requireAuth, (_, res) => {
+  res.json({ webhooks: getWebhooks().map(publicWebhook), events: WEBHOOK_EVENTS, pending: webhookQueue.length });
+});
+
+// Body: { url, events? (default all), secret? (generated if omitted), enabled? }
+app.post('/api/webhooks', requireAuth, (req, res) => {
+  const { url, events, secret, enabled } = req.body || {};
+  if (!isValidWebhookUrl(url)) return res.status(400).json({ error: 'url must be an http(s) URL' });
+
+  const parsedEvents = parseWebhookEvents(events);
+  if (!parsedEvents) {
+    return res.status(400).json({ error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')} (or "*")` });
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    return res.status(400).json({ error: 'secret must be at least 16 characters' });
+  }
+
+  const hook = {
+    id: crypto.randomUUID(),
+    url,
+    events: parsedEvents,
+    secret: secret || crypto.randomBytes(32).toString('hex'),
+    enabled: enabled !== false,
+    createdAt: new Date().toISOString()
+  };
+  cfg.webhooks = [...getWebhooks(), hook];
+  queueBackendSync('config', cfg);
+  queueWebhookSave();
+
+  console.log(`🪝 Webhook added: ${url}`);
+  res.json({ ok: true, webhook: { ...publicWebhook(hook), secret: hook.secret } });
+});
+
+// Body: any of { url, events, enabled, rotateSecret }
+app.post('/api/webhooks/:id', requireAuth, (req, res) => {
+  const hook = getWebhooks().find(h => h.id === req.params.id);
+  if (!hook) return res.status(404).json({ error: 'webhook not found' });
+
+  const { url, events, enabled, rotateSecret } = req.body || {};
+  if (url !== undefined && !isValidWebhookUrl(url)) {
+    return res.status(400).json({ error: 'url must be an http(s) URL' });
+  }
+  const parsedEvents = events === undefined ? hook.events : parseWebhookEvents(events);
+  if (!parsedEvents) {
+    return res.status(400).json({ error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')} (or "*")` });
+  }
+
+  if (url !== undefined) hook.url = url;
+  hook.events = parsedEvents;
+  if (enabled !== undefined) hook.enabled = Boolean(enabled);
+  if (rotateSecret) hook.secret = crypto.randomBytes(32).toString('hex');
+
+  // A disabled endpoint shouldn't get a burst of stale events when re-enabled
+  if (hook.enabled === false) {
+    webhookQueue = webhookQueue.filter(d => d.webhookId !== hook.id || webhookInFlight.has(d.id));
+  }
+
+  queueBackendSync('config', cfg);
+  queueWebhookSave();
+  res.json({ ok: true, webhook: { ...publicWebhook(hook), ...(rotateSecret ? { secret: hook.secret } : {}) } });
+});
+
+app.delete('/api/webhooks/:id', requireAuth, (req, res) => {
+  const hook = getWebhooks().find(h => h.id === req.params.id);
+  if (!hook) return res.status(404).json({ error: 'webhook not found' });
+
+  cfg.webhooks = getWebhooks().filter(h => h !== hook);
+  webhookQueue = webhookQueue.filter(d => d.webhookId !== hook.id);
+  queueBackendSync('config', cfg);
+  queueWebhookSave();
+
+  console.log(`🪝 Webhook removed: ${hook.url}`);
+  res.json({ ok: true });
+});
+
+// Query: webhookId (optional), limit (default 50)
+app.get('/api/webhooks/deliveries', requireAuth, (req, res) => {
+  const { webhookId } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_WEBHOOK_HISTORY);
+  const matches = d => !webhookId || d.webhookId === webhookId;
+
+  res.json({
+    history: webhookHistory.filter(matches).slice(0, limit),
+    pending: webhookQueue.filter(matches).map(({ body, ...delivery }) => ({
+      ...delivery,
+      inFlight: webhookInFlight.has(delivery.id)
+    }))
+  });
+});
+
+// Queues a signed 'ping' to one endpoint so receivers can be checked end to end
+app.post('/api/webhooks/:id/test', requireAuth, (req, res) => {
+  const hook = getWebhooks().find(h => h.id === req.params.id);
+  if (!hook) return res.status(404).json({ error: 'webhook not found' });
+
+  enqueueWebhookDelivery(hook, 'ping', { message: 'Webhook test from TikTok Gift Tracker' });
+  queueWebhookSave();
+  processWebhookQueue();
+  res.json({ ok: true });
+});
+
+/* ── Group matching rules ────────────────────────────────────────── */
+// Body: { groupId, rules?, senders? } - an empty list or null clears either
+app.post('/api/rules', requireAuth, (req, res) => {
+  const { groupId, rules, senders } = req.body || {};
+  const group = groups[groupId];
+  if (!group) return res.status(404).json({ error: 'group not found' });
+
+  const parsedRules = rules == null ? [] : parseGroupRules(rules);
+  if (!parsedRules) return res.status(400).json({ error: GROUP_RULES_ERROR });
+  const parsedSenders = senders == null ? { allow: [], deny: [] } : parseGroupSenders(senders);
+  if (!parsedSenders) return res.status(400).json({ error: GROUP_SENDERS_ERROR });
+
+  if (rules !== undefined) {
+    if (parsedRules.length > 0) group.rules = parsedRules;
+    else delete group.rules;
+  }
+  if (senders !== undefined) {
+    if (parsedSenders.allow.length > 0 || parsedSenders.deny.length > 0) group.senders = parsedSenders;
+    else delete group.senders;
+  }
+
+  queueBackendSync('groups', groups);
+  debouncedBroadcast();
+  res.json({ ok: true, rules: group.rules || [], senders: group.senders || { allow: [], deny: [] } });
+});
+
+/* ── Group scoring and boosts ────────────────────────────────────── */
+// Body: { groupId, scoring } - null goes back to plain diamonds
+app.post('/api/scoring', requireAuth, (req, res) => {
+  const { groupId, scoring } = req.body || {};
+  const group = groups[groupId];
+  if (!group) return res.status(404).json({ error: 'group not found' });
+
+  if (scoring === null) {
+    delete group.scoring;
+  } else {
+    const parsed = parseScoring(scoring);
+    if (!parsed) return res.status(400).json({ error: SCORING_ERROR });
+    group.scoring = parsed;
+  }
+
+  queueBackendSync('groups', groups);
+  debouncedBroadcast();
+  res.json({ ok: true, scoring: group.scoring || null });
+});
+
+// Body: { groupIds? (default: every gift group), multiplier, durationSec } - replaces running boosts
+app.post('/api/boosts', requireAuth, (req, res) => {
+  const { multiplier, durationSec } = req.body || {};
+  const groupIds = req.body?.groupIds ?? Object.keys(groups).filter(gid => GROUP_SOURCES[getGroupSource(gid)].gifts);
+  if (!Array.isArray(groupIds) || groupIds.length === 0) {
+    return res.status(400).json({ error: 'groupIds must list at least one group' });
+  }
+  const missing = groupIds.find(gid => !groups[gid]);
+  if (missing !== undefined) {
+    return res.status(404).json({ error: `Group ${missing} not found` });
+  }
+  const value = Number(multiplier);
+  if (!(value > 0 && value <= MAX_SCORING_MULTIPLIER)) {
+    return res.status(400).json({ error: `multiplier must be above 0 and at most ${MAX_SCORING_MULTIPLIER}` });
+  }
+  if (!Number.isInteger(durationSec) || durationSec <= 0 || durationSec > MAX_BOOST_SEC) {
+    return res.status(400).json({ error: `durationSec must be whole seconds up to ${MAX_BOOST_SEC}` });
+  }
+
+  const startedAt = Date.now();
+  groupIds.forEach(gid => {
+    boosts[gid] = {
+      multiplier: value,
+      startedAt: new Date(startedAt).toISOString(),
+      endsAt: new Date(startedAt + durationSec * 1000).toISOString()
+    };
+  });
+  console.log(`⚡ ${value}x boost for ${durationSec}s: ${groupIds.map(gid => groups[gid].name).join(', ')}`);
+  scheduleBoostExpiry();
+  broadcast();
+  res.json({ ok: true, boosts: getActiveBoosts() });
+});
+
+// Body: { groupIds? } - ends boosts early (all of them without groupIds)
+app.post('/api/boosts/stop', requireAuth, (req, res) => {
+  const groupIds = req.body?.groupIds ?? Object.keys(boosts);
+  if (!Array.isArray(groupIds)) {
+    return res.status(400).json({ error: 'groupIds must be a list' });
+  }
+  groupIds.forEach(gid => delete boosts[gid]);
+  scheduleBoostExpiry();
+  broadcast();
+  res.json({ ok: true, boosts: getActiveBoosts() });
+});
+
+/* ── Overlay themes ──────────────────────────────────────────────── */
+// Body: { groupId, theme } - null (or {}) goes back to the default look
+app.post('/api/theme', requireAuth, (req, res) => {
+  const { groupId, theme } = req.body || {};
+  const group = groups[groupId];
+  if (!group) return res.status(404).json({ error: 'group not found' });
+
+  const parsed = theme === null ? {} : parseOverlayTheme(theme);
+  if (!parsed) return res.status(400).json({ error: OVERLAY_THEME_ERROR });
+
+  if (Object.keys(parsed).length > 0) group.theme = parsed;
+  else delete group.theme;
+
+  queueBackendSync('groups', groups);
+  debouncedBroadcast();
+  res.json({ ok: true, theme: group.theme || {} });
+});
+
+/* ── Overlay links ───────────────────────────────────────────────── */
+// Query: group (only that group's links)
+app.get('/api/overlay-links', requireAuth, (req, res) => {
+  const groupId = req.query.group || null;
+  const links = overlayLinks.links.filter(link => !groupId || link.groupId === groupId);
+  res.json({ required: overlayLinks.required, links: links.map(publicOverlayLink) });
+});
+
+// Body: { groupId (null = every overlay), label? }
+app.post('/api/overlay-links', requireAuth, (req, res) => {
+  const { groupId = null, label = '' } = req.body || {};
+  if (groupId !== null && !groups[groupId]) return res.status(404).json({ error: 'group not found' });
+  if (typeof label !== 'string' || label.length > MAX_OVERLAY_LINK_LABEL_LENGTH) {
+    return res.status(400).json({ error: `label must be text of up to ${MAX_OVERLAY_LINK_LABEL_LENGTH} characters` });
+  }
+  if (overlayLinks.links.length >= MAX_OVERLAY_LINKS) {
+    return res.status(400).json({ error: `At most ${MAX_OVERLAY_LINKS} overlay links - revoke unused ones first` });
+  }
+
+  const link = createOverlayLink(groupId, label.trim());
+  res.json({ ok: true, link: publicOverlayLink(link) });
+});
+
+app.delete('/api/overlay-links/:id', requireAuth, (req, res) => {
+  if (!revokeOverlayLink(req.params.id)) return res.status(404).json({ error: 'overlay link not found' });
+  res.json({ ok: true });
+});
+
+// Body: { required } - when on, overlays without a valid link are refused
+app.post('/api/overlay-links/settings', requireAuth, (req, res) => {
+  const { required } = req.body || {};
+  if (typeof required !== 'boolean') return res.status(400).json({ error: 'required must be true or false' });
+
+  overlayLinks.required = required;
+  queueOverlayLinksSave();
+  if (required) {
+    // Overlays that connected without a link lose access now, not on their next reconnect
+    for (const socket of io.sockets.sockets.values()) {
+      if (socket.data.role === 'overlay' && !socket.data.overlayLink) socket.disconnect(true);
+    }
+  }
+  console.log(`🔗 Overlay links ${required ? 'required' : 'optional'}`);
+  res.json({ ok: true, required });
+});
+
+/* ── Milestones ──────────────────────────────────────────────────── */
+app.get('/api/milestones', requireAuth, (_, res) => {
+  const thresholds = {};
+  for (const gid in groups) {
+    thresholds[gid] = getMilestoneThresholds(gid).map(t => ({
+      ...t,
+      reached: milestonesReached[gid]?.[t.key] !== undefined
+    }));
+  }
+  res.json({ defaults: DEFAULT_MILESTONES, thresholds, log: milestoneLog });
+});
 
-  // Clear all pending combo timeouts
-  giftComboTracker.forEach((combo) => {
-    clearTimeout(combo.timeout);
+// Body: { groupId, milestones } - null restores the defaults, [] disables milestones
+app.post('/api/milestones', requireAuth, (req, res) => {
+  const { groupId, milestones } = req.body || {};
+  const group = groups[groupId];
+  if (!group) return res.status(404).json({ error: 'group not found' });
+
+  if (milestones === null) {
+    delete group.milestones;
+  } else {
+    const parsed = parseMilestones(milestones);
+    if (!parsed) return res.status(400).json({ error: MILESTONES_ERROR });
+    group.milestones = parsed;
+  }
+
+  queueBackendSync('groups', groups);
+  syncMilestones(groupId);
+  debouncedBroadcast();
+  res.json({ ok: true, milestones: group.milestones || null });
+});
+
+app.post('/api/reset', requireAuth, (req, res) => {
+  const battleScores = battle?.status === 'round' ? getBattleScores() : null;
+  const entry = recordAudit({
+    action: 'reset',
+    reason: parseAuditReason(req.body?.reason),
+    before: captureTrackerState(),
+    after: null
   });
-  giftComboTracker.clear();
-  console.log('✅ Cleared all pending gift combos');
 
-  liveStatus = 'DISCONNECTED';
+  initCounters(false);  // Pass false to reset all counters to zero
+  uniques = new Set();
+  rooms.forEach(room => { room.viewers = 0; });
+  totalGifts = totalDiamonds = 0;
+  engagementTotals = { likes: 0, follows: 0, shares: 0, subscriptions: 0 };
+  resetLeaderboards();
+  resetMilestones();
+  if (activePoll) activePoll.voters = {};  // Its votes were just zeroed, so everyone may vote again
+  rebaseBattleRound(battleScores);
   broadcast();
-  console.log('📡 Disconnected successfully');
-}
+  res.json({ ok: true, audit: publicAuditEntry(entry) });
+});
 
-/* ── Express, static, auth, overlay public -------------------------- */
-const app = express();
-const http = createServer(app);
-const io = new Server(http, { cors: { origin: '*' } });
+/* ── Chat polls ──────────────────────────────────────────────────── */
+app.get('/api/poll', requireAuth, (_, res) => {
+  res.json({
+    poll: publicPoll(),
+    history: pollHistory,
+    policies: POLL_POLICIES,
+    defaultCommand: DEFAULT_POLL_COMMAND
+  });
+});
 
-app.use(cors());
-app.use(express.json());
+// Body: { question?, options: [{ groupId, keywords? }], command?, policy?, giftWeighted?, durationSec? }
+// Keywords given here are saved on the group for later polls.
+app.post('/api/poll/open', requireAuth, (req, res) => {
+  if (activePoll) {
+    return res.status(409).json({ error: 'A poll is already open - close it first' });
+  }
 
-const pub = path.join(__dirname, '..', 'public');
+  const body = req.body || {};
+  const options = body.options;
+  if (!Array.isArray(options) || options.length < MIN_POLL_OPTIONS || options.length > MAX_POLL_OPTIONS) {
+    return res.status(400).json({ error: `options must list ${MIN_POLL_OPTIONS}-${MAX_POLL_OPTIONS} groups` });
+  }
 
-// Public routes (no auth required)
-app.use('/overlay.html', express.static(path.join(pub, 'overlay.html')));
-app.use('/overlay.js', express.static(path.join(pub, 'overlay.js')));
-app.use('/styles.css', express.static(path.join(pub, 'styles.css')));
+  const groupIds = options.map(o => o?.groupId);
+  if (new Set(groupIds).size !== groupIds.length) {
+    return res.status(400).json({ error: 'Each group can only be one option' });
+  }
+  const notVoteGroup = groupIds.find(gid => !groups[gid] || getGroupSource(gid) !== 'votes');
+  if (notVoteGroup !== undefined) {
+    return res.status(400).json({ error: `Group ${notVoteGroup} does not exist or does not count votes` });
+  }
 
-// Public routes - serve static files
-app.use(express.static(pub));
+  const keywords = {};
+  for (const o of options) {
+    if (o.keywords === undefined) continue;
+    const parsed = parseVoteKeywords(o.keywords);
+    if (!parsed) {
+      return res.status(400).json({ error: VOTE_KEYWORDS_ERROR });
+    }
+    keywords[o.groupId] = parsed;
+  }
+  const allKeywords = groupIds.flatMap(gid => keywords[gid] ?? getVoteKeywords(groups[gid]));
+  if (new Set(allKeywords).size !== allKeywords.length) {
+    return res.status(400).json({ error: 'Two options share a keyword' });
+  }
 
-// Root route - redirects to login or dashboard based on session
-app.get('/', (_, res) => res.sendFile(path.join(pub, 'index.html')));
+  const command = body.command === undefined ? DEFAULT_POLL_COMMAND : normalizeVoteText(body.command);
+  if (!/^\S{1,20}$/.test(command)) {
+    return res.status(400).json({ error: 'command must be a single word of at most 20 characters' });
+  }
 
-// Explicit routes for better control
-app.get('/login', (_, res) => res.sendFile(path.join(pub, 'login.html')));
-app.get('/dashboard', (_, res) => res.sendFile(path.join(pub, 'dashboard.html')));
-app.get('/unauthorized', (_, res) => res.sendFile(path.join(pub, 'unauthorized.html')));
+  const policy = body.policy ?? 'single';
+  if (!POLL_POLICIES.includes(policy)) {
+    return res.status(400).json({ error: `policy must be one of: ${POLL_POLICIES.join(', ')}` });
+  }
 
-/* ── API routes ───────────────────────────────────────────────────── */
+  const durationSec = body.durationSec ? Number(body.durationSec) : null;
+  if (durationSec !== null && !(Number.isInteger(durationSec) && durationSec > 0 && durationSec <= MAX_POLL_DURATION_SEC)) {
+    return res.status(400).json({ error: `durationSec must be a whole number of seconds up to ${MAX_POLL_DURATION_SEC}` });
+  }
 
-// API Key validation endpoint (public - no auth required)
-app.post('/api/validate', (req, res) => {
-  const { apiKey } = req.body;
+  const question = typeof body.question === 'string' ? body.question.trim().slice(0, 200) : '';
 
-  if (!apiKey) {
-    return res.status(400).json({
-      success: false,
-      error: 'API Key is required'
+  if (Object.keys(keywords).length > 0) {
+    Object.entries(keywords).forEach(([gid, list]) => {
+      if (list.length > 0) groups[gid].voteKeywords = list;
+      else delete groups[gid].voteKeywords;
     });
+    queueBackendSync('groups', groups);
   }
 
-  // Validate against server's API Key
-  if (apiKey === API_KEY) {
-    return res.json({
-      success: true,
-      accountId: ACCOUNT_ID,
-      tiktokUsername: USERNAME
-    });
+  openPoll({ question, groupIds, command, policy, giftWeighted: Boolean(body.giftWeighted), durationSec });
+  broadcast();
+  res.json({ ok: true, poll: publicPoll() });
+});
+
+app.post('/api/poll/close', requireAuth, (_, res) => {
+  if (!activePoll) {
+    return res.status(409).json({ error: 'No poll is open' });
   }
+  res.json({ ok: true, result: closePoll('manual') });
+});
 
-  return res.status(401).json({
-    success: false,
-    error: 'Invalid API Key'
-  });
+/* ── Team battles ────────────────────────────────────────────────── */
+app.get('/api/battle', requireAuth, (_, res) => {
+  res.json({ battle: publicBattle() });
 });
 
-/* ── API endpoint rate limiting ─────────────────────────────────── */
-const apiRateLimits = new Map();
-const API_RATE_LIMIT_MS = 1000; // 1 second between requests per endpoint
+// Body: { name?, groupIds, roundSec, bestOf? } - starts round 1 right away
+app.post('/api/battle/start', requireAuth, (req, res) => {
+  if (battle && battle.status !== 'finished') {
+    return res.status(409).json({ error: 'A battle is already running - end it first' });
+  }
 
-function checkApiRateLimit(endpoint, res) {
-  const now = Date.now();
-  const lastCall = apiRateLimits.get(endpoint) || 0;
+  const { name, groupIds, roundSec, bestOf = 3 } = req.body || {};
+  if (!Array.isArray(groupIds) || groupIds.length < MIN_BATTLE_TEAMS || groupIds.length > MAX_BATTLE_TEAMS ||
+      new Set(groupIds).size !== groupIds.length) {
+    return res.status(400).json({ error: `groupIds must list ${MIN_BATTLE_TEAMS}-${MAX_BATTLE_TEAMS} different groups` });
+  }
+  const missing = groupIds.find(gid => !groups[gid]);
+  if (missing !== undefined) {
+    return res.status(404).json({ error: `Group ${missing} not found` });
+  }
+  if (new Set(groupIds.map(getGroupSource)).size > 1) {
+    return res.status(400).json({ error: 'Battle groups must all count the same source' });
+  }
+  if (!Number.isInteger(roundSec) || roundSec < MIN_BATTLE_ROUND_SEC || roundSec > MAX_BATTLE_ROUND_SEC) {
+    return res.status(400).json({ error: `roundSec must be ${MIN_BATTLE_ROUND_SEC}-${MAX_BATTLE_ROUND_SEC} seconds` });
+  }
+  if (!Number.isInteger(bestOf) || bestOf < 1 || bestOf > MAX_BATTLE_BEST_OF || bestOf % 2 === 0) {
+    return res.status(400).json({ error: `bestOf must be an odd number up to ${MAX_BATTLE_BEST_OF}` });
+  }
 
-  if (now - lastCall < API_RATE_LIMIT_MS) {
-    res.status(429).json({
-      ok: false,
-      error: 'Too many requests. Please wait a moment.',
-      retryAfter: Math.ceil((API_RATE_LIMIT_MS - (now - lastCall)) / 1000)
-    });
-    return false;
+  battle = {
+    id: crypto.randomUUID(),
+    name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 100) : groupIds.map(gid => groups[gid].name).join(' vs '),
+    groupIds,
+    source: getGroupSource(groupIds[0]),
+    roundSec,
+    bestOf,
+    status: 'round',
+    round: 0,
+    roundEndsAt: null,
+    baseline: {},
+    rounds: [],
+    wins: Object.fromEntries(groupIds.map(gid => [gid, 0])),
+    winner: null,
+    startedAt: new Date().toISOString(),
+    endedAt: null
+  };
+  startBattleRound();
+  broadcast();
+  res.json({ ok: true, battle: publicBattle() });
+});
+
+app.post('/api/battle/round', requireAuth, (_, res) => {
+  if (battle?.status !== 'intermission') {
+    return res.status(409).json({ error: 'No battle is waiting for its next round' });
   }
+  startBattleRound();
+  broadcast();
+  res.json({ ok: true, battle: publicBattle() });
+});
 
-  apiRateLimits.set(endpoint, now);
-  return true;
-}
+app.post('/api/battle/end', requireAuth, (_, res) => {
+  if (!battle || battle.status === 'finished') {
+    return res.status(409).json({ error: 'No battle is running' });
+  }
+  finishBattle();
+  broadcast();
+  res.json({ ok: true, battle: publicBattle() });
+});
 
-// Protected routes - require valid session with rate limiting
-app.post('/api/connect', async (_, res) => {
-  if (!checkApiRateLimit('connect', res)) return;
-  await connectTikTok();
+// Takes a finished (or running) battle off the overlays
+app.post('/api/battle/clear', requireAuth, (_, res) => {
+  clearTimeout(battleRoundTimer);
+  battleRoundTimer = null;
+  battle = null;
+  broadcast();
   res.json({ ok: true });
 });
 
-app.post('/api/disconnect', async (_, res) => {
-  if (!checkApiRateLimit('disconnect', res)) return;
-  await disconnectTikTok();
-  res.json({ ok: true });
+// Polls, battle rounds and boosts restored from the snapshot end on timers; io exists from here on
+schedulePollClose();
+scheduleBattleRound();
+scheduleBoostExpiry();
+
+/* ── Subathon timer ──────────────────────────────────────────────── */
+app.get('/api/timer', requireAuth, (_, res) => {
+  res.json({ timer: publicTimer(), settings: getTimerSettings() });
 });
 
-app.get('/api/state', (_, res) => res.json(buildPayload()));
+// Body: { secondsPerDiamond?, capSec? (null = no cap), gifts? { giftId: seconds } }
+app.post('/api/timer/settings', requireAuth, (req, res) => {
+  const body = req.body || {};
+  const update = {};
 
-app.post('/api/groups', async (req, res) => {
-  try {
-    groups = req.body || {};
+  if (body.secondsPerDiamond !== undefined) {
+    const value = Number(body.secondsPerDiamond);
+    if (!Number.isFinite(value) || value < 0 || value > 3600) {
+      return res.status(400).json({ error: 'secondsPerDiamond must be between 0 and 3600' });
+    }
+    update.secondsPerDiamond = value;
+  }
+  if (body.capSec !== undefined) {
+    const value = body.capSec === null ? null : Number(body.capSec);
+    if (value !== null && !(Number.isInteger(value) && value > 0 && value <= MAX_TIMER_SEC)) {
+      return res.status(400).json({ error: `capSec must be null or whole seconds up to ${MAX_TIMER_SEC}` });
+    }
+    update.capSec = value;
+  }
+  if (body.gifts !== undefined) {
+    if (!body.gifts || typeof body.gifts !== 'object' || Array.isArray(body.gifts)) {
+      return res.status(400).json({ error: 'gifts must be an object keyed by gift id' });
+    }
+    update.gifts = {};
+    for (const [giftId, seconds] of Object.entries(body.gifts)) {
+      const value = Number(seconds);
+      if (!Number.isFinite(value) || value < 0 || value > MAX_TIMER_SEC) {
+        return res.status(400).json({ error: `seconds for gift ${giftId} must be between 0 and ${MAX_TIMER_SEC}` });
+      }
+      update.gifts[giftId] = value;
+    }
+  }
 
-    // Queue batched save to backend
-    queueBackendSync('groups', groups);
+  cfg.timer = { ...(cfg.timer || {}), ...update };
+  queueBackendSync('config', cfg);
+  broadcast();
+  res.json({ ok: true, settings: getTimerSettings() });
+});
 
-    initCounters();
-    debouncedBroadcast();
-    res.json({ ok: true });
-  } catch (error) {
-    console.error('Error saving groups:', error);
-    res.status(500).json({ error: 'Failed to save groups' });
+// Body: { durationSec } - (re)starts the clock from scratch
+app.post('/api/timer/start', requireAuth, (req, res) => {
+  const durationSec = Number(req.body?.durationSec);
+  if (!Number.isInteger(durationSec) || durationSec <= 0 || durationSec > MAX_TIMER_SEC) {
+    return res.status(400).json({ error: `durationSec must be whole seconds up to ${MAX_TIMER_SEC}` });
   }
+  startTimer(durationSec);
+  broadcast();
+  res.json({ ok: true, timer: publicTimer() });
 });
 
+app.post('/api/timer/pause', requireAuth, (_, res) => {
+  if (timerState.status !== 'running') {
+    return res.status(409).json({ error: 'The timer is not running' });
+  }
+  pauseTimer();
+  broadcast();
+  res.json({ ok: true, timer: publicTimer() });
+});
 
-app.post('/api/counter', (req, res) => {
-  const { groupId, diamonds = null, count = null } = req.body || {};
-  if (!groups[groupId]) return res.status(404).json({ error: 'group not found' });
+app.post('/api/timer/resume', requireAuth, (_, res) => {
+  if (timerState.status !== 'paused') {
+    return res.status(409).json({ error: 'The timer is not paused' });
+  }
+  resumeTimer();
+  broadcast();
+  res.json({ ok: true, timer: publicTimer() });
+});
 
-  counters[groupId] ??= { count: 0, diamonds: 0 };
-  if (diamonds !== null) counters[groupId].diamonds = Number(diamonds);
-  if (count !== null) counters[groupId].count = Number(count);
+// Body: { seconds } - positive adds time, negative takes it away
+app.post('/api/timer/adjust', requireAuth, (req, res) => {
+  const seconds = Number(req.body?.seconds);
+  if (!Number.isInteger(seconds) || seconds === 0 || Math.abs(seconds) > MAX_TIMER_SEC) {
+    return res.status(400).json({ error: 'seconds must be a non-zero whole number' });
+  }
+  if (timerState.status !== 'running' && timerState.status !== 'paused') {
+    return res.status(409).json({ error: 'Start the timer first' });
+  }
+  setTimerRemainingMs(getTimerRemainingMs() + seconds * 1000);
+  broadcast();
+  res.json({ ok: true, timer: publicTimer() });
+});
 
-  debouncedBroadcast();
-  res.json({ ok: true });
+app.post('/api/timer/stop', requireAuth, (_, res) => {
+  stopTimer();
+  broadcast();
+  res.json({ ok: true, timer: publicTimer() });
 });
 
-app.post('/api/target', async (req, res) => {
-  try {
-    cfg.target = Number(req.body?.target) || cfg.target;
+// The clock loaded from timer.json may already be running
+scheduleTimerEnd();
 
-    // Queue batched save to backend
-    queueBackendSync('config', cfg);
+/* ── Audit trail and undo ────────────────────────────────────────── */
+app.get('/api/audit', requireAuth, (req, res) => {
+  const limit = Math.min(MAX_AUDIT_ENTRIES, Math.max(1, parseInt(req.query.limit) || 50));
+  res.json({ entries: auditLog.slice(0, limit).map(publicAuditEntry), total: auditLog.length });
+});
 
-    debouncedBroadcast();
-    res.json({ ok: true });
-  } catch (error) {
-    console.error('Error saving target:', error);
-    res.status(500).json({ error: 'Failed to save target' });
+app.post('/api/audit/:id/revert', requireAuth, (req, res) => {
+  const entry = auditLog.find(e => e.id === req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Audit entry not found' });
   }
-});
 
-app.post('/api/reset', (_, res) => {
-  initCounters(false);  // Pass false to reset all counters to zero
-  uniques = new Set();
-  viewers = 0;
-  totalGifts = totalDiamonds = 0;
+  const error = getRevertError(entry);
+  if (error) {
+    return res.status(409).json({ error });
+  }
+
+  const revert = revertAuditEntry(entry, parseAuditReason(req.body?.reason));
   broadcast();
-  res.json({ ok: true });
+  res.json({ ok: true, audit: publicAuditEntry(revert) });
 });
 
 /* ── NEW: Error log endpoint ─────────────────────────────────────── */
-app.get('/api/errors', (_, res) => {
+app.get('/api/errors', requireAuth, (_, res) => {
   res.json({
     errors: errorLog,
-    count: errorLog.length
+    count: errorLog.length,
+    ...buildReconnectStats()
   });
 });
 
-app.post('/api/errors/clear', (_, res) => {
+app.post('/api/errors/clear', requireAuth, (_, res) => {
   errorLog.length = 0;
   console.log('🗑️  Error log cleared');
   broadcast();
@@ -1046,7 +5210,7 @@ app.post('/api/errors/clear', (_, res) => {
 });
 
 /* ── NEW: Diagnostics endpoint ─────────────────────────────────────── */
-app.get('/api/diagnostics', (_, res) => {
+app.get('/api/diagnostics', requireAuth, (_, res) => {
   const uptime = Date.now() - diagnostics.startTime;
   const uptimeHours = Math.floor(uptime / 3600000);
   const uptimeMinutes = Math.floor((uptime % 3600000) / 60000);
@@ -1058,14 +5222,196 @@ app.get('/api/diagnostics', (_, res) => {
       uptimeFormatted: `${uptimeHours}h ${uptimeMinutes}m`,
       debugMode: DEBUG_MODE
     },
-    connectionHealth,
+    connectionHealth: getRoom(USERNAME)?.health || null,
+    rooms: Object.fromEntries([...rooms].map(([username, room]) => [username, {
+      liveStatus: room.liveStatus,
+      connectionHealth: room.health,
+      comboTrackersActive: room.comboTracker.size
+    }])),
     syncQueueSize: syncQueue.length,
     pendingBroadcast,
-    comboTrackersActive: giftComboTracker.size
+    comboTrackersActive: [...rooms.values()].reduce((sum, room) => sum + room.comboTracker.size, 0)
+  });
+});
+
+/* ── Prometheus metrics ──────────────────────────────────────────── */
+// Text exposition format, hand-written to avoid a client library for a few
+// dozen series. Scrapers authenticate with the instance API key (X-API-Key or
+// Bearer), or with METRICS_TOKEN as a Bearer token so a single credential can
+// scrape the whole fleet.
+const METRICS_PREFIX = 'tiktok_tracker_';
+const LIVE_STATUSES = ['DISCONNECTED', 'CONNECTING', 'ONLINE', 'RECONNECTING', 'WAITING_FOR_LIVE', 'OFFLINE'];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// samples: [{ labels?: {}, value }]
+function formatMetric(name, type, help, samples) {
+  const lines = [`# HELP ${METRICS_PREFIX}${name} ${help}`, `# TYPE ${METRICS_PREFIX}${name} ${type}`];
+  for (const { labels = {}, value } of samples) {
+    const labelText = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabelValue(v)}"`).join(',');
+    lines.push(`${METRICS_PREFIX}${name}${labelText ? `{${labelText}}` : ''} ${Number(value) || 0}`);
+  }
+  return lines.join('\n');
+}
+
+function buildMetrics() {
+  const roomList = [...rooms.values()];
+  const perRoom = fn => roomList.map(room => ({ labels: { room: room.username }, value: fn(room) }));
+  const groupLabels = gid => ({ group_id: gid, group: groups[gid]?.name || gid });
+
+  return [
+    formatMetric('info', 'gauge', 'Instance identity (always 1).', [
+      { labels: { account_id: ACCOUNT_ID || '', username: USERNAME || '' }, value: 1 }
+    ]),
+    formatMetric('uptime_seconds', 'gauge', 'Seconds since the process started.', [
+      { value: (Date.now() - diagnostics.startTime) / 1000 }
+    ]),
+
+    /* Pipeline counters (reset by /api/diagnostics/reset) */
+    formatMetric('gifts_processed_total', 'counter', 'Gifts counted by the gift pipeline.', [
+      { value: diagnostics.totalGiftsProcessed }
+    ]),
+    formatMetric('combo_timeouts_total', 'counter', 'Gift streaks counted by timeout because repeatEnd never arrived.', [
+      { value: diagnostics.totalComboTimeouts }
+    ]),
+    formatMetric('reconnections_total', 'counter', 'Successful automatic reconnections.', [
+      { value: diagnostics.totalReconnections }
+    ]),
+    formatMetric('broadcasts_total', 'counter', 'State updates broadcast to sockets.', [
+      { value: diagnostics.totalBroadcasts }
+    ]),
+    formatMetric('errors_total', 'counter', 'Connection errors and disconnects.', [
+      { value: diagnostics.totalErrors }
+    ]),
+    formatMetric('events_total', 'counter', 'TikTok events received, by type.',
+      Object.entries(diagnostics.eventCounts).map(([type, value]) => ({ labels: { type }, value }))
+    ),
+    formatMetric('gift_processing_avg_milliseconds', 'gauge', 'Rolling average time to process a counted gift.', [
+      { value: diagnostics.performanceMetrics.avgGiftProcessingTime }
+    ]),
+    formatMetric('broadcast_interval_avg_milliseconds', 'gauge', 'Average interval between the last 100 broadcasts.', [
+      { value: diagnostics.performanceMetrics.avgBroadcastInterval }
+    ]),
+    formatMetric('last_gift_timestamp_seconds', 'gauge', 'Unix time of the last counted gift (0 if none).', [
+      { value: diagnostics.lastGiftTime ? diagnostics.lastGiftTime / 1000 : 0 }
+    ]),
+
+    /* Rooms and connection health */
+    formatMetric('room_live', 'gauge', '1 if the room is connected to a live stream.', perRoom(room => room.liveStatus === 'ONLINE' ? 1 : 0)),
+    formatMetric('room_status', 'gauge', 'Connection status of each room (1 for the current status).',
+      roomList.flatMap(room => LIVE_STATUSES.map(status => ({
+        labels: { room: room.username, status },
+        value: room.liveStatus === status ? 1 : 0
+      })))
+    ),
+    formatMetric('room_viewers', 'gauge', 'Current viewer count per room.', perRoom(room => room.viewers)),
+    formatMetric('room_healthy', 'gauge', '1 if the room passed its last connection health check.', perRoom(room => room.health.isHealthy ? 1 : 0)),
+    formatMetric('room_health_checks_total', 'counter', 'Connection health checks run per room.', perRoom(room => room.health.totalChecks)),
+    formatMetric('room_health_check_failures_total', 'counter', 'Failed connection health checks per room.', perRoom(room => room.health.totalFailures)),
+    formatMetric('room_health_consecutive_failures', 'gauge', 'Current run of failed health checks per room.', perRoom(room => room.health.consecutiveFailures)),
+    formatMetric('room_reconnect_attempts', 'gauge', 'Automatic reconnect attempts in the current backoff cycle.', perRoom(room => room.reconnectAttempts)),
+
+    /* Session totals (gauges - they drop on reset and can be edited) */
+    formatMetric('gifts', 'gauge', 'Gifts counted this session.', [{ value: totalGifts }]),
+    formatMetric('diamonds', 'gauge', 'Diamonds counted this session.', [{ value: totalDiamonds }]),
+    formatMetric('unique_viewers', 'gauge', 'Unique viewers who joined this session.', [{ value: uniques.size }]),
+    formatMetric('engagement', 'gauge', 'Likes, follows, shares and subscriptions counted this session.',
+      ENGAGEMENT_SOURCES.map(source => ({ labels: { type: source }, value: engagementTotals[source] }))
+    ),
+    formatMetric('group_diamonds', 'gauge', 'Diamonds counted per group.',
+      Object.keys(groups).map(gid => ({ labels: groupLabels(gid), value: counters[gid]?.diamonds }))
+    ),
+    formatMetric('group_gifts', 'gauge', 'Gifts counted per group.',
+      Object.keys(groups).map(gid => ({ labels: groupLabels(gid), value: counters[gid]?.count }))
+    ),
+    formatMetric('group_points', 'gauge', 'Points scored per group.',
+      Object.keys(groups).map(gid => ({ labels: groupLabels(gid), value: counters[gid]?.points }))
+    ),
+    formatMetric('group_progress', 'gauge', 'Progress per group in its source unit (diamonds, gifts, likes, ...).',
+      Object.keys(groups).map(gid => ({ labels: { ...groupLabels(gid), source: getGroupSource(gid) }, value: getGroupProgress(gid) }))
+    ),
+    formatMetric('group_target', 'gauge', 'Active target per group, in its source unit.',
+      Object.keys(groups).map(gid => ({ labels: { ...groupLabels(gid), source: getGroupSource(gid) }, value: getGroupGoal(gid).target }))
+    ),
+    // Kept for existing queries and alerts; only covers groups that count diamonds
+    formatMetric('group_target_diamonds', 'gauge', 'Active diamond target per group (deprecated, use group_target).',
+      Object.keys(groups).filter(gid => getGroupSource(gid) === 'diamonds')
+        .map(gid => ({ labels: groupLabels(gid), value: getGroupGoal(gid).target }))
+    ),
+
+    /* Internals */
+    formatMetric('socket_clients', 'gauge', 'Connected Socket.IO clients (dashboards and overlays).', [{ value: io.engine.clientsCount }]),
+    formatMetric('combo_trackers_active', 'gauge', 'Gift streaks waiting for repeatEnd or timeout.', [
+      { value: roomList.reduce((sum, room) => sum + room.comboTracker.size, 0) }
+    ]),
+    formatMetric('backend_sync_queue_size', 'gauge', 'Backend writes waiting to be flushed.', [{ value: syncQueue.length }]),
+    formatMetric('webhook_queue_size', 'gauge', 'Webhook deliveries waiting to be sent or retried.', [{ value: webhookQueue.length }]),
+    formatMetric('error_log_size', 'gauge', 'Entries in the in-memory error log.', [{ value: errorLog.length }])
+  ].join('\n\n') + '\n';
+}
+
+function isValidMetricsToken(token) {
+  if (!METRICS_TOKEN || typeof token !== 'string' || !token) return false;
+  const a = crypto.createHash('sha256').update(token).digest();
+  const b = crypto.createHash('sha256').update(METRICS_TOKEN).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+app.get('/metrics', (req, res) => {
+  const credentials = getRequestCredentials(req);
+  if (!isAuthorized(credentials) && !isValidApiKey(credentials.token) && !isValidMetricsToken(credentials.token)) {
+    return res.status(401).type('text/plain').send('Authentication required\n');
+  }
+
+  res.type('text/plain; version=0.0.4; charset=utf-8').send(buildMetrics());
+});
+
+/* ── Session snapshot endpoints ─────────────────────────────────── */
+app.get('/api/session/snapshot', requireAuth, (_, res) => {
+  res.json({
+    snapshot: buildSessionSnapshot(),
+    file: SESSION_FILE,
+    lastSaved: lastSessionSave ? new Date(lastSessionSave).toISOString() : null
   });
 });
 
-app.post('/api/diagnostics/reset', (_, res) => {
+app.post('/api/session/restore', requireAuth, async (req, res) => {
+  try {
+    // Restore from a supplied snapshot, or fall back to the one on disk
+    const supplied = req.body?.snapshot;
+    const snapshot = supplied || await loadSessionSnapshot();
+
+    if (!snapshot) {
+      return res.status(404).json({ error: 'No session snapshot available' });
+    }
+    if (!isValidSessionSnapshot(snapshot)) {
+      return res.status(400).json({ error: 'Invalid session snapshot' });
+    }
+    if (snapshot.accountId !== ACCOUNT_ID) {
+      return res.status(400).json({ error: 'Session snapshot belongs to another account' });
+    }
+
+    applySessionSnapshot(snapshot);
+    // The restored poll, battle and boosts replace the running ones, so their timers must follow them
+    schedulePollClose();
+    scheduleBattleRound();
+    scheduleBoostExpiry();
+
+    // Only written to disk once it has been broadcast, so a snapshot that breaks doesn't outlive a restart
+    console.log(`♻️  Session restored from snapshot saved at ${snapshot.savedAt || 'unknown time'}`);
+    io.to(DASHBOARD_ROOM).emit('giftCatalog', giftCatalog);
+    broadcast();
+    await saveSessionSnapshot();
+    res.json({ ok: true, savedAt: snapshot.savedAt });
+  } catch (error) {
+    console.error('Error restoring session:', error);
+    res.status(500).json({ error: 'Failed to restore session' });
+  }
+});
+
+app.post('/api/diagnostics/reset', requireAuth, (_, res) => {
   // Reset diagnostics counters
   diagnostics.totalGiftsProcessed = 0;
   diagnostics.totalComboTimeouts = 0;
@@ -1083,10 +5429,71 @@ app.post('/api/diagnostics/reset', (_, res) => {
   res.json({ ok: true });
 });
 
+/* ── Socket.IO handshake auth ─────────────────────────────────────── */
+// Dashboards authenticate with a session token (or the API key). Overlays
+// bring an overlay link (auth.overlayToken) or, unless links are required,
+// nothing; either way they only receive the progress payload, and a group
+// link only its own group's.
+io.use((socket, next) => {
+  const { token, apiKey, overlayToken } = socket.handshake.auth || {};
+
+  if (overlayToken) {
+    const link = verifyOverlayToken(overlayToken);
+    if (!link) {
+      debugLog(`Rejected socket ${socket.id}: invalid overlay link`);
+      return next(new Error('Unauthorized'));
+    }
+    link.lastUsedAt = new Date().toISOString();
+    queueOverlayLinksSave();
+    socket.data.role = 'overlay';
+    socket.data.overlayLink = link.id;
+    socket.data.groupId = link.groupId;
+    return next();
+  }
+
+  if (!token && !apiKey) {
+    if (overlayLinks.required) {
+      debugLog(`Rejected socket ${socket.id}: overlay link required`);
+      return next(new Error('Unauthorized'));
+    }
+    socket.data.role = 'overlay';
+    return next();
+  }
+
+  if (!isAuthorized({ apiKey, token })) {
+    debugLog(`Rejected socket ${socket.id}: invalid credentials`);
+    return next(new Error('Unauthorized'));
+  }
+
+  socket.data.role = 'dashboard';
+  next();
+});
+
 /* ── Socket.IO initial emit ───────────────────────────────────────── */
 io.on('connection', s => {
-  s.emit('giftCatalog', giftCatalog);  // <── send current catalogue
-  s.emit('update', buildPayload());
+  // Progress state is sent per channel on request (see Live state channels)
+  s.on('subscribe', (subscription, reply) => subscribeStateChannel(s, subscription, reply));
+
+  if (s.data.groupId) {
+    s.join(groupOverlayRoom(s.data.groupId));
+    s.emit('leaderboard', scopeLeaderboard(buildLeaderboardPayload(), s.data.groupId));
+    return;
+  }
+
+  if (s.data.role === 'dashboard') {
+    s.join(DASHBOARD_ROOM);
+    s.emit('giftCatalog', giftCatalog);  // <── send current catalogue
+  } else {
+    s.join(OVERLAY_ROOM);
+  }
+  // Alert overlays opt in to the raw gift feed with auth { feed: 'gifts' }
+  if (s.handshake.auth?.feed === 'gifts') {
+    s.join(GIFT_ALERT_ROOM);
+    s.emit('alertConfig', getAlertSettings());
+  }
+  s.emit('leaderboard', buildLeaderboardPayload());
+  s.emit('battle', publicBattle());
+  s.emit('timer', publicTimer());
 });
 
 /* ── helpers ──────────────────────────────────────────────────────── */
@@ -1095,32 +5502,235 @@ function buildPayload() {
     counters,
     groups,
     target: cfg.target,
+    goals: buildGoals(),
+    boosts: getActiveBoosts(),
     stats: {
-      liveStatus,
+      liveStatus: getLiveStatus(),
       username: USERNAME,
-      liveViewers: viewers,
+      rooms: buildRoomStats(),
+      ...buildReconnectStats(),
+      liveViewers: getTotalViewers(),
       uniqueJoins: uniques.size,
       totalGifts,
       totalDiamonds,
+      totalLikes: engagementTotals.likes,
+      totalFollows: engagementTotals.follows,
+      totalShares: engagementTotals.shares,
+      totalSubscriptions: engagementTotals.subscriptions,
       errorCount: errorLog.length,
       lastError: errorLog.length > 0 ? errorLog[0] : null
-    }
+    },
+    poll: publicPoll()
   };
 }
+// What a group's overlay link may see: its own group and nothing of the instance
+function scopePayload(payload, gid) {
+  const pick = map => (map[gid] !== undefined ? { [gid]: map[gid] } : {});
+  return {
+    counters: pick(payload.counters),
+    groups: pick(payload.groups),
+    target: payload.target,
+    goals: pick(payload.goals),
+    boosts: pick(payload.boosts)
+  };
+}
+
+function scopeLeaderboard(leaderboard, gid) {
+  return { overall: null, groups: { [gid]: leaderboard.groups[gid] } };
+}
+
+function groupOverlayRoom(gid) {
+  return `overlay:${gid}`;
+}
+
+// What each broadcast event last sent to the dashboard and overlay rooms, so an
+// unchanged battle, timer or leaderboard isn't sent again. `key` leaves out
+// values derived from the clock (remainingMs) - clients count those down locally.
+const lastBroadcastKeys = new Map();
+
+function emitIfChanged(event, value, key = JSON.stringify(value)) {
+  if (lastBroadcastKeys.get(event) === key) return false;
+  lastBroadcastKeys.set(event, key);
+  io.to(DASHBOARD_ROOM).to(OVERLAY_ROOM).emit(event, value);
+  return true;
+}
+
+// Emits to the overlays of every group that has one open
+function emitToGroupOverlays(event, build) {
+  for (const gid of Object.keys(groups)) {
+    const room = groupOverlayRoom(gid);
+    if (io.sockets.adapter.rooms.get(room)?.size) io.to(room).emit(event, build(gid));
+  }
+}
+
 function broadcast() {
   diagnostics.totalBroadcasts++;
   updatePerformanceMetrics();
-  io.emit('update', buildPayload());
+  broadcastState();
+
+  const battleState = publicBattle();
+  emitIfChanged('battle', battleState, JSON.stringify(battleState && { ...battleState, remainingMs: null }));
+  const timer = publicTimer();
+  emitIfChanged('timer', timer, JSON.stringify({ ...timer, remainingMs: timer.status === 'running' ? null : timer.remainingMs }));
   debugLog(`Broadcast #${diagnostics.totalBroadcasts} sent`);
+
+  // Rankings only change when gifts are counted (or on reset/restore)
+  if (leaderboardDirty) {
+    leaderboardDirty = false;
+    const leaderboard = buildLeaderboardPayload();
+    if (emitIfChanged('leaderboard', leaderboard)) {
+      emitToGroupOverlays('leaderboard', gid => scopeLeaderboard(leaderboard, gid));
+    }
+  }
+
+  // Status changes always end in a broadcast - tell webhooks about any since the last one
+  rooms.forEach(room => {
+    if (room.liveStatus === room.notifiedStatus) return;
+    emitWebhookEvent('connection.status', {
+      room: room.username,
+      status: room.liveStatus,
+      previousStatus: room.notifiedStatus,
+      replay: Boolean(room.replay)
+    });
+    room.notifiedStatus = room.liveStatus;
+  });
+
+  // Every state change ends in a broadcast, so persist from here
+  queueSessionSave();
+}
+
+/* ── Live state channels (scoped snapshots and versioned deltas) ──── */
+// Clients subscribe to the slice of buildPayload() they render: 'all' (the
+// dashboard), 'group:<id>' (one group's progress, overlay.html) or 'stats'.
+// A subscribe is answered with a full snapshot of its channel; from then on
+// broadcast() only sends what changed, as a delta from one version to the
+// next (public/live-state.js applies them). Each channel is built and diffed
+// once per broadcast however many sockets share it, and channels nobody
+// listens to any more are dropped. Versions come from one counter, so they
+// only ever grow, even for a channel that is dropped and later rebuilt.
+// A socket holds at most one channel of each kind: subscribing to another
+// group moves it off the previous one.
+let stateVersion = 0;
+const stateChannels = new Map();   // channel -> { version, data } (data as last sent)
+
+function stateChannelRoom(channel) {
+  return `state:${channel}`;
+}
+
+function buildChannelData(channel, payload) {
+  if (channel === 'all') return payload;
+  if (channel === 'stats') return { stats: payload.stats };
+  return scopePayload(payload, channel.slice('group:'.length));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// { set: [[path, value]], unset: [path] } turning `before` into `after`; arrays are replaced whole
+function diffState(before, after, path = [], delta = { set: [], unset: [] }) {
+  for (const key of Object.keys(before)) {
+    if (!(key in after)) delta.unset.push([...path, key]);
+  }
+  for (const [key, value] of Object.entries(after)) {
+    const old = before[key];
+    if (isPlainObject(old) && isPlainObject(value)) {
+      diffState(old, value, [...path, key], delta);
+    } else if (old !== value && JSON.stringify(old) !== JSON.stringify(value)) {
+      delta.set.push([[...path, key], value]);
+    }
+  }
+  return delta;
+}
+
+// Brings a channel up to date, sending its sockets what changed
+function syncStateChannel(channel, payload) {
+  // A JSON copy: what clients receive, and detached from the live counters
+  const data = JSON.parse(JSON.stringify(buildChannelData(channel, payload)));
+  const state = stateChannels.get(channel);
+  if (!state) {
+    const created = { version: ++stateVersion, data };
+    stateChannels.set(channel, created);
+    return created;
+  }
+
+  const delta = diffState(state.data, data);
+  if (delta.set.length > 0 || delta.unset.length > 0) {
+    const from = state.version;
+    state.version = ++stateVersion;
+    state.data = data;
+    io.to(stateChannelRoom(channel)).emit('delta', { channel, from, version: state.version, ...delta });
+  }
+  return state;
+}
+
+function broadcastState() {
+  const payload = buildPayload();
+  for (const channel of stateChannels.keys()) syncStateChannel(channel, payload);
+}
+
+// Socket.IO deletes a room when its last socket leaves or disconnects
+io.of('/').adapter.on('delete-room', room => {
+  if (room.startsWith('state:')) stateChannels.delete(room.slice('state:'.length));
+});
+
+// subscription: { channel: 'all' | 'stats' | 'group', groupId } - a group's
+// overlay link only opens its own group. Replies with the snapshot or { error }.
+function subscribeStateChannel(socket, subscription, reply) {
+  if (typeof reply !== 'function') return;
+
+  const { channel: kind, groupId } = subscription || {};
+  let channel;
+  if (kind === 'group') {
+    if (typeof groupId !== 'string' || !Object.hasOwn(groups, groupId)) {
+      return reply({ error: 'group not found' });
+    }
+    channel = `group:${groupId}`;
+  } else if (kind === 'all' || kind === 'stats') {
+    channel = kind;
+  } else {
+    return reply({ error: 'channel must be all, stats or group' });
+  }
+  if (socket.data.groupId && channel !== `group:${socket.data.groupId}`) {
+    return reply({ error: 'This overlay link only covers its own group' });
+  }
+
+  socket.data.stateChannels ??= {};
+  const previous = socket.data.stateChannels[kind];
+  if (previous && previous !== channel) socket.leave(stateChannelRoom(previous));
+  socket.data.stateChannels[kind] = channel;
+
+  const state = syncStateChannel(channel, buildPayload());
+  socket.join(stateChannelRoom(channel));
+  reply({ channel, version: state.version, data: state.data });
 }
 
+/* ── graceful shutdown (flush session to disk) ────────────────────── */
+async function shutdown(signal) {
+  console.log(`\n🛑 ${signal} received - saving session before exit...`);
+  await Promise.all([
+    saveSessionSnapshot(),
+    saveWebhookState(),
+    saveStreamSessions(),
+    saveAuditLog(),
+    saveTimerState(),
+    saveOverlayLinks(),
+    closeLedger(),
+    ...[...rooms.values()].map(room => closeJournal(room, 'shutdown'))
+  ]);
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 /* ── start server ─────────────────────────────────────────────────── */
 http.listen(PORT, () => {
   console.log('\n🎉 TikTok Gift Tracker Instance - API Key Authentication');
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log(`📡 Server running on: http://localhost:${PORT}`);
   console.log(`🔐 Account ID: ${ACCOUNT_ID}`);
-  console.log(`🎯 TikTok Username: @${USERNAME}`);
+  console.log(`🎯 TikTok Username${rooms.size > 1 ? 's' : ''}: ${[...rooms.keys()].map(u => `@${u}`).join(', ')}`);
   if (BACKEND_API_URL) {
     console.log(`🌐 Backend API: ${BACKEND_API_URL}`);
   } else {